@@ -0,0 +1,31 @@
+// One-off migration: room messages used to be stored with the room id in
+// Message.conversation. Move them to Message.room and tag every message with
+// its targetType. Safe to run more than once.
+//
+//   npm run migrate:room-messages
+import "dotenv/config";
+import mongoose from "mongoose";
+import Message from "../src/models/Message.js";
+import Room from "../src/models/Room.js";
+
+await mongoose.connect(process.env.MONGODB_URI);
+console.log("Connected to MONGODB");
+
+const roomIds = await Room.distinct("_id");
+
+const rooms = await Message.collection.updateMany(
+  { conversation: { $in: roomIds } },
+  [{ $set: { targetType: "room", room: "$conversation" } }, { $unset: "conversation" }]
+);
+console.log(`Moved ${rooms.modifiedCount} room messages`);
+
+const conversations = await Message.collection.updateMany(
+  { targetType: { $exists: false }, conversation: { $exists: true } },
+  { $set: { targetType: "conversation" } }
+);
+console.log(`Tagged ${conversations.modifiedCount} conversation messages`);
+
+await Message.syncIndexes();
+console.log("Message indexes synced");
+
+await mongoose.disconnect();
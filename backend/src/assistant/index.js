@@ -0,0 +1,31 @@
+import { createMockProvider } from "./mock.js";
+import { createOpenAIProvider } from "./openai.js";
+
+// Every assistant provider exposes one method:
+//   stream(messages, { signal }) -> AsyncIterable<string>
+// where `messages` is a chat transcript of { role, content } with roles
+// "system", "user" and "assistant", and the iterable yields the reply in
+// pieces as they are generated.
+// ASSISTANT_PROVIDER picks the provider: "mock" (default) or "openai", which
+// works with any OpenAI-compatible chat completions API.
+
+let provider;
+
+export function createProvider(env = process.env) {
+  if (env.ASSISTANT_PROVIDER === "openai") {
+    return createOpenAIProvider({
+      baseUrl: env.ASSISTANT_API_URL || "https://api.openai.com/v1",
+      apiKey: env.ASSISTANT_API_KEY,
+      model: env.ASSISTANT_MODEL || "gpt-4o-mini"
+    });
+  }
+  return createMockProvider({ delayMs: Number(env.ASSISTANT_MOCK_DELAY_MS) || 0 });
+}
+
+// Shared provider instance, created from the environment on first use
+export function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
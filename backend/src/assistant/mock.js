@@ -0,0 +1,24 @@
+import { setTimeout as sleep } from "timers/promises";
+
+// Answers without any network access, for development, tests and offline use.
+// The reply only depends on the transcript, so the same conversation always
+// gets the same answer, streamed a word at a time.
+export function createMockProvider({ delayMs = 0 } = {}) {
+  return {
+    async *stream(messages, { signal } = {}) {
+      const history = messages.filter(m => m.role !== "system");
+      const question = history.at(-1)?.content || "";
+      const reply = `You asked: "${question}". ` +
+        `I can see ${history.length - 1} earlier message${history.length === 2 ? "" : "s"} here. ` +
+        "This is the offline mock assistant, so that's all I can say.";
+
+      for (const word of reply.split(/(?<= )/)) {
+        signal?.throwIfAborted();
+        if (delayMs > 0) {
+          await sleep(delayMs, undefined, { signal });
+        }
+        yield word;
+      }
+    }
+  };
+}
@@ -0,0 +1,38 @@
+// Streams chat completions from an OpenAI-compatible API (OpenAI itself, or a
+// local server such as Ollama or vLLM via `baseUrl`)
+export function createOpenAIProvider({ baseUrl, apiKey, model }) {
+  return {
+    async *stream(messages, { signal } = {}) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, messages, stream: true }),
+        signal
+      });
+      if (!response.ok) {
+        throw new Error(`Assistant provider returned ${response.status}`);
+      }
+
+      // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+      const decoder = new TextDecoder();
+      let buffered = "";
+      for await (const bytes of response.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, "");
+          if (!line.trim().startsWith("data:") || !data) continue;
+          if (data === "[DONE]") return;
+
+          const chunk = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (chunk) yield chunk;
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,38 @@
+// The refresh token travels in an httpOnly cookie that only the /auth routes
+// see. COOKIE_SECURE (default: on in production) and COOKIE_SAMESITE
+// (default "lax"; "none" when the client is on another site) tune it.
+const REFRESH_COOKIE = "refresh_token";
+
+function cookieOptions() {
+  const secure = process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === "true"
+    : process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: process.env.COOKIE_SAMESITE || "lax",
+    path: "/auth"
+  };
+}
+
+export function readRefreshToken(req) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (name === REFRESH_COOKIE) {
+      try {
+        return decodeURIComponent(value.join("="));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+export function setRefreshCookie(res, token, expiresAt) {
+  res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), expires: expiresAt });
+}
+
+export function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+}
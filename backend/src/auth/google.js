@@ -1,6 +1,5 @@
 import {Strategy as GoogleStrategy} from 'passport-google-oauth20';
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import { signInWithGoogle } from '../services/accounts.js';
 
 export function initGoogleAuth(passport) {
     passport.use(new GoogleStrategy({ 
@@ -15,23 +14,12 @@ export function initGoogleAuth(passport) {
             if (!email || !email.endsWith("@illinois.edu")) {
                 return done(null, false, {message : "Invalid email domain"});
             }
-            const netId = email.split("@")[0];
-            //Upsert a user in the mongodb
-            const user = await User.findOneAndUpdate(
-                {email}, 
-                {email, netId, name: profile.displayName}, 
-                {upsert: true, new: true}
-            );
-
-            //Create JWT Token
-            const token = jwt.sign(
-                {id: user._id.toString(), email: user.email}, 
-                process.env.JWT_SECRET, { expiresIn: '24h'}
-            );
-            done(null, {token});
+            //Find or create the user, linking to a password account with the same email
+            const {user} = await signInWithGoogle({googleId: profile.id, email, name: profile.displayName});
+            done(null, user);
         } catch (err) { 
             done(err);
         }
     }
 ));   
-}
\ No newline at end of file
+}
@@ -0,0 +1,39 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+// without invalidating existing passwords
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Hash a password as "scrypt$N$r$p$salt$key" (salt and key base64)
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, COST);
+  return ["scrypt", COST.N, COST.r, COST.p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+// Check a password against a hash from hashPassword, in constant time
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, key] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !key) return false;
+
+  const expected = Buffer.from(key, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// A random token to email to the user; only its hash (hashToken) is stored
+export function randomToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
@@ -0,0 +1,27 @@
+import jwt from "jsonwebtoken";
+
+// Access tokens are short lived (ACCESS_TOKEN_MINUTES, default 15); clients
+// get new ones from their session's refresh token
+function accessTokenMinutes() {
+  return Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+}
+
+// The JWT clients send as a Bearer token and in the socket handshake. `sid`
+// names the session, so revoking it invalidates the token.
+export function issueToken(user, session) {
+  return jwt.sign(
+    { id: user._id.toString(), email: user.email, sid: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: `${accessTokenMinutes()}m` }
+  );
+}
+
+// Decode an access token; throws if it is invalid, expired or predates
+// sessions
+export function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) {
+    throw new jwt.JsonWebTokenError("token has no session");
+  }
+  return decoded;
+}
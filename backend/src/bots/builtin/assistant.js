@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import Message from "../../models/Message.js";
+import { getProvider } from "../../assistant/index.js";
+import { getConversationForUser, postToConversation } from "../../services/conversations.js";
+import { getRoomForMember, postToRoom } from "../../services/rooms.js";
+
+// Answers questions using the recent messages of a conversation or room as
+// context. In a direct conversation with the assistant every message is a
+// question; in rooms it only answers when @mentioned, and only in rooms where
+// an admin has enabled it by adding the assistant bot. The reply is streamed
+// to the room as "message:stream" chunks and then posted as a normal message.
+// The reply is posted directly rather than sent like a user's message, so an
+// answer starting with "/" can never run a slash command as the bot.
+
+const MENTION_PATTERN = /(^|[^\w@])@assistant(-bot)?\b/i;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_SYSTEM_PROMPT = "You are the assistant in a chat app for University of Illinois students. " +
+  "Answer the latest message briefly and helpfully, using the earlier messages as context.";
+
+// How many recent messages are sent to the provider as context
+function contextSize() {
+  return Number(process.env.ASSISTANT_CONTEXT_MESSAGES) || 20;
+}
+
+// Questions allowed per hour for each user, and for each conversation or
+// room. Counted per server process.
+const limits = {
+  user: () => Number(process.env.ASSISTANT_USER_LIMIT) || 20,
+  target: () => Number(process.env.ASSISTANT_ROOM_LIMIT) || 60
+};
+const recent = new Map();
+
+// Record a question, or return the seconds until one is allowed again
+function takeQuota(kind, id) {
+  const key = `${kind}:${id}`;
+  const now = Date.now();
+  const times = (recent.get(key) || []).filter(t => now - t < HOUR_MS);
+  if (times.length >= limits[kind]()) {
+    recent.set(key, times);
+    return Math.ceil((times[0] + HOUR_MS - now) / 1000);
+  }
+  times.push(now);
+  recent.set(key, times);
+  return 0;
+}
+
+// The last messages before (and including) the question, oldest first, as a
+// chat transcript for the provider
+async function buildTranscript(bot, message) {
+  const target = Message.targetFilter(message.targetType, message.room || message.conversation);
+  const { messages } = await Message.getHistory(target, { limit: contextSize() });
+
+  const transcript = messages
+    .reverse()
+    .filter(m => !m.isDeleted && m.messageType !== "system" && m.content)
+    .map(m => m.sender._id.equals(bot.user)
+      ? { role: "assistant", content: m.content }
+      : { role: "user", content: `${m.sender.name}: ${m.content}` });
+
+  return [{ role: "system", content: process.env.ASSISTANT_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT }, ...transcript];
+}
+
+// Post the answer in a room the bot still belongs to, unless a moderator
+// muted it
+async function postReplyToRoom(io, bot, roomId, reply) {
+  const room = await getRoomForMember(bot.user, roomId, { withMutes: true });
+  if (room.getActiveMute(bot.user)) {
+    throw new Error("The assistant is muted in this room");
+  }
+  return postToRoom(io, room, bot.user, reply);
+}
+
+export default {
+  slug: "assistant",
+  name: "Assistant",
+  description: "Answers questions using the conversation so far; @mention it in a room or group",
+
+  // Answers every message in a 1:1 conversation, and only @mentions in
+  // rooms and group conversations
+  async onMessage(io, { bot, message, target }) {
+    const inRoom = message.targetType === "room";
+    const oneToOne = !inRoom && target?.isGroup === false;
+    if (!oneToOne && !MENTION_PATTERN.test(message.content || "")) return;
+
+    const targetId = inRoom ? message.room : message.conversation;
+    const channel = `${message.targetType}:${targetId}`;
+    const senderId = message.sender._id;
+    const where = inRoom ? { roomId: targetId } : { conversationId: targetId };
+
+    const retryAfter = takeQuota("user", senderId) || takeQuota("target", targetId);
+    if (retryAfter) {
+      io.to(`user:${senderId}`).emit("assistant:rate_limited", { ...where, retryAfter });
+      return;
+    }
+
+    // Clients show the chunks as a draft until the final message arrives
+    const streamId = new mongoose.Types.ObjectId();
+    const replyTo = oneToOne ? undefined : message._id;
+    const stream = { streamId, ...where, sender: bot.user, replyTo };
+
+    // The final chunk always goes out, so clients never keep a stale draft
+    let last = { done: true, error: "The assistant could not answer" };
+    try {
+      let content = "";
+      const transcript = await buildTranscript(bot, message);
+      const timeout = AbortSignal.timeout(Number(process.env.ASSISTANT_TIMEOUT_MS) || 60 * 1000);
+      for await (const chunk of getProvider().stream(transcript, { signal: timeout })) {
+        content += chunk;
+        io.to(channel).emit("message:stream", { ...stream, chunk, done: false });
+      }
+
+      const reply = content.trim() || "Sorry, I don't have an answer for that.";
+      const posted = inRoom
+        ? await postReplyToRoom(io, bot, targetId, { content: reply, replyTo })
+        : await postToConversation(io, await getConversationForUser(bot.user, targetId), bot.user, { content: reply, replyTo });
+      last = { done: true, messageId: posted._id };
+    } catch (err) {
+      console.error("Assistant reply failed:", err);
+    } finally {
+      io.to(channel).emit("message:stream", { ...stream, ...last });
+    }
+  }
+};
@@ -0,0 +1,93 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { sendConversationMessage } from "../../services/conversations.js";
+import { sendRoomMessage } from "../../services/rooms.js";
+
+// Answers common questions from a knowledge file (FAQ_KNOWLEDGE_FILE, default
+// ../knowledge/faq.json): a list of { question, answer, keywords }. In rooms it
+// has been added to, it answers questions (messages ending in "?") it is
+// confident about in a thread; in a direct conversation it answers everything.
+
+const DEFAULT_KNOWLEDGE_FILE = fileURLToPath(new URL("../knowledge/faq.json", import.meta.url));
+// Share of a question's words that must match an entry for a room answer
+const ROOM_CONFIDENCE = 0.5;
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "can", "do", "does", "for", "how", "i", "in", "is", "it",
+  "me", "my", "of", "on", "or", "the", "to", "what", "when", "where", "which", "who", "why", "with", "you"
+]);
+
+let knowledge;
+
+function loadKnowledge() {
+  if (!knowledge) {
+    const file = process.env.FAQ_KNOWLEDGE_FILE || DEFAULT_KNOWLEDGE_FILE;
+    knowledge = JSON.parse(fs.readFileSync(file, "utf8")).map(entry => ({
+      ...entry,
+      words: new Set([...words(entry.question), ...(entry.keywords || []).map(k => k.toLowerCase())])
+    }));
+  }
+  return knowledge;
+}
+
+function words(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(w => !STOP_WORDS.has(w));
+}
+
+// Best matching entry and the share of the question's words it covers
+function findAnswer(question) {
+  const asked = [...new Set(words(question))];
+  if (asked.length === 0) return null;
+
+  let best = null;
+  for (const entry of loadKnowledge()) {
+    const score = asked.filter(w => entry.words.has(w)).length / asked.length;
+    if (score > 0 && (!best || score > best.score)) {
+      best = { entry, score };
+    }
+  }
+  return best;
+}
+
+export default {
+  slug: "faq",
+  name: "FAQ Bot",
+  description: "Answers common questions about using the app",
+
+  commands: {
+    faq: {
+      description: "Ask the FAQ bot a question",
+      usage: "/faq <question>",
+      async handler(io, { args }) {
+        if (!args) {
+          const questions = loadKnowledge().map(e => `- ${e.question}`);
+          return { reply: `Ask me about:\n${questions.join("\n")}` };
+        }
+        const match = findAnswer(args);
+        return { reply: match ? match.entry.answer : "Sorry, I don't know that one yet." };
+      }
+    }
+  },
+
+  async onMessage(io, { bot, message }) {
+    const content = message.content || "";
+
+    if (message.targetType === "room") {
+      if (!content.trim().endsWith("?")) return;
+      const match = findAnswer(content);
+      if (!match || match.score < ROOM_CONFIDENCE) return;
+
+      await sendRoomMessage(io, bot.user, {
+        roomId: message.room,
+        content: match.entry.answer,
+        replyTo: message._id
+      });
+      return;
+    }
+
+    const match = findAnswer(content);
+    await sendConversationMessage(io, bot.user, {
+      conversationId: message.conversation,
+      content: match ? match.entry.answer : "Sorry, I don't know that one yet. Type /faq to see what I can help with."
+    });
+  }
+};
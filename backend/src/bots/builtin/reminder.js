@@ -0,0 +1,73 @@
+import Conversation from "../../models/Conversation.js";
+import Reminder from "../../models/Reminder.js";
+import { sendConversationMessage } from "../../services/conversations.js";
+import { ServiceError } from "../../utils/errors.js";
+
+// "/remind 1h30m submit the lab report" sends the text back to the user as a
+// direct message from the reminder bot once the time is up. Reminders are
+// stored, so they survive restarts, and each one is claimed atomically so only
+// one server process delivers it.
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const UNIT_NAMES = { m: "minute", h: "hour", d: "day", w: "week" };
+const MAX_DELAY_MS = 30 * UNIT_MS.d;
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// Parse durations like "10m", "2h", "1d" or "1h30m"
+function parseDuration(text) {
+  if (!/^(\d+[mhdw])+$/i.test(text)) return null;
+
+  let ms = 0;
+  const parts = [];
+  for (const [, amount, unit] of text.toLowerCase().matchAll(/(\d+)([mhdw])/g)) {
+    ms += Number(amount) * UNIT_MS[unit];
+    parts.push(`${amount} ${UNIT_NAMES[unit]}${amount === "1" ? "" : "s"}`);
+  }
+  return { ms, label: parts.join(" ") };
+}
+
+// Send every reminder that is due
+async function deliverDue(io, bot) {
+  let reminder;
+  while ((reminder = await Reminder.claimDue())) {
+    const conversation = await Conversation.findOrCreate(bot.user, reminder.user);
+    await sendConversationMessage(io, bot.user, {
+      conversationId: conversation._id,
+      content: `Reminder: ${reminder.text}`
+    });
+  }
+}
+
+export default {
+  slug: "reminder",
+  name: "Reminder Bot",
+  description: "Sends you a reminder after a while",
+
+  commands: {
+    remind: {
+      description: "Get a reminder later, e.g. /remind 2h submit the lab report",
+      usage: "/remind <10m|2h|1d|1h30m> <what>",
+      async handler(io, { userId, args }) {
+        const [when, ...rest] = args.split(/\s+/);
+        const duration = when && parseDuration(when);
+        const text = rest.join(" ").trim();
+        if (!duration || !text) {
+          throw new ServiceError("Usage: /remind <10m|2h|1d|1h30m> <what>");
+        }
+        if (duration.ms <= 0 || duration.ms > MAX_DELAY_MS) {
+          throw new ServiceError("Reminders can be set for up to 30 days");
+        }
+
+        await Reminder.create({ user: userId, text, dueAt: new Date(Date.now() + duration.ms) });
+        return { reply: `OK, I'll remind you in ${duration.label}: ${text}` };
+      }
+    }
+  },
+
+  start(io, bot) {
+    const timer = setInterval(() => {
+      deliverDue(io, bot).catch(err => console.error("Reminder delivery failed:", err));
+    }, POLL_INTERVAL_MS);
+    timer.unref();
+  }
+};
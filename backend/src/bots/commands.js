@@ -0,0 +1,89 @@
+import Bot from "../models/Bot.js";
+import { ServiceError } from "../utils/errors.js";
+
+// Slash commands typed into a conversation or room ("/remind 10m stretch").
+// Built-in bots register their commands here; commands of external bots are
+// declared on their Bot record and forwarded over the bot API, but only in
+// rooms and conversations the bot belongs to. Commands are not posted as
+// messages: the invoker gets the command's reply, and a bot may post on its own.
+
+const COMMAND_PATTERN = /^\/([a-z0-9_-]{1,32})(?:\s+([\s\S]*))?$/i;
+const commands = new Map();
+
+// Register a built-in command; `handler(io, context)` returns
+// { reply } with text shown only to the user who ran it
+export function registerCommand(name, { description, usage, handler }) {
+  commands.set(name.toLowerCase(), { name: name.toLowerCase(), description, usage, handler });
+}
+
+// Split "/name args" into { name, args }, or null if it isn't a command
+export function parseCommand(content) {
+  const match = typeof content === "string" ? content.trim().match(COMMAND_PATTERN) : null;
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: (match[2] || "").trim() };
+}
+
+// Ids of everyone in a conversation or room document
+function memberIds(targetType, target) {
+  return targetType === "room" ? target.members.map(m => m.user) : target.participants;
+}
+
+// Active external bots in the conversation or room that may take commands
+function commandBotsIn(targetType, target, name) {
+  const filter = {
+    user: { $in: memberIds(targetType, target) },
+    builtin: { $exists: false },
+    scopes: "commands",
+    isActive: true
+  };
+  if (name) filter["commands.name"] = name;
+  return Bot.find(filter).populate("user", "name netId");
+}
+
+// Every command available in a conversation or room
+export async function listCommands(targetType, target) {
+  const available = [...commands.values()].map(({ name, description, usage }) => ({ name, description, usage }));
+  for (const bot of await commandBotsIn(targetType, target)) {
+    for (const command of bot.commands) {
+      available.push({ name: command.name, description: command.description, bot: bot.user.netId });
+    }
+  }
+  return available.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Run a command for a user who may post in the target conversation or room.
+// `context` is { userId, targetType, target, name, args, replyTo }.
+export async function runCommand(io, context) {
+  const { userId, targetType, target, name, args, replyTo } = context;
+
+  const command = commands.get(name);
+  if (command) {
+    const result = await command.handler(io, context);
+    return { command: name, reply: result?.reply };
+  }
+
+  const [bot] = await commandBotsIn(targetType, target, name);
+  if (!bot) {
+    throw new ServiceError(`Unknown command /${name}. Type /help to see available commands.`);
+  }
+
+  io.of("/bots").to(`bot:${bot.user._id}`).emit("command", {
+    command: name,
+    args,
+    userId,
+    conversationId: targetType === "conversation" ? target._id : undefined,
+    roomId: targetType === "room" ? target._id : undefined,
+    replyTo
+  });
+  return { command: name, bot: bot.user.netId };
+}
+
+registerCommand("help", {
+  description: "List the commands you can use here",
+  usage: "/help",
+  async handler(io, { targetType, target }) {
+    const available = await listCommands(targetType, target);
+    const lines = available.map(c => `/${c.name} - ${c.description || ""}${c.bot ? ` (@${c.bot})` : ""}`);
+    return { reply: lines.join("\n") };
+  }
+});
@@ -0,0 +1,80 @@
+import Bot, { BOT_SCOPES } from "../models/Bot.js";
+import User from "../models/User.js";
+import { onMessageDelivered } from "../services/delivery.js";
+import { registerCommand } from "./commands.js";
+import faqBot from "./builtin/faq.js";
+import reminderBot from "./builtin/reminder.js";
+import assistantBot from "./builtin/assistant.js";
+
+const BUILTIN_BOTS = [faqBot, reminderBot, assistantBot];
+
+// Bot users get a netId no student can have, and an address that can't receive mail
+export function botNetId(slug) {
+  return `${slug}-bot`;
+}
+
+export function botEmail(slug) {
+  return `${botNetId(slug)}@bots.invalid`;
+}
+
+// Create (or find) the user and Bot record a built-in bot runs as
+async function ensureBuiltinBot(definition) {
+  const netId = botNetId(definition.slug);
+  const user = await User.findOneAndUpdate(
+    { netId },
+    { $setOnInsert: { netId, email: botEmail(definition.slug), name: definition.name, isBot: true } },
+    { upsert: true, new: true }
+  );
+
+  return Bot.findOneAndUpdate(
+    { slug: definition.slug },
+    {
+      user: user._id,
+      builtin: definition.slug,
+      description: definition.description,
+      scopes: BOT_SCOPES,
+      commands: Object.entries(definition.commands || {}).map(([name, c]) => ({ name, description: c.description }))
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Hand a new message to the bots in its conversation or room: built-in bots
+// handle it here, external bots with messages:read get it over the bot API.
+// Messages sent by a bot are not passed on, so bots can't set each other off.
+async function dispatchToBots(io, message, target, builtins) {
+  const members = message.targetType === "room" ? target.members.map(m => m.user) : target.participants;
+  const bots = await Bot.find({ user: { $in: members }, isActive: true });
+  const senderId = message.sender._id.toString();
+  if (bots.length === 0 || bots.some(bot => bot.user.toString() === senderId)) return;
+
+  // Bots answer side by side, so a slow one doesn't hold up the others
+  await Promise.all(bots.map(async bot => {
+    if (bot.builtin) {
+      await builtins.get(bot.builtin)?.onMessage?.(io, { bot, message, target });
+    } else if (bot.hasScope("messages:read")) {
+      io.of("/bots").to(`bot:${bot.user}`).emit("message:new", { message });
+    }
+  }));
+}
+
+// Set up the built-in bots, their commands and message dispatch
+export async function startBots(io) {
+  const builtins = new Map();
+
+  for (const definition of BUILTIN_BOTS) {
+    const bot = await ensureBuiltinBot(definition);
+    builtins.set(definition.slug, definition);
+
+    for (const [name, command] of Object.entries(definition.commands || {})) {
+      registerCommand(name, {
+        ...command,
+        handler: (io, context) => command.handler(io, { ...context, bot })
+      });
+    }
+    definition.start?.(io, bot);
+  }
+
+  onMessageDelivered((io, message, target) => dispatchToBots(io, message, target, builtins));
+  console.log(`Started ${builtins.size} built-in bots`);
+}
@@ -7,8 +7,19 @@ import http from "http";
 
 import { initGoogleAuth } from "./auth/google.js";
 import { attachSocketServer } from "./socket/index.js";
+import { createSocketAdapter } from "./socket/adapter.js";
+import authRouter from "./routes/auth.js";
+import apiRouter from "./routes/index.js";
+import hooksRouter from "./routes/hooks.js";
+import { errorHandler } from "./middleware/errors.js";
+import { rateLimit } from "./middleware/rateLimit.js";
 
 const app = express();
+// Behind a reverse proxy, TRUST_PROXY (hop count or addresses) makes req.ip
+// the client's address so rate limits apply per client
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 app.use(express.json());
 app.use(cors({ origin: process.env.CLIENT_URL, credentials: true }));
 
@@ -19,23 +30,21 @@ initGoogleAuth(passport);
 //Health check route
 app.get("/health", (_, res) => res.json({ ok: true }));
 
-//Auth routes
-app.get("/auth/google", passport.authenticate("google", {scope: ["profile", "email"]}));
+//Auth routes (Google and email/password)
+app.use("/auth", rateLimit(), authRouter);
 
-app.get("/auth/google/callback", passport.authenticate("google", { session: false, failureRedirect: `${process.env.CLIENT_URL}/login?error=oauth`}), 
-(req, res) => { 
-    const {token} = req.user;
-    //Redirect to client with token
-    res.redirect(`${process.env.CLIENT_URL}/login/success?token=${encodeURIComponent(token)}`);
-}
-);
+//REST API (incoming webhooks authenticate with their own token)
+app.use("/api/v1/hooks", hooksRouter);
+app.use("/api/v1", apiRouter);
+app.use(errorHandler);
 
 //Connect to mongodb and start server
 await mongoose.connect(process.env.MONGODB_URI);
 console.log("Coonected to MONGODB");
 
 const server = http.createServer(app);
-attachSocketServer(server, app);
+const { adapter } = await createSocketAdapter();
+attachSocketServer(server, app, { adapter });
 
 server.listen(process.env.PORT || 3000, () => {
   console.log(`Server running on http://localhost:${process.env.PORT || 3000}`);
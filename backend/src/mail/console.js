@@ -0,0 +1,8 @@
+// Prints messages to the server log instead of delivering them
+export function createConsoleTransport() {
+  return {
+    async send({ from, to, subject, text }) {
+      console.log(`Mail from ${from} to ${to}: ${subject}\n${text}`);
+    }
+  };
+}
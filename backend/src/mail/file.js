@@ -0,0 +1,18 @@
+import crypto from "crypto";
+import fsp from "fs/promises";
+import path from "path";
+
+// Writes each message to `dir` as <timestamp>-<random>.json, so the newest
+// sorts last
+export function createFileTransport({ dir }) {
+  const baseDir = path.resolve(dir);
+
+  return {
+    async send(message) {
+      await fsp.mkdir(baseDir, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+      const body = JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2);
+      await fsp.writeFile(path.join(baseDir, name), body);
+    }
+  };
+}
@@ -0,0 +1,42 @@
+import { createConsoleTransport } from "./console.js";
+import { createFileTransport } from "./file.js";
+
+// Every mail transport exposes one method:
+//   send({ from, to, subject, text, html }) -> Promise<void>
+// MAIL_TRANSPORT picks it: "console" (default) prints each message and
+// "file" writes it as JSON under MAIL_DIR, where tests and local setups can
+// pick it up. A real provider only needs to implement send().
+
+let transport;
+
+export function createMailTransport(env = process.env) {
+  const kind = env.MAIL_TRANSPORT || "console";
+  if (kind === "console") {
+    return createConsoleTransport();
+  }
+  if (kind === "file") {
+    return createFileTransport({ dir: env.MAIL_DIR || "mail" });
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+}
+
+// Shared transport, created from the environment on first use
+export function getMailTransport() {
+  if (!transport) {
+    transport = createMailTransport();
+  }
+  return transport;
+}
+
+// Send a message from MAIL_FROM through the shared transport
+export function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || "UIUC Chat <no-reply@localhost>",
+    ...message
+  });
+}
+
+// For putting user-supplied text into HTML mail bodies
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
@@ -1,19 +1,21 @@
-import jwt from 'jsonwebtoken';
+import { verifyAccessToken } from '../auth/tokens.js';
+import { isSessionActive } from '../services/sessions.js';
 
-export function authenticateJWT(req, res, next) {
+export async function authenticateJWT(req, res, next) {
     const header = req.headers.authorization?.split(' ')[1];
     if (!header) { 
-        return res.status(401).json({message: "Unauthorized/Missing valid login credentials"});
+        return res.status(401).json({ error: "Unauthorized/Missing valid login credentials", code: "UNAUTHORIZED" });
     }
+    let decoded;
     try {
-        const decoded = jwt.verify(header, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (err) {
-        res.status(401).json({ error: 'Invalid token' });
+        decoded = verifyAccessToken(header);
+    } catch {
+        return res.status(401).json({ error: 'Invalid token', code: 'UNAUTHORIZED' });
     }
+    //Tokens stop working as soon as their session is signed out
+    if (!(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({ error: 'Session expired', code: 'SESSION_EXPIRED' });
+    }
+    req.user = decoded;
+    next();
 }
-
-export function verifyToken(token) {
-  return jwt.verify(token, process.env.JWT_SECRET);
-}
\ No newline at end of file
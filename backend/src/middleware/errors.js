@@ -0,0 +1,15 @@
+import { errorPayload, toServiceError } from "../utils/errors.js";
+
+// Turn errors thrown by route handlers into JSON responses. Express 5
+// forwards rejected promises from async handlers here on its own.
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const status = toServiceError(err)?.status || 500;
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+  res.status(status).json(errorPayload(err));
+}
@@ -0,0 +1,18 @@
+import { getRateLimiter } from "../utils/rateLimiter.js";
+
+// Rate limit requests against a budget (see utils/rateLimiter.js), per signed
+// in user when there is one and per IP. `key(req)` names what the request is
+// for, e.g. the account being signed in to, which gets buckets of its own
+// (see utils/rateLimiter.js). Limited
+// requests get a 429 with a Retry-After header through the error handler.
+export function rateLimit(budget = "http", { key } = {}) {
+  return (req, res, next) => {
+    getRateLimiter().consume(budget, {
+      userId: req.user?.id,
+      ip: req.ip,
+      key: key?.(req) || undefined,
+      onMute: until => req.app.get("io")?.to(`user:${req.user.id}`).emit("user:muted", { until, reason: "flooding" })
+    });
+    next();
+  };
+}
@@ -0,0 +1,26 @@
+import { validate as check } from "../validation/index.js";
+
+// Validate a request against a schema from validation/schemas.js and put the
+// cleaned payload on req.valid. The payload is the query string for GET
+// requests and the body otherwise, plus the route params named in `params`
+// ({ id: "roomId" } adds req.params.id as roomId). `params` may instead be a
+// function building the payload from req. Query strings are coerced, so
+// limit=20 and flag=true pass as a number and a boolean.
+export function validate(schema, params = {}) {
+  return (req, res, next) => {
+    const fromQuery = req.method === "GET";
+    let payload = (fromQuery ? req.query : req.body) ?? {};
+
+    if (typeof params === "function") {
+      payload = params(req);
+    } else if (Object.keys(params).length > 0) {
+      payload = { ...payload };
+      for (const [param, field] of Object.entries(params)) {
+        payload[field] = req.params[param];
+      }
+    }
+
+    req.valid = check(schema, payload, { coerce: fromQuery });
+    next();
+  };
+}
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+    storageKey: {
+      type: String,
+      required: true
+    },
+    thumbnailKey: {
+      type: String
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 255
+    },
+    fileSize: {
+      type: Number,
+      required: true
+    },
+    mimeType: {
+      type: String,
+      required: true
+    },
+    width: { type: Number },
+    height: { type: Number },
+    // Set once the attachment is sent; downloads are then authorized against
+    // the conversation or room the message was posted in
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      index: true
+    },
+    targetType: {
+      type: String,
+      enum: ["conversation", "room"]
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation"
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room"
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Check if the attachment is an image
+attachmentSchema.methods.isImage = function() {
+  return this.mimeType.startsWith("image/");
+};
+
+// URL the file is downloaded from (through the API, never directly)
+attachmentSchema.methods.getUrl = function() {
+  return `/api/v1/attachments/${this._id}`;
+};
+
+// Shape stored on Message.attachments
+attachmentSchema.methods.toMessageAttachment = function() {
+  return {
+    attachment: this._id,
+    fileUrl: this.getUrl(),
+    thumbnailUrl: this.thumbnailKey ? `${this.getUrl()}/thumbnail` : undefined,
+    fileName: this.fileName,
+    fileSize: this.fileSize,
+    mimeType: this.mimeType
+  };
+};
+
+export default mongoose.model("Attachment", attachmentSchema);
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "room.update",
+  "room.invite_regenerate",
+  "room.transfer",
+  "member.kick",
+  "member.role",
+  "member.mute",
+  "member.unmute",
+  "member.ban",
+  "member.unban",
+  "message.delete",
+  "message.pin",
+  "message.unpin",
+  "report.resolve",
+  "report.dismiss"
+];
+
+// Who did what in a room. Entries are only ever added: every update or
+// delete on this collection is refused.
+const auditLogSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    targetMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message"
+    },
+    // Action specific details, e.g. { role } or { until, reason }
+    details: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+auditLogSchema.index({ room: 1, createdAt: -1, _id: -1 });
+
+auditLogSchema.pre("save", function() {
+  if (!this.isNew) {
+    throw new Error("Audit log entries cannot be changed");
+  }
+});
+
+for (const operation of [
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete"
+]) {
+  auditLogSchema.pre(operation, function() {
+    throw new Error("Audit log entries cannot be changed");
+  });
+}
+
+// Static method to append an entry. Failing to record one must not undo the
+// action it describes, so errors are logged instead of thrown.
+auditLogSchema.statics.record = async function(roomId, actorId, action, { targetUser, targetMessage, details } = {}) {
+  try {
+    return await this.create({ room: roomId, actor: actorId, action, targetUser, targetMessage, details });
+  } catch (err) {
+    console.error(`Recording ${action} in the audit log failed:`, err);
+    return null;
+  }
+};
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// A one-time code handed to the client in the Google sign-in redirect, so
+// the URL never carries a token. The client swaps it for a session within a
+// minute; only its hash is stored.
+const authCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Use up a code; resolves to null when it is unknown, expired or already
+// used. Deleting it in the same operation makes it single use.
+authCodeSchema.statics.consume = function(codeHash, now = new Date()) {
+  return this.findOneAndDelete({ codeHash, expiresAt: { $gt: now } });
+};
+
+export default mongoose.model("AuthCode", authCodeSchema);
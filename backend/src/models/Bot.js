@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+export const BOT_SCOPES = ["messages:read", "messages:write", "commands"];
+
+const botSchema = new mongoose.Schema(
+  {
+    // The User account the bot posts as and is added to rooms with
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9-]{2,32}$/
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true
+    },
+    // Built-in bots run inside the server and have no token
+    builtin: {
+      type: String
+    },
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    scopes: [{
+      type: String,
+      enum: BOT_SCOPES
+    }],
+    commands: [{
+      name: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: /^[a-z0-9_-]{1,32}$/
+      },
+      description: { type: String, trim: true, maxlength: 200 }
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+botSchema.index({ "commands.name": 1 });
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Check if the bot was granted a scope
+botSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Issue a new API token. Only its hash is stored, so the token has to be
+// handed to the owner now; any previous token stops working.
+botSchema.methods.generateToken = async function() {
+  const token = `bot_${this._id}_${crypto.randomBytes(24).toString("hex")}`;
+  this.tokenHash = hashToken(token);
+  await this.save();
+  return token;
+};
+
+// Static method to find the active bot a token belongs to
+botSchema.statics.findByToken = function(token) {
+  if (typeof token !== "string" || !token.startsWith("bot_")) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ tokenHash: hashToken(token), isActive: true });
+};
+
+export default mongoose.model("Bot", botSchema);
@@ -7,6 +7,20 @@ const conversationSchema = new mongoose.Schema(
       ref: "User",
       required: true
     }],
+    // Group conversations have 3-20 participants and an optional title
+    isGroup: {
+      type: Boolean,
+      default: false
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
     lastMessage: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Message"
@@ -61,29 +75,32 @@ conversationSchema.index({ participants: 1 });
 // Index for finding user's conversations sorted by activity
 conversationSchema.index({ participants: 1, lastMessageAt: -1 });
 
-// Validate that conversation has exactly 2 participants
-conversationSchema.pre("save", function(next) {
-  if (this.participants.length !== 2) {
-    next(new Error("Conversation must have exactly 2 participants"));
+export const MAX_GROUP_PARTICIPANTS = 20;
+
+// Validate participant count: direct conversations have exactly 2, groups
+// keep between 1 and MAX_GROUP_PARTICIPANTS as people come and go (the group
+// is deleted when the last one leaves)
+conversationSchema.pre("save", function() {
+  if (!this.isGroup && this.participants.length !== 2) {
+    throw new Error("Conversation must have exactly 2 participants");
   }
-  
-  // Initialize unreadCount for new conversations
-  if (this.isNew) {
-    this.unreadCount = this.participants.map(userId => ({
-      user: userId,
-      count: 0
-    }));
-    this.isArchived = this.participants.map(userId => ({
-      user: userId,
-      archived: false
-    }));
-    this.isPinned = this.participants.map(userId => ({
-      user: userId,
-      pinned: false
-    }));
+  if (this.isGroup && (this.participants.length < 1 || this.participants.length > MAX_GROUP_PARTICIPANTS)) {
+    throw new Error(`Group conversation must have between 1 and ${MAX_GROUP_PARTICIPANTS} participants`);
   }
   
-  next();
+  // Initialize per-participant state for anyone who doesn't have it yet
+  for (const userId of this.participants) {
+    const id = userId.toString();
+    if (!this.unreadCount.some(u => u.user.toString() === id)) {
+      this.unreadCount.push({ user: userId, count: 0 });
+    }
+    if (!this.isArchived.some(a => a.user.toString() === id)) {
+      this.isArchived.push({ user: userId, archived: false });
+    }
+    if (!this.isPinned.some(p => p.user.toString() === id)) {
+      this.isPinned.push({ user: userId, pinned: false });
+    }
+  }
 });
 
 // Get the other participant in the conversation
@@ -93,6 +110,54 @@ conversationSchema.methods.getOtherParticipant = function(userId) {
   );
 };
 
+// Check if user is a participant
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(
+    p => (p._id || p).toString() === userId.toString()
+  );
+};
+
+// Add a participant to a group conversation
+conversationSchema.methods.addParticipant = function(userId) {
+  if (!this.isGroup) {
+    throw new Error("Participants can only be added to group conversations");
+  }
+  if (this.isParticipant(userId)) {
+    throw new Error("User is already a participant");
+  }
+  
+  this.participants.push(userId);
+  return this.save();
+};
+
+// The participant who may remove others: the creator, or once they have
+// left, whoever has been in the group longest (participants are kept in the
+// order they joined)
+conversationSchema.methods.getGroupOwner = function() {
+  const creator = this.createdBy?._id || this.createdBy;
+  if (creator && this.isParticipant(creator)) return creator;
+  return this.participants[0]?._id || this.participants[0];
+};
+
+// Remove a participant (and their per-user state) from a group conversation.
+// If they created it, the longest-standing remaining participant takes over.
+conversationSchema.methods.removeParticipant = function(userId) {
+  if (!this.isGroup) {
+    throw new Error("Participants can only be removed from group conversations");
+  }
+  
+  const id = userId.toString();
+  this.participants = this.participants.filter(p => (p._id || p).toString() !== id);
+  this.unreadCount = this.unreadCount.filter(u => u.user.toString() !== id);
+  this.isArchived = this.isArchived.filter(a => a.user.toString() !== id);
+  this.isPinned = this.isPinned.filter(p => p.user.toString() !== id);
+  this.typingUsers = this.typingUsers.filter(t => t.toString() !== id);
+  if ((this.createdBy?._id || this.createdBy)?.toString() === id) {
+    this.createdBy = this.participants[0];
+  }
+  return this.save();
+};
+
 // Update last message reference
 conversationSchema.methods.updateLastMessage = function(messageId) {
   this.lastMessage = messageId;
@@ -100,32 +165,30 @@ conversationSchema.methods.updateLastMessage = function(messageId) {
   return this.save();
 };
 
-// Increment unread count for a user
-conversationSchema.methods.incrementUnread = function(userId) {
-  const unread = this.unreadCount.find(
-    u => u.user.toString() === userId.toString()
+// Add one to every participant's unread count but the sender's, in a single
+// update so overlapping sends and reads don't overwrite each other. Resolves
+// to the updated unreadCount entries.
+conversationSchema.methods.incrementUnread = async function(senderId) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { "unreadCount.$[u].count": 1 } },
+    { arrayFilters: [{ "u.user": { $ne: senderId } }], new: true, projection: { unreadCount: 1 } }
   );
-  
-  if (unread) {
-    unread.count += 1;
-  } else {
-    this.unreadCount.push({ user: userId, count: 1 });
-  }
-  
-  return this.save();
+  return updated ? updated.unreadCount : [];
 };
 
 // Reset unread count for a user
 conversationSchema.methods.resetUnread = function(userId) {
-  const unread = this.unreadCount.find(
-    u => u.user.toString() === userId.toString()
+  return this.setUnreadCount(userId, 0);
+};
+
+// Set unread count for a user
+conversationSchema.methods.setUnreadCount = function(userId, count) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { "unreadCount.$[u].count": count } },
+    { arrayFilters: [{ "u.user": userId }] }
   );
-  
-  if (unread) {
-    unread.count = 0;
-  }
-  
-  return this.save();
 };
 
 // Get unread count for a specific user
@@ -202,7 +265,8 @@ conversationSchema.statics.findOrCreate = async function(user1Id, user2Id) {
   const participants = [user1Id, user2Id].sort();
   
   let conversation = await this.findOne({
-    participants: { $all: participants, $size: 2 }
+    participants: { $all: participants, $size: 2 },
+    isGroup: { $ne: true }
   })
     .populate("participants", "name netId status profilePicture")
     .populate("lastMessage");
@@ -215,6 +279,23 @@ conversationSchema.statics.findOrCreate = async function(user1Id, user2Id) {
   return conversation;
 };
 
+// Static method to create a group conversation
+conversationSchema.statics.createGroup = async function(creatorId, participantIds, title) {
+  const participants = [...new Set([creatorId, ...participantIds].map(id => id.toString()))];
+  
+  if (participants.length < 3) {
+    throw new Error("Group conversation needs at least 3 participants");
+  }
+  
+  const conversation = await this.create({
+    participants,
+    isGroup: true,
+    title,
+    createdBy: creatorId
+  });
+  return conversation.populate("participants", "name netId status profilePicture");
+};
+
 // Static method to get user's conversations
 conversationSchema.statics.getUserConversations = function(userId, includeArchived = false) {
   const query = {
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const customEmojiSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true
+    },
+    // Used in reactions as ":name:"
+    name: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9_]{2,32}$/
+    },
+    storageKey: {
+      type: String,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+customEmojiSchema.index({ room: 1, name: 1 }, { unique: true });
+
+// URL the image is served from (room members only)
+customEmojiSchema.methods.getUrl = function() {
+  return `/api/v1/rooms/${this.room}/emoji/${this.name}`;
+};
+
+customEmojiSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    code: `:${this.name}:`,
+    url: this.getUrl(),
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+export default mongoose.model("CustomEmoji", customEmojiSchema);
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Most distinct emoji one message can collect
+export const MAX_REACTIONS_PER_MESSAGE = 20;
+
 const messageSchema = new mongoose.Schema(
   {
     sender: {
@@ -8,10 +11,26 @@ const messageSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    // Where the message was posted: a direct conversation or a room
+    targetType: {
+      type: String,
+      enum: ["conversation", "room"],
+      default: "conversation"
+    },
     conversation: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Conversation",
-      required: true,
+      required: function() {
+        return this.targetType === "conversation";
+      },
+      index: true
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: function() {
+        return this.targetType === "room";
+      },
       index: true
     },
     content: {
@@ -28,7 +47,12 @@ const messageSchema = new mongoose.Schema(
       default: "text"
     },
     attachments: [{
+      attachment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Attachment"
+      },
       fileUrl: { type: String },
+      thumbnailUrl: { type: String },
       fileName: { type: String },
       fileSize: { type: Number },
       mimeType: { type: String }
@@ -57,9 +81,80 @@ const messageSchema = new mongoose.Schema(
     deletedAt: {
       type: Date
     },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    // Previous versions of the content, kept for moderators. Not selected by
+    // default so it never goes out with regular message payloads.
+    editHistory: {
+      type: [{
+        content: { type: String },
+        editedAt: { type: Date, default: Date.now },
+        editedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        }
+      }],
+      select: false
+    },
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Message"
+    },
+    // Who the content mentions: users named with @netId, and whether it
+    // used @room (every member) or @here (members who are online)
+    mentions: {
+      type: {
+        _id: false,
+        users: [{
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        }],
+        room: { type: Boolean },
+        here: { type: Boolean }
+      },
+      default: undefined
+    },
+    // Id the sending client gave the message, so a retried send returns the
+    // message created the first time instead of posting it again
+    clientMessageId: {
+      type: String,
+      trim: true,
+      maxlength: 64
+    },
+    // The incoming webhook that posted the message. Such messages aren't
+    // sent on to outgoing webhooks, so two hooks can't feed each other.
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook"
+    },
+    // Reactions grouped by emoji, so payloads carry the counts as stored.
+    // Custom room emoji are stored as ":name:".
+    reactions: [{
+      _id: false,
+      emoji: { type: String, required: true },
+      users: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      }],
+      count: { type: Number, default: 0 }
+    }],
+    // Set while a room admin has the message pinned
+    pinnedAt: {
+      type: Date
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    // Thread bookkeeping, kept on the parent message
+    replyCount: {
+      type: Number,
+      default: 0
+    },
+    lastReplyAt: {
+      type: Date
     }
   },
   { 
@@ -67,12 +162,46 @@ const messageSchema = new mongoose.Schema(
   }
 );
 
-// Compound index for efficient querying of messages in a conversation
-messageSchema.index({ conversation: 1, createdAt: -1 });
+// Compound indexes for efficient querying of messages in a conversation or room
+// (_id breaks createdAt ties so history pages can be served from the index)
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ room: 1, createdAt: -1, _id: -1 });
+
+// Index for paging through a thread's replies
+messageSchema.index({ replyTo: 1, createdAt: -1, _id: -1 });
+
+// Index for listing a room's pinned messages
+messageSchema.index({ room: 1, pinnedAt: -1 }, { partialFilterExpression: { pinnedAt: { $type: "date" } } });
+
+// A client message id is used once per sender
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } }
+);
+
+// Indexes for catching up on messages edited or deleted while offline
+for (const target of ["conversation", "room"]) {
+  for (const field of ["editedAt", "deletedAt"]) {
+    messageSchema.index(
+      { [target]: 1, [field]: 1 },
+      { partialFilterExpression: { [field]: { $type: "date" } } }
+    );
+  }
+}
+
+// Full-text index for message search
+messageSchema.index({ content: "text" });
 
 // Index for finding unread messages
 messageSchema.index({ "readBy.user": 1 });
 
+// A message belongs to exactly one target
+messageSchema.pre("validate", function() {
+  if (this.conversation && this.room) {
+    throw new Error("A message cannot belong to both a conversation and a room");
+  }
+});
+
 // Method to mark message as read by a user
 messageSchema.methods.markAsRead = function(userId) {
   const alreadyRead = this.readBy.some(
@@ -97,8 +226,12 @@ messageSchema.methods.isReadBy = function(userId) {
 };
 
 // Method to soft delete a message
-messageSchema.methods.softDelete = function() {
+messageSchema.methods.softDelete = function(deletedBy) {
+  if (this.isSelected("editHistory")) {
+    this.editHistory.push({ content: this.content, editedAt: new Date(), editedBy: deletedBy });
+  }
   this.isDeleted = true;
+  this.deletedBy = deletedBy;
   this.deletedAt = new Date();
   this.content = "This message was deleted";
   return this.save();
@@ -106,12 +239,72 @@ messageSchema.methods.softDelete = function() {
 
 // Method to edit message
 messageSchema.methods.editMessage = function(newContent) {
+  if (this.isSelected("editHistory")) {
+    this.editHistory.push({ content: this.content, editedAt: new Date(), editedBy: this.sender });
+  }
   this.content = newContent;
   this.isEdited = true;
   this.editedAt = new Date();
   return this.save();
 };
 
+// Static method to record a new reply on a thread's parent message
+messageSchema.statics.recordReply = function(parentId, repliedAt = new Date()) {
+  return this.findByIdAndUpdate(
+    parentId,
+    { $inc: { replyCount: 1 }, $max: { lastReplyAt: repliedAt } },
+    { new: true }
+  );
+};
+
+// Static method to add a user's reaction. Returns the updated message, or
+// null if the user had already reacted with that emoji or the message has run
+// out of room for new emoji.
+messageSchema.statics.addReaction = async function(messageId, emoji, userId) {
+  // Join an emoji someone else already used
+  const join = () => this.findOneAndUpdate(
+    { _id: messageId, reactions: { $elemMatch: { emoji, users: { $ne: userId } } } },
+    { $push: { "reactions.$.users": userId }, $inc: { "reactions.$.count": 1 } },
+    { new: true }
+  );
+
+  // Or be the first to use it
+  const start = () => this.findOneAndUpdate(
+    {
+      _id: messageId,
+      "reactions.emoji": { $ne: emoji },
+      [`reactions.${MAX_REACTIONS_PER_MESSAGE - 1}`]: { $exists: false }
+    },
+    { $push: { reactions: { emoji, users: [userId], count: 1 } } },
+    { new: true }
+  );
+
+  // The second join covers someone else adding the emoji in between
+  return (await join()) || (await start()) || join();
+};
+
+// Static method to remove a user's reaction; emoji nobody uses any more are
+// dropped. Returns the updated message, or null if there was nothing to remove.
+messageSchema.statics.removeReaction = async function(messageId, emoji, userId) {
+  const updated = await this.findOneAndUpdate(
+    { _id: messageId, reactions: { $elemMatch: { emoji, users: userId } } },
+    { $pull: { "reactions.$.users": userId }, $inc: { "reactions.$.count": -1 } },
+    { new: true }
+  );
+  if (!updated || updated.reactions.every(r => r.count > 0)) return updated;
+
+  return this.findOneAndUpdate(
+    { _id: messageId },
+    { $pull: { reactions: { count: { $lte: 0 } } } },
+    { new: true }
+  );
+};
+
+// Static method to build the query filter for a conversation's or room's messages
+messageSchema.statics.targetFilter = function(targetType, targetId) {
+  return targetType === "room" ? { room: targetId } : { conversation: targetId };
+};
+
 // Static method to get unread count for a user in a conversation
 messageSchema.statics.getUnreadCount = function(conversationId, userId) {
   return this.countDocuments({
@@ -122,6 +315,44 @@ messageSchema.statics.getUnreadCount = function(conversationId, userId) {
   });
 };
 
+// Static method to mark every message up to a point as read by a user
+messageSchema.statics.markReadUpTo = function(conversationId, userId, upTo = new Date()) {
+  return this.updateMany(
+    {
+      conversation: conversationId,
+      sender: { $ne: userId },
+      "readBy.user": { $ne: userId },
+      createdAt: { $lte: upTo }
+    },
+    { $push: { readBy: { user: userId, readAt: new Date() } } }
+  );
+};
+
+// Static method to count messages from others in a room sent after a point in
+// time (rooms track a read marker per member instead of readBy entries)
+messageSchema.statics.countSince = function(roomId, userId, since) {
+  return this.countDocuments({
+    room: roomId,
+    sender: { $ne: userId },
+    createdAt: { $gt: since },
+    isDeleted: false
+  });
+};
+
+// Static method to full-text search messages matching `filter`, best match first
+messageSchema.statics.search = function(text, filter, { skip = 0, limit = 20 } = {}) {
+  return this.find(
+    { $text: { $search: text }, isDeleted: false, ...filter },
+    { score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate("sender", "name netId")
+    .populate("conversation", "participants isGroup title")
+    .populate("room", "name");
+};
+
 // Static method to get recent messages for a conversation
 messageSchema.statics.getRecentMessages = function(conversationId, limit = 50) {
   return this.find({ 
@@ -134,4 +365,37 @@ messageSchema.statics.getRecentMessages = function(conversationId, limit = 50) {
     .populate("replyTo", "content sender");
 };
 
+// Static method to get a page of messages for a conversation or room (`target`
+// is a targetFilter), newest first. `before`/`after` are cursor messages
+// ({ _id, createdAt }); ties on createdAt are broken by _id so no message is
+// skipped or repeated between pages.
+messageSchema.statics.getHistory = async function(target, { before, after, limit = 50 } = {}) {
+  const query = { ...target };
+  const cursor = before || after;
+  const ascending = !before && !!after;
+
+  if (cursor) {
+    const op = before ? "$lt" : "$gt";
+    query.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ];
+  }
+
+  const order = ascending ? 1 : -1;
+  const messages = await this.find(query)
+    .sort({ createdAt: order, _id: order })
+    .limit(limit + 1)
+    .populate("sender", "name netId")
+    .populate("replyTo", "content sender");
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  if (ascending) {
+    page.reverse();
+  }
+
+  return { messages: page, hasMore };
+};
+
 export default mongoose.model("Message", messageSchema);
\ No newline at end of file
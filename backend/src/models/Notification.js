@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+// mention - @netId, @room or @here in a message
+// reply   - a reply to one of the user's messages
+// invite  - added to a group conversation
+// message - new direct messages while offline; one unread notification per
+//           conversation collects them (`count`)
+export const NOTIFICATION_TYPES = ["mention", "reply", "invite", "message"];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    // Who the notification is for
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true
+    },
+    // Who caused it
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    targetType: {
+      type: String,
+      enum: ["conversation", "room"],
+      required: true
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation"
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room"
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message"
+    },
+    // For mentions: whether the user was named, or reached by @room/@here
+    mentionKind: {
+      type: String,
+      enum: ["user", "room", "here"]
+    },
+    // The start of the message, so the list doesn't need to load messages
+    preview: {
+      type: String,
+      maxlength: 200
+    },
+    count: {
+      type: Number,
+      default: 1
+    },
+    readAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+notificationSchema.index({ user: 1, _id: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ message: 1 });
+// Notifications are dropped after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// What clients receive; populate actor ("name netId") first
+notificationSchema.methods.toPayload = function() {
+  return {
+    id: this._id.toString(),
+    type: this.type,
+    mentionKind: this.mentionKind,
+    actor: this.actor?.name ? { id: this.actor._id.toString(), name: this.actor.name, netId: this.actor.netId } : null,
+    conversationId: this.conversation?.toString(),
+    roomId: this.room?.toString(),
+    messageId: this.message?.toString(),
+    preview: this.preview,
+    count: this.count,
+    read: Boolean(this.readAt),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.unreadCount = function(userId) {
+  return this.countDocuments({ user: userId, readAt: { $exists: false } });
+};
+
+export default mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+// How much a user hears about one conversation or room:
+//   all      - mentions, replies and (conversations) new messages
+//   mentions - only when mentioned
+//   none     - nothing
+// Without a setting, everything is on ("all").
+export const NOTIFICATION_LEVELS = ["all", "mentions", "none"];
+
+const notificationSettingSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    targetType: {
+      type: String,
+      enum: ["conversation", "room"],
+      required: true
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation"
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room"
+    },
+    level: {
+      type: String,
+      enum: NOTIFICATION_LEVELS,
+      default: "all"
+    },
+    // Everything is silenced until then, whatever the level
+    mutedUntil: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+notificationSettingSchema.index(
+  { conversation: 1, user: 1 },
+  { unique: true, partialFilterExpression: { conversation: { $type: "objectId" } } }
+);
+notificationSettingSchema.index(
+  { room: 1, user: 1 },
+  { unique: true, partialFilterExpression: { room: { $type: "objectId" } } }
+);
+notificationSettingSchema.index({ user: 1 });
+
+// The level in force right now, taking a mute into account
+notificationSettingSchema.methods.effectiveLevel = function(now = new Date()) {
+  return this.mutedUntil && this.mutedUntil > now ? "none" : this.level;
+};
+
+notificationSettingSchema.methods.toPayload = function() {
+  return {
+    conversationId: this.conversation?.toString(),
+    roomId: this.room?.toString(),
+    level: this.level,
+    mutedUntil: this.mutedUntil && this.mutedUntil > new Date() ? this.mutedUntil : null
+  };
+};
+
+// Static method to get the effective level of each of `userIds` for a
+// conversation or room, as a Map of user id to level
+notificationSettingSchema.statics.levelsFor = async function(userIds, targetFilter) {
+  const settings = await this.find({ ...targetFilter, user: { $in: userIds } });
+  const levels = new Map(userIds.map(id => [id.toString(), "all"]));
+  for (const setting of settings) {
+    levels.set(setting.user.toString(), setting.effectiveLevel());
+  }
+  return levels;
+};
+
+export default mongoose.model("NotificationSetting", notificationSettingSchema);
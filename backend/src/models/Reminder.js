@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+const reminderSchema = new mongoose.Schema(
+  {
+    // Who set the reminder; it is sent to them as a direct message
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000
+    },
+    dueAt: {
+      type: Date,
+      required: true
+    },
+    deliveredAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+reminderSchema.index({ deliveredAt: 1, dueAt: 1 });
+
+// Static method to claim the next due reminder. The update is atomic, so
+// when several server processes poll, each reminder is delivered once.
+reminderSchema.statics.claimDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { deliveredAt: { $exists: false }, dueAt: { $lte: now } },
+    { $set: { deliveredAt: now } },
+    { sort: { dueAt: 1 }, new: true }
+  );
+};
+
+export default mongoose.model("Reminder", reminderSchema);
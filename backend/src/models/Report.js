@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = ["spam", "harassment", "inappropriate", "other"];
+
+const reportSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    // Open reports make up the room's moderation queue
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open"
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    resolvedAt: {
+      type: Date
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One report per member per message
+reportSchema.index({ message: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ room: 1, status: 1, createdAt: -1 });
+
+// Close the report as resolved (action taken) or dismissed
+reportSchema.methods.close = function(status, userId, note) {
+  this.status = status;
+  this.resolvedBy = userId;
+  this.resolvedAt = new Date();
+  this.note = note;
+  return this.save();
+};
+
+export default mongoose.model("Report", reportSchema);
@@ -45,6 +45,10 @@ const roomSchema = new mongoose.Schema(
       joinedAt: {
         type: Date,
         default: Date.now
+      },
+      lastReadAt: {
+        type: Date,
+        default: Date.now
       }
     }],
     maxMembers: {
@@ -58,6 +62,65 @@ const roomSchema = new mongoose.Schema(
       enum: ["academic", "social", "housing", "sports", "clubs", "general"],
       default: "general"
     },
+    // Members (not admins) may send one message per this many seconds; 0 is off
+    slowModeSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 6 * 60 * 60
+    },
+    // Members who may not post until `until`. Carries the moderator and
+    // reason, so not selected by default.
+    mutes: {
+      type: [{
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true
+        },
+        until: {
+          type: Date,
+          required: true
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: 500
+        }
+      }],
+      select: false
+    },
+    // Users who may not join again, even with the invite code. Only for
+    // admins, so not selected by default.
+    bans: {
+      type: [{
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: 500
+        },
+        bannedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      select: false
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -77,6 +140,7 @@ roomSchema.index({ isPrivate: 1, isActive: 1 });
 roomSchema.index({ "members.user": 1 });
 roomSchema.index({ category: 1 });
 roomSchema.index({ lastActivity: -1 });
+roomSchema.index({ "bans.user": 1 });
 
 // Generate unique invite code for private rooms
 roomSchema.methods.generateInviteCode = function() {
@@ -149,6 +213,48 @@ roomSchema.methods.isAdminOrOwner = function(userId) {
   return member && (member.role === "owner" || member.role === "admin");
 };
 
+// Get the time up to which a member has read the room
+roomSchema.methods.getLastReadAt = function(userId) {
+  const member = this.members.find(
+    m => (m.user._id || m.user).toString() === userId.toString()
+  );
+  return member ? (member.lastReadAt || member.joinedAt) : null;
+};
+
+// Move a member's read marker forward (never backwards)
+roomSchema.methods.markReadForMember = function(userId, readAt = new Date()) {
+  return this.constructor.updateOne(
+    { _id: this._id, "members.user": userId },
+    { $max: { "members.$.lastReadAt": readAt } }
+  );
+};
+
+// Get a member's mute if it hasn't run out yet (load the room with +mutes)
+roomSchema.methods.getActiveMute = function(userId, now = new Date()) {
+  return this.mutes.find(
+    m => m.user.toString() === userId.toString() && m.until > now
+  ) || null;
+};
+
+// Mute a member until the given time, replacing any earlier mute and
+// dropping mutes that have run out (load the room with +mutes)
+roomSchema.methods.muteMember = function(userId, until, { by, reason } = {}) {
+  const now = new Date();
+  this.mutes = this.mutes.filter(
+    m => m.user.toString() !== userId.toString() && m.until > now
+  );
+  this.mutes.push({ user: userId, until, by, reason });
+  return this.save();
+};
+
+// Lift a member's mute (load the room with +mutes)
+roomSchema.methods.unmuteMember = function(userId) {
+  this.mutes = this.mutes.filter(
+    m => m.user.toString() !== userId.toString()
+  );
+  return this.save();
+};
+
 // Get member count
 roomSchema.methods.getMemberCount = function() {
   return this.members.length;
@@ -184,6 +290,25 @@ roomSchema.statics.findByCategory = function(category, limit = 20) {
     .populate("createdBy", "name netId");
 };
 
+// Static method to search public rooms by name, optionally in a category
+roomSchema.statics.searchPublicRooms = function(search, category, limit = 20) {
+  const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const query = {
+    name: { $regex: escaped, $options: "i" },
+    isPrivate: false,
+    isActive: true
+  };
+  if (category) {
+    query.category = category;
+  }
+
+  return this.find(query)
+    .sort({ lastActivity: -1 })
+    .limit(limit)
+    .populate("createdBy", "name netId")
+    .select("-inviteCode");
+};
+
 // Static method to find room by invite code
 roomSchema.statics.findByInviteCode = function(code) {
   return this.findOne({ 
@@ -195,6 +320,11 @@ roomSchema.statics.findByInviteCode = function(code) {
     .populate("members.user", "name netId status");
 };
 
+// Static method to check whether a user is banned from a room
+roomSchema.statics.isBanned = async function(roomId, userId) {
+  return Boolean(await this.exists({ _id: roomId, "bans.user": userId }));
+};
+
 // Static method to find user's rooms
 roomSchema.statics.findUserRooms = function(userId) {
   return this.find({ 
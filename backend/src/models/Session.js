@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// A signed in device. The browser holds a refresh token (in an httpOnly
+// cookie) that is swapped for a new one on every refresh; only hashes are
+// stored. Access tokens name their session, so revoking it cuts off the
+// device within one request.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    // The token that was rotated out last. Seeing it again shortly after
+    // rotation is a race between tabs; later, it means the token was stolen.
+    previousTokenHash: {
+      type: String,
+      select: false
+    },
+    rotatedAt: {
+      type: Date
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500
+    },
+    ip: {
+      type: String
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Moves forward on every refresh, so idle devices are signed out
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "signout_all", "password_reset", "token_reuse"]
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Drop sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// What the device list shows
+sessionSchema.methods.getPublicInfo = function(currentSessionId) {
+  return {
+    id: this._id.toString(),
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: this._id.toString() === currentSessionId?.toString()
+  };
+};
+
+// Query for the sessions that are still usable
+sessionSchema.statics.activeFilter = function(now = new Date()) {
+  return { revokedAt: { $exists: false }, expiresAt: { $gt: now } };
+};
+
+export default mongoose.model("Session", sessionSchema);
@@ -1,4 +1,17 @@
 import mongoose from "mongoose";
+import { hashPassword, hashToken, randomToken, verifyPassword } from "../auth/passwords.js";
+
+// How long emailed links stay valid
+const EMAIL_TOKEN_TTL_MS = {
+  verify: 24 * 60 * 60 * 1000,
+  reset: 60 * 60 * 1000
+};
+
+// Bot accounts are named "<slug>-bot" (bots/index.js), so people's netIds,
+// taken from their email, can't end that way
+export function isReservedNetId(netId) {
+  return typeof netId === "string" && netId.toLowerCase().endsWith("-bot");
+}
 
 const userSchema = new mongoose.Schema(
   {
@@ -9,39 +22,120 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
       validate: {
-        validator: (v) => typeof v === "string" && v.toLowerCase().endsWith("@illinois.edu"),
+        // Bot accounts never sign in, so they are exempt from the domain rule
+        validator: function (v) {
+          return this.isBot === true || (typeof v === "string" && v.toLowerCase().endsWith("@illinois.edu"));
+        },
         message: "Email must be from @illinois.edu domain"
       }
     },
+    isBot: { type: Boolean, default: false },
     googleId: { type: String, unique: true, sparse: true },
+    // Set for accounts that signed up with a password, or added one through
+    // a password reset; Google-only accounts have none
+    passwordHash: { type: String, select: false },
+    // Proven by following the emailed link, resetting the password or
+    // signing in with Google
+    emailVerified: { type: Boolean, default: false },
+    // Hashes of the tokens in emailed verification and reset links
+    verifyToken: { type: String, select: false },
+    verifyTokenExpiresAt: { type: Date, select: false },
+    resetToken: { type: String, select: false },
+    resetTokenExpiresAt: { type: Date, select: false },
     name: { type: String, required: true, trim: true },
-    status: { type: String, enum: ["online", "offline"], default: "offline" },
+    // Effective presence, derived from connected sockets and preferredStatus
+    status: { type: String, enum: ["online", "away", "dnd", "offline"], default: "offline" },
+    // What the user asked for: "auto" follows activity, the others stick
+    preferredStatus: { type: String, enum: ["auto", "away", "dnd"], default: "auto" },
+    customStatus: {
+      text: { type: String, trim: true, maxlength: 100 },
+      emoji: { type: String, trim: true, maxlength: 16 },
+      expiresAt: { type: Date }
+    },
+    // Emailed summaries of unread DMs and mentions while offline; "off" opts out
+    emailDigest: {
+      frequency: { type: String, enum: ["off", "hourly", "daily", "weekly"], default: "daily" },
+      lastSentAt: { type: Date },
+      // When the scheduler last looked, whether or not it sent anything
+      lastCheckedAt: { type: Date }
+    },
     lastSeen: { type: Date, default: Date.now }, 
     netId: {
         type: String,
         required: true,
         unique: true,
         lowercase: true,
-    trim: true
+    trim: true,
+      validate: {
+        validator: function (v) {
+          return this.isBot === true || !isReservedNetId(v);
+        },
+        message: "NetIDs ending in -bot are reserved for bots"
+      }
     }
   },
   { timestamps: true }
 );
 
 userSchema.index({ status: 1 });
+userSchema.index({ status: 1, "emailDigest.lastCheckedAt": 1 });
+userSchema.index({ verifyToken: 1 }, { sparse: true });
+userSchema.index({ resetToken: 1 }, { sparse: true });
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await hashPassword(password);
+};
+
+// Needs passwordHash, which is not selected by default
+userSchema.methods.checkPassword = function (password) {
+  return this.passwordHash ? verifyPassword(password, this.passwordHash) : false;
+};
+
+// Start a "verify" or "reset" flow, replacing any earlier link for it;
+// returns the token to email
+userSchema.methods.createEmailToken = function (purpose) {
+  const token = randomToken();
+  this[`${purpose}Token`] = hashToken(token);
+  this[`${purpose}TokenExpiresAt`] = new Date(Date.now() + EMAIL_TOKEN_TTL_MS[purpose]);
+  return token;
+};
+
+userSchema.methods.clearEmailToken = function (purpose) {
+  this[`${purpose}Token`] = undefined;
+  this[`${purpose}TokenExpiresAt`] = undefined;
+};
+
+// The user an unexpired "verify" or "reset" token was sent to, with the
+// password hash selected
+userSchema.statics.findByEmailToken = function (purpose, token) {
+  return this.findOne({
+    [`${purpose}Token`]: hashToken(token),
+    [`${purpose}TokenExpiresAt`]: { $gt: new Date() }
+  }).select("+passwordHash");
+};
+
+// Custom status text, or null once it has expired
+userSchema.methods.getCustomStatus = function () {
+  const custom = this.customStatus;
+  if (!custom?.text && !custom?.emoji) return null;
+  if (custom.expiresAt && custom.expiresAt <= new Date()) return null;
+  return { text: custom.text, emoji: custom.emoji, expiresAt: custom.expiresAt };
+};
 
 userSchema.methods.getPublicProfile = function () {
   return {
     id: this._id.toString(),
     name: this.name,
     status: this.status,
+    customStatus: this.getCustomStatus(),
     lastSeen: this.lastSeen,
-    netId: this.netId
+    netId: this.netId,
+    isBot: this.isBot
   };
 };
 
 userSchema.statics.findOnlineUsers = function () {
-  return this.find({ status: "online" });
+  return this.find({ status: { $ne: "offline" } });
 };
 
 export default mongoose.model("User", userSchema);
\ No newline at end of file
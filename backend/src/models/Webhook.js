@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+export const WEBHOOK_EVENTS = ["message:new", "member:joined", "member:left", "room:updated"];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+      index: true
+    },
+    // incoming: outside systems post into the room through a secret URL
+    // outgoing: room activity is POSTed to `url`
+    kind: {
+      type: String,
+      enum: ["incoming", "outgoing"],
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    // Bot user that incoming messages are posted as
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    url: {
+      type: String,
+      trim: true,
+      required: function() { return this.kind === "outgoing"; },
+      match: /^https?:\/\/\S+$/
+    },
+    // Outgoing payloads are signed with this, so it is kept as-is
+    secret: {
+      type: String,
+      select: false
+    },
+    events: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Tokens and secrets are only ever handed out when they are created
+      transform(doc, ret) {
+        delete ret.tokenHash;
+        delete ret.secret;
+        return ret;
+      }
+    }
+  }
+);
+
+webhookSchema.index({ room: 1, kind: 1, isActive: 1 });
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Issue a new token for an incoming webhook; only its hash is stored
+webhookSchema.methods.generateToken = async function() {
+  const token = crypto.randomBytes(24).toString("hex");
+  this.tokenHash = hashToken(token);
+  await this.save();
+  return token;
+};
+
+// Issue a new signing secret for an outgoing webhook
+webhookSchema.methods.generateSecret = async function() {
+  this.secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  await this.save();
+  return this.secret;
+};
+
+// Check an incoming webhook's token (needs tokenHash selected)
+webhookSchema.methods.verifyToken = function(token) {
+  if (typeof token !== "string" || !this.tokenHash) return false;
+  const expected = Buffer.from(this.tokenHash, "hex");
+  const actual = Buffer.from(hashToken(token), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Static method to find the active outgoing webhooks of a room for an event
+webhookSchema.statics.findSubscribers = function(roomId, event) {
+  return this.find({ room: roomId, kind: "outgoing", isActive: true, events: event }).select("+secret");
+};
+
+export default mongoose.model("Webhook", webhookSchema);
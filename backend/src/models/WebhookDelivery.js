@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// How long the delivery log keeps entries
+const LOG_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    // Exact JSON body sent (and signed), so retries send the same bytes
+    body: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending"
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    responseStatus: {
+      type: Number
+    },
+    lastError: {
+      type: String
+    },
+    deliveredAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOG_RETENTION_SECONDS });
+
+// Static method to claim a delivery that is due for an attempt. Pushing
+// nextAttemptAt forward works as a lease, so only one process sends it.
+webhookDeliverySchema.statics.claimDue = function(leaseMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
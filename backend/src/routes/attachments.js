@@ -0,0 +1,45 @@
+import { Router } from "express";
+import multer from "multer";
+import { uploadAttachment, openAttachment, maxUploadBytes } from "../services/attachments.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+const router = Router();
+
+// Files are kept in memory only long enough to hand them to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxUploadBytes(), files: 1 }
+});
+
+// Send an attachment (or its thumbnail) to the client
+async function sendFile(req, res, thumbnail) {
+  const { stream, fileName, mimeType } = await openAttachment(req.user.id, { ...req.valid, thumbnail });
+
+  res.set("Content-Type", mimeType);
+  res.set("X-Content-Type-Options", "nosniff");
+  res.attachment(fileName);
+  if (thumbnail || mimeType.startsWith("image/")) {
+    res.set("Content-Disposition", res.get("Content-Disposition").replace("attachment", "inline"));
+  }
+  stream.on("error", err => res.destroy(err));
+  stream.pipe(res);
+}
+
+// Upload a file to attach to a message later (multipart field "file")
+router.post("/", upload.single("file"), async (req, res) => {
+  const result = await uploadAttachment(req.user.id, req.file);
+  res.status(201).json({ success: true, ...result });
+});
+
+// Download an attachment
+router.get("/:id", validate(schemas.attachmentRef, { id: "attachmentId" }), async (req, res) => {
+  await sendFile(req, res, false);
+});
+
+// Download an image attachment's thumbnail
+router.get("/:id/thumbnail", validate(schemas.attachmentRef, { id: "attachmentId" }), async (req, res) => {
+  await sendFile(req, res, true);
+});
+
+export default router;
@@ -0,0 +1,128 @@
+import { Router } from "express";
+import passport from "passport";
+import {
+  signup,
+  verifyEmail,
+  resendVerification,
+  login,
+  requestPasswordReset,
+  resetPassword
+} from "../services/accounts.js";
+import {
+  createSession,
+  refreshSession,
+  endSession,
+  createAuthCode,
+  exchangeAuthCode
+} from "../services/sessions.js";
+import { readRefreshToken, setRefreshCookie, clearRefreshCookie } from "../auth/cookies.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+// Sign-in routes, mounted at /auth. Signing in (with Google or a password)
+// starts a session: the response carries a short-lived access token and sets
+// the session's refresh token as an httpOnly cookie, which /auth/refresh
+// swaps for new ones. The password routes have tighter rate limits; logins
+// are limited per IP, per email and per IP and email together, since a whole
+// campus can share one address.
+const router = Router();
+
+function clientInfo(req) {
+  return { userAgent: req.get("user-agent"), ip: req.ip };
+}
+
+// The account a login is for. Runs before validation, so the body is raw.
+function loginKey(req) {
+  const email = req.body?.email;
+  return typeof email === "string" ? email.trim().toLowerCase().slice(0, 254) : "";
+}
+
+// Start a session for a signed in user and send its access token
+async function startSession(req, res, user) {
+  const { token, refreshToken, expiresAt } = await createSession(user, clientInfo(req));
+  setRefreshCookie(res, refreshToken, expiresAt);
+  res.json({ success: true, token });
+}
+
+// Start Google sign-in
+router.get("/google", passport.authenticate("google", { scope: ["profile", "email"] }));
+
+// Google redirects back here. The client gets a one-time code to swap for a
+// session at /auth/exchange, so no token ends up in the URL or history.
+router.get(
+  "/google/callback",
+  passport.authenticate("google", { session: false, failureRedirect: `${process.env.CLIENT_URL}/login?error=oauth` }),
+  async (req, res) => {
+    const code = await createAuthCode(req.user);
+    res.redirect(`${process.env.CLIENT_URL}/login/success?code=${encodeURIComponent(code)}`);
+  }
+);
+
+// Swap the code from the Google redirect for a session
+router.post("/exchange", rateLimit("exchange"), validate(schemas.exchangeCode), async (req, res) => {
+  const { user } = await exchangeAuthCode(req.valid);
+  await startSession(req, res, user);
+});
+
+// New access token (and rotated refresh token) from the session cookie
+router.post("/refresh", async (req, res) => {
+  let result;
+  try {
+    result = await refreshSession(req.app.get("io"), readRefreshToken(req), clientInfo(req));
+  } catch (err) {
+    // Only drop the cookie when the session is gone, not on a server error
+    if (err.status === 401) clearRefreshCookie(res);
+    throw err;
+  }
+  if (result.refreshToken) {
+    setRefreshCookie(res, result.refreshToken, result.expiresAt);
+  }
+  res.json({ success: true, token: result.token });
+});
+
+// Sign out this device
+router.post("/logout", async (req, res) => {
+  await endSession(req.app.get("io"), readRefreshToken(req));
+  clearRefreshCookie(res);
+  res.json({ success: true });
+});
+
+// Create a password account; a verification link is emailed
+router.post("/signup", rateLimit("signup"), validate(schemas.signup), async (req, res) => {
+  const result = await signup(req.valid);
+  res.status(201).json({ success: true, ...result });
+});
+
+// Verify the email address with the token from the link
+router.post("/verify", rateLimit("auth"), validate(schemas.verifyEmail), async (req, res) => {
+  const { user } = await verifyEmail(req.valid);
+  await startSession(req, res, user);
+});
+
+// Email a new verification link
+router.post("/verify/resend", rateLimit("auth"), validate(schemas.accountEmail), async (req, res) => {
+  const result = await resendVerification(req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Sign in with email and password
+router.post("/login", rateLimit("login", { key: loginKey }), validate(schemas.login), async (req, res) => {
+  const { user } = await login(req.valid);
+  await startSession(req, res, user);
+});
+
+// Email a password reset link
+router.post("/password/forgot", rateLimit("auth"), validate(schemas.accountEmail), async (req, res) => {
+  const result = await requestPasswordReset(req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Choose a new password with the token from the reset link; other devices
+// are signed out
+router.post("/password/reset", rateLimit("auth"), validate(schemas.resetPassword), async (req, res) => {
+  const { user } = await resetPassword(req.app.get("io"), req.valid);
+  await startSession(req, res, user);
+});
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import { createBot, listBots, regenerateBotToken } from "../services/bots.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+const router = Router();
+
+// List the user's bots and the built-in ones
+router.get("/", async (req, res) => {
+  const result = await listBots(req.user.id);
+  res.json({ success: true, ...result });
+});
+
+// Register a bot; the response holds its API token, shown only this once
+router.post("/", validate(schemas.createBot), async (req, res) => {
+  const result = await createBot(req.user.id, req.valid);
+  res.status(201).json({ success: true, ...result });
+});
+
+// Replace a bot's API token (owner)
+router.post("/:id/token", validate(schemas.botRef, { id: "botId" }), async (req, res) => {
+  const result = await regenerateBotToken(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+export default router;
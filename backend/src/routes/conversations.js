@@ -0,0 +1,109 @@
+import { Router } from "express";
+import {
+  listConversations,
+  startConversation,
+  getConversation,
+  sendConversationMessage,
+  createGroupConversation,
+  updateGroupConversation,
+  addParticipants,
+  removeParticipant,
+  pinConversation,
+  archiveConversation
+} from "../services/conversations.js";
+import { getMessageHistory, markRead } from "../services/messages.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+const router = Router();
+
+// Get user's conversations
+router.get("/", validate(schemas.listConversations), async (req, res) => {
+  const result = await listConversations(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Start/get a conversation
+router.post("/", validate(schemas.startConversation), async (req, res) => {
+  const result = await startConversation(req.user.id, req.valid.otherUserId);
+  res.json({ success: true, ...result });
+});
+
+// Create a group conversation
+router.post("/groups", validate(schemas.createGroup), async (req, res) => {
+  const result = await createGroupConversation(req.app.get("io"), req.user.id, req.valid);
+  res.status(201).json({ success: true, ...result });
+});
+
+// Get a conversation with its messages
+router.get("/:id", validate(schemas.conversationRef, { id: "conversationId" }), async (req, res) => {
+  const result = await getConversation(req.user.id, req.valid.conversationId);
+  res.json({ success: true, ...result });
+});
+
+// Page through messages in a conversation, newest first
+router.get("/:id/messages", validate(schemas.messageHistory, { id: "conversationId" }), async (req, res) => {
+  const { conversationId, before, after, limit } = req.valid;
+  const result = await getMessageHistory(req.user.id, { conversationId, before, after, limit });
+  res.json({ success: true, ...result });
+});
+
+// Send message in conversation
+router.post(
+  "/:id/messages",
+  rateLimit("message"),
+  validate(schemas.sendConversationMessage, { id: "conversationId" }),
+  async (req, res) => {
+    const result = await sendConversationMessage(req.app.get("io"), req.user.id, req.valid);
+    // Slash commands return the command's reply instead of a new message
+    res.status(result.message ? 201 : 200).json({ success: true, ...result });
+  }
+);
+
+// Mark conversation as read, optionally only up to a message
+router.post("/:id/read", validate(schemas.markRead, { id: "conversationId" }), async (req, res) => {
+  const { conversationId, upTo } = req.valid;
+  const result = await markRead(req.app.get("io"), req.user.id, { conversationId, upTo });
+  res.json({ success: true, ...result });
+});
+
+// Rename a group conversation
+router.patch("/:id", validate(schemas.updateConversation, { id: "conversationId" }), async (req, res) => {
+  const result = await updateGroupConversation(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Add people to a group conversation
+router.post("/:id/participants", validate(schemas.addParticipants, { id: "conversationId" }), async (req, res) => {
+  const result = await addParticipants(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Remove someone from (or leave) a group conversation
+router.delete(
+  "/:id/participants/:userId",
+  validate(schemas.removeParticipant, { id: "conversationId", userId: "userId" }),
+  async (req, res) => {
+    const { conversationId, userId } = req.valid;
+    const result = await removeParticipant(req.app.get("io"), req.user.id, {
+      conversationId,
+      participantId: userId
+    });
+    res.json({ success: true, ...result });
+  }
+);
+
+// Pin/unpin a conversation for this user
+router.post("/:id/pin", validate(schemas.pinConversation, { id: "conversationId" }), async (req, res) => {
+  const result = await pinConversation(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Archive/unarchive a conversation for this user
+router.post("/:id/archive", validate(schemas.archiveConversation, { id: "conversationId" }), async (req, res) => {
+  const result = await archiveConversation(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+export default router;
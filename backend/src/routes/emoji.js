@@ -0,0 +1,50 @@
+import { Router } from "express";
+import multer from "multer";
+import {
+  listCustomEmoji,
+  addCustomEmoji,
+  removeCustomEmoji,
+  openCustomEmoji,
+  MAX_EMOJI_BYTES
+} from "../services/emoji.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+// A room's custom emoji, mounted at /rooms/:id/emoji
+const router = Router({ mergeParams: true });
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_EMOJI_BYTES, files: 1 }
+});
+
+// List the room's custom emoji
+router.get("/", validate(schemas.roomRef, { id: "roomId" }), async (req, res) => {
+  const result = await listCustomEmoji(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Add a custom emoji (admins/owner; multipart fields "name" and "image")
+router.post("/", upload.single("image"), validate(schemas.addEmoji, { id: "roomId" }), async (req, res) => {
+  const result = await addCustomEmoji(req.user.id, { ...req.valid, file: req.file });
+  res.status(201).json({ success: true, ...result });
+});
+
+// Get a custom emoji's image
+router.get("/:name", validate(schemas.emojiRef, { id: "roomId", name: "name" }), async (req, res) => {
+  const { stream, mimeType } = await openCustomEmoji(req.user.id, req.valid);
+
+  res.set("Content-Type", mimeType);
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Cache-Control", "private, max-age=86400");
+  stream.on("error", err => res.destroy(err));
+  stream.pipe(res);
+});
+
+// Remove a custom emoji (admins/owner)
+router.delete("/:name", validate(schemas.emojiRef, { id: "roomId", name: "name" }), async (req, res) => {
+  const result = await removeCustomEmoji(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+export default router;
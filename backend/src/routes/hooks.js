@@ -0,0 +1,19 @@
+import { Router } from "express";
+import { receiveIncomingWebhook } from "../services/webhooks.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+// Incoming webhook endpoints. These are called by outside systems, so they
+// authenticate with the token in the URL instead of a JWT.
+const router = Router();
+
+router.use(rateLimit("hooks"));
+
+// Post a message into the webhook's room: { content, system }
+router.post("/:id/:token", validate(schemas.incomingWebhook, { id: "webhookId", token: "token" }), async (req, res) => {
+  const result = await receiveIncomingWebhook(req.app.get("io"), req.valid);
+  res.status(201).json({ success: true, ...result });
+});
+
+export default router;
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import { authenticateJWT } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import usersRouter from "./users.js";
+import conversationsRouter from "./conversations.js";
+import roomsRouter from "./rooms.js";
+import messagesRouter from "./messages.js";
+import attachmentsRouter from "./attachments.js";
+import botsRouter from "./bots.js";
+import sessionsRouter from "./sessions.js";
+import notificationsRouter from "./notifications.js";
+
+// Versioned REST API, mounted at /api/v1. Every route requires a JWT and is
+// rate limited per user.
+const router = Router();
+
+router.use(authenticateJWT);
+router.use(rateLimit());
+router.use("/users", usersRouter);
+router.use("/conversations", conversationsRouter);
+router.use("/rooms", roomsRouter);
+router.use("/messages", messagesRouter);
+router.use("/attachments", attachmentsRouter);
+router.use("/bots", botsRouter);
+router.use("/sessions", sessionsRouter);
+router.use("/notifications", notificationsRouter);
+
+export default router;
@@ -0,0 +1,106 @@
+import { Router } from "express";
+import {
+  editMessage,
+  deleteMessage,
+  getEditHistory,
+  markMessageRead,
+  getThread,
+  searchMessages,
+  addReaction,
+  removeReaction,
+  syncMessages
+} from "../services/messages.js";
+import { reportMessage, pinMessage, unpinMessage } from "../services/moderation.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+const router = Router();
+
+// Search messages across the user's conversations and rooms
+router.get(
+  "/search",
+  validate(schemas.searchMessages, req => ({ ...req.query, query: req.query.q })),
+  async (req, res) => {
+    const result = await searchMessages(req.user.id, req.valid);
+    res.json({ success: true, ...result });
+  }
+);
+
+// Catch up after being offline: missed messages and changes for each
+// { conversationId | roomId, lastMessageId, since } in `targets`
+router.post("/sync", validate(schemas.sync), async (req, res) => {
+  const result = await syncMessages(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Edit own message
+router.patch("/:id", validate(schemas.editMessage, { id: "messageId" }), async (req, res) => {
+  const result = await editMessage(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Delete own message, or any room message as admin/owner
+router.delete("/:id", validate(schemas.messageRef, { id: "messageId" }), async (req, res) => {
+  const result = await deleteMessage(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Get previous versions of a message (moderators and sender)
+router.get("/:id/edits", validate(schemas.messageRef, { id: "messageId" }), async (req, res) => {
+  const result = await getEditHistory(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Mark everything up to and including a message as read
+router.post("/:id/read", validate(schemas.messageRef, { id: "messageId" }), async (req, res) => {
+  const result = await markMessageRead(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Get a thread's parent message and a page of its replies
+router.get("/:id/thread", validate(schemas.thread, { id: "messageId" }), async (req, res) => {
+  const result = await getThread(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// React to a message
+router.post("/:id/reactions", validate(schemas.reaction, { id: "messageId" }), async (req, res) => {
+  const result = await addReaction(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Take back a reaction (emoji URL-encoded)
+router.delete(
+  "/:id/reactions/:emoji",
+  validate(schemas.reaction, { id: "messageId", emoji: "emoji" }),
+  async (req, res) => {
+    const result = await removeReaction(req.app.get("io"), req.user.id, req.valid);
+    res.json({ success: true, ...result });
+  }
+);
+
+// Report a room message to the room's admins
+router.post(
+  "/:id/report",
+  rateLimit("create"),
+  validate(schemas.reportMessage, { id: "messageId" }),
+  async (req, res) => {
+    const result = await reportMessage(req.app.get("io"), req.user.id, req.valid);
+    res.status(201).json({ success: true, ...result });
+  }
+);
+
+// Pin a room message (admins/owner)
+router.post("/:id/pin", validate(schemas.messageRef, { id: "messageId" }), async (req, res) => {
+  const result = await pinMessage(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Unpin a room message (admins/owner)
+router.delete("/:id/pin", validate(schemas.messageRef, { id: "messageId" }), async (req, res) => {
+  const result = await unpinMessage(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import { Router } from "express";
+import {
+  listNotifications,
+  markNotificationsRead,
+  getNotificationSettings,
+  updateNotificationSettings
+} from "../services/notifications.js";
+import { getDigestSettings, updateDigestSettings } from "../services/digests.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+const router = Router();
+
+// List notifications, newest first (?unreadOnly=true&before=<id>&limit=)
+router.get("/", validate(schemas.listNotifications), async (req, res) => {
+  const result = await listNotifications(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Mark notifications read: { notificationIds } or { all: true }
+router.post("/read", validate(schemas.readNotifications), async (req, res) => {
+  const result = await markNotificationsRead(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Settings for ?conversationId= or ?roomId=, or every one the user changed
+router.get("/settings", validate(schemas.notificationSettings), async (req, res) => {
+  const result = await getNotificationSettings(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Set the level (all/mentions/none) and/or mute a conversation or room
+// (muteMinutes: null unmutes)
+router.patch("/settings", validate(schemas.updateNotificationSettings), async (req, res) => {
+  const result = await updateNotificationSettings(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// How often the user gets an email digest of what they missed while offline
+router.get("/digest", async (req, res) => {
+  const result = await getDigestSettings(req.user.id);
+  res.json({ success: true, ...result });
+});
+
+// Set the digest frequency: off, hourly, daily or weekly
+router.patch("/digest", validate(schemas.updateDigestSettings), async (req, res) => {
+  const result = await updateDigestSettings(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+export default router;
@@ -0,0 +1,233 @@
+import { Router } from "express";
+import {
+  listRooms,
+  createRoom,
+  getRoom,
+  sendRoomMessage,
+  browseRooms,
+  joinRoom,
+  joinRoomWithInvite,
+  leaveRoom,
+  kickMember,
+  setMemberRole,
+  transferOwnership,
+  regenerateInviteCode,
+  updateRoom
+} from "../services/rooms.js";
+import { getMessageHistory, markRead } from "../services/messages.js";
+import { addBotToRoom, removeBotFromRoom } from "../services/bots.js";
+import {
+  listReports,
+  resolveReport,
+  muteMember,
+  unmuteMember,
+  banMember,
+  unbanMember,
+  listBans,
+  listPinnedMessages,
+  getAuditLog
+} from "../services/moderation.js";
+import webhooksRouter from "./webhooks.js";
+import emojiRouter from "./emoji.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+const router = Router();
+
+// Get user's rooms
+router.get("/", async (req, res) => {
+  const result = await listRooms(req.user.id);
+  res.json({ success: true, ...result });
+});
+
+// Create a room
+router.post("/", validate(schemas.createRoom), async (req, res) => {
+  const result = await createRoom(req.user.id, req.valid);
+  res.status(201).json({ success: true, ...result });
+});
+
+// Browse or search public rooms
+router.get("/public", validate(schemas.browseRooms), async (req, res) => {
+  const result = await browseRooms(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Join a private room with an invite code
+router.post("/join", validate(schemas.joinWithInvite), async (req, res) => {
+  const result = await joinRoomWithInvite(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Get a room with its messages
+router.get("/:id", validate(schemas.roomRef, { id: "roomId" }), async (req, res) => {
+  const result = await getRoom(req.user.id, req.valid.roomId);
+  res.json({ success: true, ...result });
+});
+
+// Update a room's name, description, category, member limit or slow mode
+// (admins/owner)
+router.patch("/:id", validate(schemas.updateRoom, { id: "roomId" }), async (req, res) => {
+  const result = await updateRoom(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Page through messages in a room, newest first
+router.get("/:id/messages", validate(schemas.messageHistory, { id: "roomId" }), async (req, res) => {
+  const { roomId, before, after, limit } = req.valid;
+  const result = await getMessageHistory(req.user.id, { roomId, before, after, limit });
+  res.json({ success: true, ...result });
+});
+
+// Send message in room
+router.post(
+  "/:id/messages",
+  rateLimit("message"),
+  validate(schemas.sendRoomMessage, { id: "roomId" }),
+  async (req, res) => {
+    const result = await sendRoomMessage(req.app.get("io"), req.user.id, req.valid);
+    // Slash commands return the command's reply instead of a new message
+    res.status(result.message ? 201 : 200).json({ success: true, ...result });
+  }
+);
+
+// Mark room as read, optionally only up to a message
+router.post("/:id/read", validate(schemas.markRead, { id: "roomId" }), async (req, res) => {
+  const { roomId, upTo } = req.valid;
+  const result = await markRead(req.app.get("io"), req.user.id, { roomId, upTo });
+  res.json({ success: true, ...result });
+});
+
+// Join a room (members, or anyone for public rooms)
+router.post("/:id/join", validate(schemas.roomRef, { id: "roomId" }), async (req, res) => {
+  const result = await joinRoom(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Leave a room
+router.post("/:id/leave", validate(schemas.roomRef, { id: "roomId" }), async (req, res) => {
+  const result = await leaveRoom(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Remove a member from a room (admins/owner)
+router.delete(
+  "/:id/members/:userId",
+  validate(schemas.roomMember, { id: "roomId", userId: "userId" }),
+  async (req, res) => {
+    const { roomId, userId } = req.valid;
+    const result = await kickMember(req.app.get("io"), req.user.id, { roomId, memberId: userId });
+    res.json({ success: true, ...result });
+  }
+);
+
+// Promote/demote a member (owner)
+router.patch(
+  "/:id/members/:userId",
+  validate(schemas.setMemberRole, { id: "roomId", userId: "userId" }),
+  async (req, res) => {
+    const { roomId, userId, role } = req.valid;
+    const result = await setMemberRole(req.app.get("io"), req.user.id, { roomId, memberId: userId, role });
+    res.json({ success: true, ...result });
+  }
+);
+
+// Transfer room ownership (owner)
+router.post("/:id/transfer", validate(schemas.roomMember, { id: "roomId" }), async (req, res) => {
+  const { roomId, userId } = req.valid;
+  const result = await transferOwnership(req.app.get("io"), req.user.id, { roomId, memberId: userId });
+  res.json({ success: true, ...result });
+});
+
+// Regenerate a private room's invite code (admins/owner)
+router.post("/:id/invite-code", validate(schemas.roomRef, { id: "roomId" }), async (req, res) => {
+  const result = await regenerateInviteCode(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Add a bot to a room (admins/owner)
+router.post("/:id/bots", validate(schemas.roomBot, { id: "roomId" }), async (req, res) => {
+  const result = await addBotToRoom(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Remove a bot from a room (admins/owner)
+router.delete("/:id/bots/:botId", validate(schemas.roomBot, { id: "roomId", botId: "botId" }), async (req, res) => {
+  const result = await removeBotFromRoom(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// The room's moderation queue, open reports by default (admins/owner)
+router.get("/:id/reports", validate(schemas.listReports, { id: "roomId" }), async (req, res) => {
+  const result = await listReports(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Resolve or dismiss a report (admins/owner)
+router.patch(
+  "/:id/reports/:reportId",
+  validate(schemas.resolveReport, { id: "roomId", reportId: "reportId" }),
+  async (req, res) => {
+    const result = await resolveReport(req.app.get("io"), req.user.id, req.valid);
+    res.json({ success: true, ...result });
+  }
+);
+
+// Mute a member for some minutes (admins/owner)
+router.post("/:id/mutes", validate(schemas.muteMember, { id: "roomId" }), async (req, res) => {
+  const { roomId, userId, minutes, reason } = req.valid;
+  const result = await muteMember(req.app.get("io"), req.user.id, { roomId, memberId: userId, minutes, reason });
+  res.json({ success: true, ...result });
+});
+
+// Lift a mute (admins/owner)
+router.delete(
+  "/:id/mutes/:userId",
+  validate(schemas.roomMember, { id: "roomId", userId: "userId" }),
+  async (req, res) => {
+    const { roomId, userId } = req.valid;
+    const result = await unmuteMember(req.app.get("io"), req.user.id, { roomId, memberId: userId });
+    res.json({ success: true, ...result });
+  }
+);
+
+// List the room's bans (admins/owner)
+router.get("/:id/bans", validate(schemas.roomRef, { id: "roomId" }), async (req, res) => {
+  const result = await listBans(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Ban a user from the room (admins/owner)
+router.post("/:id/bans", validate(schemas.banMember, { id: "roomId" }), async (req, res) => {
+  const { roomId, userId, reason } = req.valid;
+  const result = await banMember(req.app.get("io"), req.user.id, { roomId, memberId: userId, reason });
+  res.json({ success: true, ...result });
+});
+
+// Lift a ban (admins/owner)
+router.delete(
+  "/:id/bans/:userId",
+  validate(schemas.roomMember, { id: "roomId", userId: "userId" }),
+  async (req, res) => {
+    const { roomId, userId } = req.valid;
+    const result = await unbanMember(req.user.id, { roomId, memberId: userId });
+    res.json({ success: true, ...result });
+  }
+);
+
+// List the room's pinned messages
+router.get("/:id/pins", validate(schemas.roomRef, { id: "roomId" }), async (req, res) => {
+  const result = await listPinnedMessages(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Page through the room's audit log, newest first (admins/owner)
+router.get("/:id/audit", validate(schemas.auditLog, { id: "roomId" }), async (req, res) => {
+  const result = await getAuditLog(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+router.use("/:id/webhooks", webhooksRouter);
+router.use("/:id/emoji", emojiRouter);
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import { listSessions, revokeSession, revokeAllSessions } from "../services/sessions.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+const router = Router();
+
+// List the devices the user is signed in on
+router.get("/", async (req, res) => {
+  const result = await listSessions(req.user.id, req.user.sid);
+  res.json({ success: true, ...result });
+});
+
+// Sign out everywhere, this device included
+router.delete("/", async (req, res) => {
+  const result = await revokeAllSessions(req.app.get("io"), req.user.id);
+  res.json({ success: true, ...result });
+});
+
+// Sign out one device
+router.delete("/:id", validate(schemas.sessionRef, { id: "sessionId" }), async (req, res) => {
+  const result = await revokeSession(req.app.get("io"), req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+export default router;
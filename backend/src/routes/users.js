@@ -0,0 +1,29 @@
+import { Router } from "express";
+import { getCurrentUser } from "../services/users.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+const router = Router();
+
+// Get the signed in user
+router.get("/me", async (req, res) => {
+  const result = await getCurrentUser(req.user.id);
+  res.json({ success: true, ...result });
+});
+
+// Set auto/away/dnd and/or custom status text (customStatus: null clears it)
+router.patch("/me/presence", validate(schemas.updatePresence), async (req, res) => {
+  const presence = req.app.get("presence");
+  const { status, customStatus } = req.valid;
+
+  let result;
+  if (status !== undefined) {
+    result = await presence.setPreferredStatus(req.user.id, status);
+  }
+  if (customStatus !== undefined) {
+    result = await presence.setCustomStatus(req.user.id, customStatus);
+  }
+  res.json({ success: true, presence: result ?? null });
+});
+
+export default router;
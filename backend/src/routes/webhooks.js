@@ -0,0 +1,64 @@
+import { Router } from "express";
+import {
+  listWebhooks,
+  createIncomingWebhook,
+  createOutgoingWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  listDeliveries
+} from "../services/webhooks.js";
+import { validate } from "../middleware/validate.js";
+import * as schemas from "../validation/schemas.js";
+
+// A room's webhooks, mounted at /rooms/:id/webhooks (admins/owner only)
+const router = Router({ mergeParams: true });
+
+const byWebhook = { id: "roomId", webhookId: "webhookId" };
+
+// Full URL of an incoming webhook, as seen by whoever called us
+function withUrl(req, result) {
+  return result.path ? { ...result, url: `${req.protocol}://${req.get("host")}${result.path}` } : result;
+}
+
+// List the room's webhooks
+router.get("/", validate(schemas.roomRef, { id: "roomId" }), async (req, res) => {
+  const result = await listWebhooks(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Create a webhook: { kind: "incoming", name } or
+// { kind: "outgoing", name, url, events }
+router.post("/", validate(schemas.createWebhook, { id: "roomId" }), async (req, res) => {
+  const { kind, roomId, name, url, events } = req.valid;
+  const result = kind === "incoming"
+    ? await createIncomingWebhook(req.user.id, { roomId, name })
+    : await createOutgoingWebhook(req.user.id, { roomId, name, url, events });
+  res.status(201).json({ success: true, ...withUrl(req, result) });
+});
+
+// Update a webhook's name, URL, events or isActive
+router.patch("/:webhookId", validate(schemas.updateWebhook, byWebhook), async (req, res) => {
+  const result = await updateWebhook(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Delete a webhook
+router.delete("/:webhookId", validate(schemas.webhookRef, byWebhook), async (req, res) => {
+  const result = await deleteWebhook(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+// Replace a webhook's token (incoming) or signing secret (outgoing)
+router.post("/:webhookId/secret", validate(schemas.webhookRef, byWebhook), async (req, res) => {
+  const result = await rotateWebhookSecret(req.user.id, req.valid);
+  res.json({ success: true, ...withUrl(req, result) });
+});
+
+// Delivery log of an outgoing webhook, newest first
+router.get("/:webhookId/deliveries", validate(schemas.listDeliveries, byWebhook), async (req, res) => {
+  const result = await listDeliveries(req.user.id, req.valid);
+  res.json({ success: true, ...result });
+});
+
+export default router;
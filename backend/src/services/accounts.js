@@ -0,0 +1,210 @@
+import User, { isReservedNetId } from "../models/User.js";
+import { hashPassword, verifyPassword } from "../auth/passwords.js";
+import { escapeHtml, sendMail } from "../mail/index.js";
+import { revokeAllSessions } from "./sessions.js";
+import { ServiceError } from "../utils/errors.js";
+
+// Compared against when the email is unknown, so a failed login takes as
+// long whether or not the account exists
+let dummyHash;
+function getDummyHash() {
+  dummyHash ??= hashPassword("not-a-real-password");
+  return dummyHash;
+}
+
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+function appLink(path, token) {
+  return `${process.env.CLIENT_URL}${path}?token=${encodeURIComponent(token)}`;
+}
+
+// Mail failures are logged rather than failing the request; the user can
+// ask for the link again
+async function mailLink(user, { subject, intro, path, token, action }) {
+  const link = appLink(path, token);
+  try {
+    await sendMail({
+      to: user.email,
+      subject,
+      text: `Hi ${user.name},\n\n${intro}\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+      html:
+        `<p>Hi ${escapeHtml(user.name)},</p><p>${intro}</p>` +
+        `<p><a href="${escapeHtml(link)}">${action}</a></p>` +
+        "<p>If you didn't ask for this, you can ignore this email.</p>"
+    });
+  } catch (err) {
+    console.error(`Failed to send "${subject}" to ${user.email}:`, err);
+  }
+}
+
+function sendVerification(user, token) {
+  return mailLink(user, {
+    subject: "Verify your email",
+    intro: "Confirm your @illinois.edu address to finish creating your account.",
+    path: "/verify-email",
+    token,
+    action: "Verify email"
+  });
+}
+
+// Tell the owner of an existing account that someone tried to sign up with
+// their address, instead of telling whoever tried
+async function sendAlreadyRegistered(email) {
+  const user = await User.findOne({ email, isBot: { $ne: true } });
+  if (!user) return;
+  try {
+    const login = `${process.env.CLIENT_URL}/login`;
+    const reset = `${process.env.CLIENT_URL}/forgot-password`;
+    await sendMail({
+      to: user.email,
+      subject: "You already have an account",
+      text:
+        `Hi ${user.name},\n\nSomeone tried to create an account with this email, but you already have one.\n\n` +
+        `Sign in: ${login}\nForgot your password? ${reset}\n\nIf this wasn't you, you can ignore this email.`,
+      html:
+        `<p>Hi ${escapeHtml(user.name)},</p><p>Someone tried to create an account with this email, but you already have one.</p>` +
+        `<p><a href="${escapeHtml(login)}">Sign in</a> or <a href="${escapeHtml(reset)}">reset your password</a>.</p>` +
+        "<p>If this wasn't you, you can ignore this email.</p>"
+    });
+  } catch (err) {
+    console.error(`Failed to send "You already have an account" to ${user.email}:`, err);
+  }
+}
+
+// Create a password account and email a verification link. Signing in needs
+// the email verified first. Says the same thing whether or not the address
+// already has an account, so this can't be used to look up addresses; the
+// owner of an existing one is emailed instead.
+export async function signup({ email, password, name }) {
+  email = normalizeEmail(email);
+  if (!email.endsWith("@illinois.edu")) {
+    throw new ServiceError("Email must be from @illinois.edu domain");
+  }
+  const netId = email.split("@")[0];
+  if (isReservedNetId(netId)) {
+    throw new ServiceError("This email can't be used to sign up");
+  }
+  const response = { message: "Check your email for a link to verify your account" };
+
+  if (await User.exists({ email })) {
+    await sendAlreadyRegistered(email);
+    return response;
+  }
+
+  const user = new User({ email, name, netId });
+  await user.setPassword(password);
+  const token = user.createEmailToken("verify");
+  try {
+    await user.save();
+  } catch (err) {
+    // Another signup for the same address got there first
+    if (err.code !== 11000) throw err;
+    await sendAlreadyRegistered(email);
+    return response;
+  }
+
+  await sendVerification(user, token);
+  return response;
+}
+
+// Follow the emailed verification link; the user is signed in afterwards
+export async function verifyEmail({ token }) {
+  const user = await User.findByEmailToken("verify", token);
+  if (!user) {
+    throw new ServiceError("This link is invalid or has expired", 400, "INVALID_TOKEN");
+  }
+
+  user.emailVerified = true;
+  user.clearEmailToken("verify");
+  await user.save();
+  return { user };
+}
+
+// Send a new verification link. Says the same thing whether or not the
+// account exists so this can't be used to look up addresses.
+export async function resendVerification({ email }) {
+  const user = await User.findOne({ email: normalizeEmail(email), isBot: { $ne: true } }).select("+passwordHash");
+  if (user?.passwordHash && !user.emailVerified) {
+    const token = user.createEmailToken("verify");
+    await user.save();
+    await sendVerification(user, token);
+  }
+  return { message: "If that account needs verifying, a new link is on its way" };
+}
+
+export async function login({ email, password }) {
+  const user = await User.findOne({ email: normalizeEmail(email), isBot: { $ne: true } }).select("+passwordHash");
+  if (!user?.passwordHash) {
+    await verifyPassword(password, await getDummyHash());
+    throw new ServiceError("Invalid email or password", 401);
+  }
+  if (!(await user.checkPassword(password))) {
+    throw new ServiceError("Invalid email or password", 401);
+  }
+  if (!user.emailVerified) {
+    throw new ServiceError("Verify your email before signing in", 403, "EMAIL_NOT_VERIFIED");
+  }
+  return { user };
+}
+
+// Email a password reset link. Google-only accounts can use this to add a
+// password. Says the same thing whether or not the account exists.
+export async function requestPasswordReset({ email }) {
+  const user = await User.findOne({ email: normalizeEmail(email), isBot: { $ne: true } });
+  if (user) {
+    const token = user.createEmailToken("reset");
+    await user.save();
+    await mailLink(user, {
+      subject: "Reset your password",
+      intro: "Use this link within an hour to choose a new password.",
+      path: "/reset-password",
+      token,
+      action: "Reset password"
+    });
+  }
+  return { message: "If an account uses that email, a reset link is on its way" };
+}
+
+// Set a new password from an emailed reset link. Every existing session is
+// signed out, and the user is signed in afresh. Getting the link proves the
+// address, so this also verifies it.
+export async function resetPassword(io, { token, password }) {
+  const user = await User.findByEmailToken("reset", token);
+  if (!user) {
+    throw new ServiceError("This link is invalid or has expired", 400, "INVALID_TOKEN");
+  }
+
+  await user.setPassword(password);
+  user.emailVerified = true;
+  user.clearEmailToken("reset");
+  user.clearEmailToken("verify");
+  await user.save();
+  await revokeAllSessions(io, user._id, { reason: "password_reset" });
+  return { user };
+}
+
+// Find or create the user for a Google sign-in. An existing password account
+// with the same email is linked rather than duplicated. If that account was
+// never verified, whoever set its password never proved they own the
+// address, so the password is dropped.
+export async function signInWithGoogle({ googleId, email, name }) {
+  email = normalizeEmail(email);
+  let user = await User.findOne({ googleId }).select("+passwordHash");
+  if (!user) {
+    user = await User.findOne({ email }).select("+passwordHash");
+  }
+  if (!user) {
+    user = new User({ email, netId: email.split("@")[0] });
+  } else if (!user.emailVerified && user.passwordHash) {
+    user.passwordHash = undefined;
+  }
+
+  user.googleId = googleId;
+  user.name = name;
+  user.emailVerified = true;
+  user.clearEmailToken("verify");
+  await user.save();
+  return { user };
+}
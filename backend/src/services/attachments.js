@@ -0,0 +1,227 @@
+import crypto from "crypto";
+import path from "path";
+import mongoose from "mongoose";
+import sharp from "sharp";
+import Attachment from "../models/Attachment.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import Room from "../models/Room.js";
+import { getStorage } from "../storage/index.js";
+import { ServiceError, notAuthorized, notFound } from "../utils/errors.js";
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+];
+
+const THUMBNAIL_SIZE = 320;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// Largest upload accepted, in bytes (UPLOAD_MAX_BYTES, default 10 MB)
+export function maxUploadBytes() {
+  return Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+}
+
+// MIME types accepted for upload (UPLOAD_ALLOWED_TYPES, comma separated)
+function allowedTypes() {
+  const configured = process.env.UPLOAD_ALLOWED_TYPES;
+  return configured ? configured.split(",").map(t => t.trim()) : DEFAULT_ALLOWED_TYPES;
+}
+
+// Store an uploaded file (from multer's memory storage) and, for images,
+// a thumbnail next to it
+export async function uploadAttachment(userId, file) {
+  if (!file) {
+    throw new ServiceError("No file uploaded");
+  }
+  if (file.size > maxUploadBytes()) {
+    throw new ServiceError("File is too large", 413);
+  }
+  if (!allowedTypes().includes(file.mimetype)) {
+    throw new ServiceError("File type is not allowed", 415);
+  }
+
+  const storage = getStorage();
+  const id = new mongoose.Types.ObjectId();
+  const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, "");
+  const storageKey = `${userId}/${id}-${crypto.randomBytes(8).toString("hex")}${extension}`;
+
+  let thumbnailKey;
+  let width;
+  let height;
+  if (file.mimetype.startsWith("image/")) {
+    let thumbnail;
+    try {
+      const image = sharp(file.buffer);
+      ({ width, height } = await image.metadata());
+      thumbnail = await image
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+    } catch {
+      throw new ServiceError("File is not a valid image", 415);
+    }
+    thumbnailKey = `${storageKey}.thumb.webp`;
+    await storage.save(thumbnailKey, thumbnail, "image/webp");
+  }
+
+  await storage.save(storageKey, file.buffer, file.mimetype);
+
+  const attachment = await Attachment.create({
+    _id: id,
+    uploadedBy: userId,
+    storageKey,
+    thumbnailKey,
+    fileName: file.originalname,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    width,
+    height
+  });
+
+  return { attachment: { id: attachment._id, ...attachment.toMessageAttachment(), width, height } };
+}
+
+// Claim the sender's unsent attachments for a new message, before it is
+// created. The claim is one conditional update, so two sends racing for the
+// same upload can't both get it; if any attachment can't be claimed, none
+// are. `message` is { _id, targetType, conversation | room }.
+export async function claimAttachments(userId, attachmentIds, message) {
+  if (!attachmentIds || attachmentIds.length === 0) return [];
+  if (!Array.isArray(attachmentIds) || attachmentIds.some(id => !mongoose.isValidObjectId(id))) {
+    throw new ServiceError("Invalid attachments");
+  }
+  if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new ServiceError(`At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message`);
+  }
+
+  const ids = [...new Set(attachmentIds.map(id => id.toString()))];
+  const result = await Attachment.updateMany(
+    { _id: { $in: ids }, uploadedBy: userId, message: null },
+    {
+      $set: {
+        message: message._id,
+        targetType: message.targetType,
+        ...Message.targetFilter(message.targetType, message.room || message.conversation)
+      }
+    }
+  );
+  if (result.modifiedCount !== ids.length) {
+    await releaseAttachments(message._id);
+    throw notFound("Attachment not found");
+  }
+
+  // Keep the order they were given in
+  const claimed = await Attachment.find({ _id: { $in: ids }, message: message._id });
+  return ids.map(id => claimed.find(a => a._id.toString() === id));
+}
+
+// Hand back attachments claimed for a message that was never created
+export function releaseAttachments(messageId) {
+  return Attachment.updateMany(
+    { message: messageId },
+    { $unset: { message: 1, targetType: 1, conversation: 1, room: 1 } }
+  );
+}
+
+// Uploads never sent with a message are deleted after this long
+// (UPLOAD_UNSENT_HOURS, default 24)
+function unsentTtlMs() {
+  return (Number(process.env.UPLOAD_UNSENT_HOURS) || 24) * 60 * 60 * 1000;
+}
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+let cleanupTimer = null;
+
+// Delete uploads that were never sent, and their files. Each one is removed
+// with the same "not sent" condition a send claims it with, so a send and
+// the cleanup can't both have it.
+export async function removeUnsentAttachments(now = Date.now()) {
+  const stale = await Attachment.find({
+    message: null,
+    createdAt: { $lt: new Date(now - unsentTtlMs()) }
+  }).select("_id");
+
+  let removed = 0;
+  for (const { _id } of stale) {
+    const attachment = await Attachment.findOneAndDelete({ _id, message: null });
+    if (!attachment) continue;
+    await removeFiles(attachment);
+    removed += 1;
+  }
+  return removed;
+}
+
+// Delete an attachment's file and thumbnail from storage
+async function removeFiles(attachment) {
+  const storage = getStorage();
+  for (const key of [attachment.storageKey, attachment.thumbnailKey].filter(Boolean)) {
+    await storage.remove(key).catch(err => console.error(`Removing upload ${key} failed:`, err));
+  }
+}
+
+// Delete everything sent in a conversation that is going away
+export async function removeConversationAttachments(conversationId) {
+  const attachments = await Attachment.find({ conversation: conversationId });
+  await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+  for (const attachment of attachments) {
+    await removeFiles(attachment);
+  }
+}
+
+// Clean up unsent uploads every hour
+export function startAttachmentCleanup() {
+  if (cleanupTimer) return;
+  cleanupTimer = setInterval(() => {
+    removeUnsentAttachments().catch(err => console.error("Upload cleanup failed:", err));
+  }, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+}
+
+// Open an attachment (or its thumbnail) for download. The uploader can always
+// read it; once sent, so can everyone in the conversation or room.
+export async function openAttachment(userId, { attachmentId, thumbnail = false }) {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    throw notFound("Attachment not found");
+  }
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment) {
+    throw notFound("Attachment not found");
+  }
+
+  if (attachment.uploadedBy.toString() !== userId.toString()) {
+    let allowed = false;
+    if (attachment.targetType === "conversation") {
+      const conversation = await Conversation.findById(attachment.conversation);
+      allowed = Boolean(conversation?.isParticipant(userId));
+    } else if (attachment.targetType === "room") {
+      const room = await Room.findById(attachment.room);
+      allowed = Boolean(room?.isMember(userId));
+    }
+    if (!allowed) {
+      throw notAuthorized();
+    }
+  }
+
+  if (thumbnail && !attachment.thumbnailKey) {
+    throw notFound("Attachment has no thumbnail");
+  }
+
+  const key = thumbnail ? attachment.thumbnailKey : attachment.storageKey;
+  return {
+    stream: await getStorage().read(key),
+    fileName: attachment.fileName,
+    mimeType: thumbnail ? "image/webp" : attachment.mimeType
+  };
+}
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import Bot, { BOT_SCOPES } from "../models/Bot.js";
+import User from "../models/User.js";
+import { botEmail, botNetId } from "../bots/index.js";
+import { addMemberAndAnnounce, getRoomForMember, removeMemberAndAnnounce } from "./rooms.js";
+import { ServiceError, notAuthorized, notFound } from "../utils/errors.js";
+
+// Public view of a bot (never includes the token hash)
+function toPayload(bot) {
+  const { tokenHash, ...rest } = bot.toObject();
+  return rest;
+}
+
+// Load a bot the user owns
+async function getOwnedBot(userId, botId) {
+  if (!mongoose.isValidObjectId(botId)) {
+    throw notFound("Bot not found");
+  }
+  const bot = await Bot.findById(botId).populate("user", "name netId isBot");
+  if (!bot) {
+    throw notFound("Bot not found");
+  }
+  if (bot.owner?.toString() !== userId.toString()) {
+    throw notAuthorized();
+  }
+  return bot;
+}
+
+// Register an external bot. The token is only returned here and when it is
+// regenerated; the bot connects with it to the /bots namespace.
+export async function createBot(userId, { slug, name, description, scopes = [], commands = [] }) {
+  if (typeof slug !== "string" || !/^[a-z0-9-]{2,32}$/.test(slug)) {
+    throw new ServiceError("Slug must be 2-32 lowercase letters, digits or dashes");
+  }
+  if (typeof name !== "string" || !name.trim()) {
+    throw new ServiceError("Bot name is required");
+  }
+  if (!Array.isArray(scopes) || scopes.some(scope => !BOT_SCOPES.includes(scope))) {
+    throw new ServiceError(`Scopes must be any of: ${BOT_SCOPES.join(", ")}`);
+  }
+  if (!Array.isArray(commands)) {
+    throw new ServiceError("Commands must be an array");
+  }
+  if (await Bot.exists({ slug })) {
+    throw new ServiceError("A bot with this slug already exists", 409);
+  }
+
+  const user = await User.create({ netId: botNetId(slug), email: botEmail(slug), name, isBot: true });
+  const bot = await Bot.create({ user: user._id, slug, description, owner: userId, scopes, commands });
+  const token = await bot.generateToken();
+
+  await bot.populate("user", "name netId isBot");
+  return { bot: toPayload(bot), token };
+}
+
+// Bots the user owns, plus the built-in ones anyone may add to a room
+export async function listBots(userId) {
+  const bots = await Bot.find({ $or: [{ owner: userId }, { builtin: { $exists: true } }], isActive: true })
+    .populate("user", "name netId isBot")
+    .sort({ createdAt: 1 });
+  return { bots: bots.map(toPayload) };
+}
+
+// Replace a bot's token; the old one stops working
+export async function regenerateBotToken(userId, { botId }) {
+  const bot = await getOwnedBot(userId, botId);
+  const token = await bot.generateToken();
+  return { botId: bot._id, token };
+}
+
+// Load an active bot that the user may add to rooms: a built-in one or their own
+async function getUsableBot(userId, botId) {
+  if (!mongoose.isValidObjectId(botId)) {
+    throw notFound("Bot not found");
+  }
+  const bot = await Bot.findOne({ _id: botId, isActive: true });
+  if (!bot) {
+    throw notFound("Bot not found");
+  }
+  if (!bot.builtin && bot.owner?.toString() !== userId.toString()) {
+    throw notAuthorized("Only the bot's owner can add it to rooms");
+  }
+  return bot;
+}
+
+// Add a bot to a room (room admins/owner)
+export async function addBotToRoom(io, userId, { roomId, botId }) {
+  const room = await getRoomForMember(userId, roomId);
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+
+  const bot = await getUsableBot(userId, botId);
+  if (room.isMember(bot.user)) {
+    throw new ServiceError("Bot is already in this room");
+  }
+
+  await addMemberAndAnnounce(io, room, bot.user);
+  return { roomId: room._id, botId: bot._id };
+}
+
+// Remove a bot from a room (room admins/owner)
+export async function removeBotFromRoom(io, userId, { roomId, botId }) {
+  const room = await getRoomForMember(userId, roomId);
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+
+  if (!mongoose.isValidObjectId(botId)) {
+    throw notFound("Bot not found");
+  }
+  const bot = await Bot.findById(botId);
+  if (!bot || !room.isMember(bot.user)) {
+    throw notFound("Bot is not in this room");
+  }
+
+  await removeMemberAndAnnounce(io, room, bot.user, "kicked");
+  return { roomId: room._id, botId: bot._id };
+}
+
+// Find the bot a token belongs to, with its user
+export async function authenticateBot(token) {
+  const bot = await Bot.findByToken(token);
+  if (!bot) return null;
+  await bot.populate("user", "name netId isBot");
+  return bot;
+}
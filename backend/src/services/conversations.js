@@ -0,0 +1,304 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Message from "../models/Message.js";
+import Conversation, { MAX_GROUP_PARTICIPANTS } from "../models/Conversation.js";
+import Notification from "../models/Notification.js";
+import NotificationSetting from "../models/NotificationSetting.js";
+import { removeConversationAttachments } from "./attachments.js";
+import { deliverMessage, findSentMessage, messageDelivered } from "./delivery.js";
+import { notifyInvite } from "./notifications.js";
+import { parseCommand, runCommand } from "../bots/commands.js";
+import { ServiceError, notAuthorized, notFound } from "../utils/errors.js";
+
+// Shared by the socket handlers and the REST routes so both transports
+// apply the same authorization rules and return the same payload shapes.
+
+// Load a conversation and make sure the user takes part in it
+export async function getConversationForUser(userId, conversationId) {
+  if (!mongoose.isValidObjectId(conversationId)) {
+    throw notFound("Conversation not found");
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    throw notFound("Conversation not found");
+  }
+  if (!conversation.isParticipant(userId)) {
+    throw notAuthorized();
+  }
+  return conversation;
+}
+
+// Get user's conversations (pinned first, archived ones only when asked for)
+export async function listConversations(userId, { includeArchived = false } = {}) {
+  const conversations = await Conversation.getUserConversations(userId, includeArchived);
+
+  let totalUnread = 0;
+  const withState = conversations.map(conversation => {
+    const unread = conversation.getUnreadCount(userId);
+    totalUnread += unread;
+    return {
+      ...conversation.toObject(),
+      unread,
+      pinned: conversation.isPinnedForUser(userId),
+      archived: conversation.isArchivedForUser(userId)
+    };
+  });
+
+  return { conversations: withState, totalUnread };
+}
+
+// Start/get a conversation with another user
+export async function startConversation(userId, otherUserId) {
+  if (!mongoose.isValidObjectId(otherUserId) || otherUserId.toString() === userId.toString()) {
+    throw new ServiceError("Invalid user");
+  }
+  const otherUser = await User.exists({ _id: otherUserId });
+  if (!otherUser) {
+    throw notFound("User not found");
+  }
+
+  const conversation = await Conversation.findOrCreate(userId, otherUserId);
+  const { messages, hasMore } = await Message.getHistory(Message.targetFilter("conversation", conversation._id));
+
+  return { conversation, messages, hasMore };
+}
+
+// Get a conversation the user already belongs to, with its messages
+export async function getConversation(userId, conversationId) {
+  const conversation = await getConversationForUser(userId, conversationId);
+  await conversation.populate("participants", "name netId status profilePicture");
+  const { messages, hasMore } = await Message.getHistory(Message.targetFilter("conversation", conversation._id));
+
+  return { conversation, messages, hasMore };
+}
+
+// Post a message in a conversation, bump the other participants' unread
+// counters and let them know. Doesn't check that the sender takes part, so
+// callers must.
+export async function postToConversation(io, conversation, senderId, { content, replyTo, attachments, clientMessageId }) {
+  const message = await deliverMessage(io, {
+    targetType: "conversation",
+    targetId: conversation._id,
+    senderId,
+    content,
+    replyTo,
+    attachments,
+    clientMessageId
+  });
+  await conversation.updateLastMessage(message._id);
+
+  const unreadCounts = await conversation.incrementUnread(senderId);
+  for (const { user, count } of unreadCounts) {
+    if (user.toString() === senderId.toString()) continue;
+    io.to(`user:${user}`).emit("unread:update", { conversationId: conversation._id, unread: count });
+  }
+
+  messageDelivered(io, message, conversation);
+  return message;
+}
+
+// Send message in conversation and broadcast it to both users. A message
+// that is a slash command runs the command instead of being posted. Resending
+// with the same clientMessageId returns the original message.
+export async function sendConversationMessage(io, userId, {
+  conversationId,
+  content,
+  replyTo,
+  attachments,
+  clientMessageId
+}) {
+  const conversation = await getConversationForUser(userId, conversationId);
+
+  const command = !attachments?.length && parseCommand(content);
+  if (command) {
+    return runCommand(io, { userId, targetType: "conversation", target: conversation, replyTo, ...command });
+  }
+
+  const sent = await findSentMessage(userId, clientMessageId);
+  if (sent) {
+    return { message: sent, duplicate: true };
+  }
+
+  const message = await postToConversation(io, conversation, userId, { content, replyTo, attachments, clientMessageId });
+  return { message };
+}
+
+// Load a group conversation the user takes part in
+async function getGroupForUser(userId, conversationId) {
+  const conversation = await getConversationForUser(userId, conversationId);
+  if (!conversation.isGroup) {
+    throw new ServiceError("Not a group conversation");
+  }
+  return conversation;
+}
+
+// Check a list of user ids and load the matching users
+async function loadUsers(userIds) {
+  if (!Array.isArray(userIds) || userIds.some(id => !mongoose.isValidObjectId(id))) {
+    throw new ServiceError("Invalid user");
+  }
+
+  const users = await User.find({ _id: { $in: userIds } });
+  if (users.length !== new Set(userIds.map(id => id.toString())).size) {
+    throw notFound("User not found");
+  }
+  return users;
+}
+
+function listNames(users) {
+  const names = users.map(u => u.name);
+  return names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names.at(-1)}` : names[0];
+}
+
+// Post a system message (membership changes etc.) into a conversation
+async function postSystemMessage(io, conversation, actorId, content) {
+  const message = await deliverMessage(io, {
+    targetType: "conversation",
+    targetId: conversation._id,
+    senderId: actorId,
+    content,
+    messageType: "system"
+  });
+  await conversation.updateLastMessage(message._id);
+  return message;
+}
+
+// Tell everyone in a conversation about its new state; returns the populated
+// conversation that was sent
+async function announceUpdate(io, conversation) {
+  await conversation.populate("participants", "name netId status profilePicture");
+  const payload = conversation.toObject();
+  conversation.depopulate("participants");
+
+  for (const participantId of conversation.participants) {
+    io.to(`user:${participantId}`).emit("conversation:updated", { conversation: payload });
+  }
+  return payload;
+}
+
+// Create a group conversation with the user and 2-19 others
+export async function createGroupConversation(io, userId, { participantIds, title }) {
+  const others = await loadUsers((participantIds || []).filter(id => id?.toString() !== userId.toString()));
+  if (others.length < 2) {
+    throw new ServiceError("A group needs at least 3 participants");
+  }
+  if (others.length + 1 > MAX_GROUP_PARTICIPANTS) {
+    throw new ServiceError(`A group can have at most ${MAX_GROUP_PARTICIPANTS} participants`);
+  }
+
+  const conversation = await Conversation.createGroup(userId, others.map(u => u._id), title);
+  conversation.depopulate("participants");
+
+  for (const participantId of conversation.participants) {
+    io.in(`user:${participantId}`).socketsJoin(`conversation:${conversation._id}`);
+  }
+  const creator = await User.findById(userId);
+  await postSystemMessage(io, conversation, userId, `${creator.name} created the group`);
+  await notifyInvite(io, userId, conversation, others.map(u => u._id));
+  return { conversation: await announceUpdate(io, conversation) };
+}
+
+// Rename a group conversation (any participant)
+export async function updateGroupConversation(io, userId, { conversationId, title }) {
+  const conversation = await getGroupForUser(userId, conversationId);
+
+  conversation.title = title;
+  await conversation.save();
+
+  const user = await User.findById(userId);
+  await postSystemMessage(io, conversation, userId,
+    title ? `${user.name} renamed the group to "${conversation.title}"` : `${user.name} removed the group name`);
+  return { conversation: await announceUpdate(io, conversation) };
+}
+
+// Add people to a group conversation (any participant)
+export async function addParticipants(io, userId, { conversationId, userIds }) {
+  const conversation = await getGroupForUser(userId, conversationId);
+  const users = (await loadUsers(userIds)).filter(u => !conversation.isParticipant(u._id));
+
+  if (users.length === 0) {
+    throw new ServiceError("Those users are already participants");
+  }
+  if (conversation.participants.length + users.length > MAX_GROUP_PARTICIPANTS) {
+    throw new ServiceError(`A group can have at most ${MAX_GROUP_PARTICIPANTS} participants`);
+  }
+
+  for (const user of users) {
+    await conversation.addParticipant(user._id);
+    io.in(`user:${user._id}`).socketsJoin(`conversation:${conversation._id}`);
+  }
+  const actor = await User.findById(userId);
+  await postSystemMessage(io, conversation, userId, `${actor.name} added ${listNames(users)}`);
+  await notifyInvite(io, userId, conversation, users.map(u => u._id));
+  return { conversation: await announceUpdate(io, conversation) };
+}
+
+// Delete a group once its last participant has left, with everything that
+// was posted in it
+async function deleteGroup(conversation) {
+  const filter = { conversation: conversation._id };
+  await Promise.all([
+    Message.deleteMany(filter),
+    Notification.deleteMany(filter),
+    NotificationSetting.deleteMany(filter),
+    removeConversationAttachments(conversation._id)
+  ]);
+  await conversation.deleteOne();
+}
+
+// Remove someone from a group conversation. Anyone may leave; only the
+// group's owner (its creator, or whoever took over when they left) may
+// remove others. The group is deleted when its last participant leaves.
+export async function removeParticipant(io, userId, { conversationId, participantId }) {
+  const conversation = await getGroupForUser(userId, conversationId);
+  const leaving = participantId?.toString() === userId.toString();
+
+  if (!leaving && conversation.getGroupOwner()?.toString() !== userId.toString()) {
+    throw notAuthorized("Only the group's owner can remove participants");
+  }
+  if (!mongoose.isValidObjectId(participantId) || !conversation.isParticipant(participantId)) {
+    throw notFound("User is not a participant");
+  }
+
+  const lastOut = conversation.participants.length === 1;
+  const ownerBefore = conversation.getGroupOwner()?.toString();
+  if (lastOut) {
+    await deleteGroup(conversation);
+  } else {
+    await conversation.removeParticipant(participantId);
+  }
+
+  io.in(`user:${participantId}`).socketsLeave(`conversation:${conversation._id}`);
+  io.to(`user:${participantId}`).emit("conversation:removed", { conversationId: conversation._id });
+  if (lastOut) {
+    return { conversationId: conversation._id, userId: participantId };
+  }
+
+  const owner = conversation.getGroupOwner()?.toString();
+
+  const [actor, removed] = await Promise.all([User.findById(userId), User.findById(participantId)]);
+  await postSystemMessage(io, conversation, userId,
+    leaving ? `${actor.name} left the group` : `${actor.name} removed ${removed.name}`);
+  if (owner !== ownerBefore) {
+    const newOwner = await User.findById(owner);
+    await postSystemMessage(io, conversation, owner, `${newOwner.name} now manages the group`);
+  }
+  await announceUpdate(io, conversation);
+
+  return { conversationId: conversation._id, userId: participantId };
+}
+
+// Pin or unpin a conversation for the user
+export async function pinConversation(userId, { conversationId, pinned = true }) {
+  const conversation = await getConversationForUser(userId, conversationId);
+  await conversation.pinForUser(userId, Boolean(pinned));
+  return { conversationId: conversation._id, pinned: conversation.isPinnedForUser(userId) };
+}
+
+// Archive or unarchive a conversation for the user
+export async function archiveConversation(userId, { conversationId, archived = true }) {
+  const conversation = await getConversationForUser(userId, conversationId);
+  await conversation.archiveForUser(userId, Boolean(archived));
+  return { conversationId: conversation._id, archived: conversation.isArchivedForUser(userId) };
+}
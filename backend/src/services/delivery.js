@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import { claimAttachments, releaseAttachments } from "./attachments.js";
+import { resolveMentions } from "./mentions.js";
+import { ServiceError, notFound } from "../utils/errors.js";
+
+// Steps every new message goes through, whichever conversation or room it is
+// posted in. The conversation and room services add their own bookkeeping
+// (last message, unread counters, activity) around this.
+
+const deliveryListeners = [];
+
+// Register a function to call with (io, message, target) after a user's
+// message has been posted and the conversation or room has been updated
+export function onMessageDelivered(listener) {
+  deliveryListeners.push(listener);
+}
+
+// Run the delivery listeners without holding up the sender; a failing
+// listener is logged and doesn't affect the others
+export function messageDelivered(io, message, target) {
+  for (const listener of deliveryListeners) {
+    Promise.resolve()
+      .then(() => listener(io, message, target))
+      .catch(err => console.error("Message delivery listener failed:", err));
+  }
+}
+
+// Find the thread a reply belongs to. Replies to replies join the root
+// message's thread so threads stay one level deep.
+async function resolveThreadParent(target, replyTo) {
+  if (!replyTo) return null;
+  if (!mongoose.isValidObjectId(replyTo)) {
+    throw new ServiceError("Invalid replyTo");
+  }
+
+  const parent = await Message.findOne({ _id: replyTo, ...target });
+  if (!parent) {
+    throw notFound("Message being replied to was not found");
+  }
+  if (parent.isDeleted) {
+    throw new ServiceError("Cannot reply to a deleted message");
+  }
+  return parent.replyTo ? Message.findById(parent.replyTo) : parent;
+}
+
+// Update the parent's reply count and alert everyone in the thread
+async function notifyThread(io, channel, parent, message) {
+  const updated = await Message.recordReply(parent._id, message.createdAt);
+  const thread = {
+    parentId: parent._id,
+    replyCount: updated.replyCount,
+    lastReplyAt: updated.lastReplyAt
+  };
+  io.to(channel).emit("thread:updated", thread);
+
+  // The parent's author and everyone who has replied, except the new replier
+  const senders = await Message.distinct("sender", { replyTo: parent._id });
+  const participants = new Set([parent.sender, ...senders].map(id => id.toString()));
+  participants.delete(message.sender._id.toString());
+
+  for (const participantId of participants) {
+    io.to(`user:${participantId}`).emit("thread:new-reply", {
+      ...thread,
+      conversationId: message.conversation,
+      roomId: message.room,
+      message
+    });
+  }
+}
+
+// The message a sender already posted with this client message id, if any
+export async function findSentMessage(senderId, clientMessageId) {
+  if (clientMessageId === undefined || clientMessageId === null) return null;
+  if (typeof clientMessageId !== "string" || !clientMessageId.trim() || clientMessageId.length > 64) {
+    throw new ServiceError("clientMessageId must be a string of up to 64 characters");
+  }
+  return Message.findOne({ sender: senderId, clientMessageId: clientMessageId.trim() })
+    .populate("sender", "name netId");
+}
+
+// Create a message in a conversation or room and broadcast it
+// (`attachments` are ids of files the sender uploaded beforehand; callers
+// check `clientMessageId` with findSentMessage first)
+export async function deliverMessage(io, {
+  targetType,
+  targetId,
+  senderId,
+  content,
+  messageType = "text",
+  replyTo,
+  attachments: attachmentIds,
+  clientMessageId,
+  webhook
+}) {
+  const target = Message.targetFilter(targetType, targetId);
+  const channel = `${targetType}:${targetId}`;
+  const parent = await resolveThreadParent(target, replyTo);
+  const mentions = messageType === "system" ? undefined : await resolveMentions(content);
+  // Attachments are claimed for the message's id before it exists, and
+  // released again if creating it fails
+  const messageId = new mongoose.Types.ObjectId();
+  const attachments = await claimAttachments(senderId, attachmentIds, { _id: messageId, targetType, ...target });
+
+  if (attachments.length > 0 && messageType === "text") {
+    messageType = attachments.every(a => a.isImage()) ? "image" : "file";
+  }
+
+  let message;
+  try {
+    message = await Message.create({
+      _id: messageId,
+      sender: senderId,
+      targetType,
+      ...target,
+      content,
+      messageType,
+      attachments: attachments.map(a => a.toMessageAttachment()),
+      replyTo: parent?._id,
+      mentions,
+      clientMessageId,
+      webhook
+    });
+  } catch (err) {
+    if (attachments.length > 0) {
+      await releaseAttachments(messageId);
+    }
+    // Two retries of the same send raced each other
+    if (err.code === 11000 && clientMessageId) {
+      throw new ServiceError("Message was already sent", 409);
+    }
+    throw err;
+  }
+
+  await message.populate("sender", "name netId");
+  io.to(channel).emit("message:new", { message });
+
+  if (parent) {
+    await notifyThread(io, channel, parent, message);
+  }
+
+  return message;
+}
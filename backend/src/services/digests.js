@@ -0,0 +1,210 @@
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { escapeHtml, sendMail } from "../mail/index.js";
+
+// Emails offline users a summary of the DMs and mentions they missed. A
+// digest covers unread "message" and "mention" notifications that arrived
+// since the user was last seen or last sent a digest, whichever is later, so
+// nothing is mailed twice. Each user picks how often (emailDigest.frequency),
+// or "off".
+
+const FREQUENCY_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+const DIGEST_TYPES = ["message", "mention"];
+// Most notifications listed in one email; the rest are counted
+const MAX_ITEMS = 20;
+// How many users one check mails at most, so a backlog is spread out
+const BATCH_SIZE = 100;
+
+let checkTimer = null;
+
+// How long a user has to have been offline before they get a digest
+function offlineThresholdMs() {
+  return (Number(process.env.DIGEST_OFFLINE_MINUTES) || 60) * 60 * 1000;
+}
+
+function checkIntervalMs() {
+  return (Number(process.env.DIGEST_CHECK_MINUTES) || 5) * 60 * 1000;
+}
+
+function appUrl(path) {
+  return `${process.env.CLIENT_URL}${path}`;
+}
+
+// Offline users who want digests, whose last one is at least their chosen
+// interval ago, and who weren't already checked in this round. Those checked
+// longest ago come first, so users with nothing to send don't hold the
+// others back.
+function dueUsers(now) {
+  const due = Object.entries(FREQUENCY_MS).map(([frequency, ms]) => ({
+    // Accounts from before digests existed have no frequency: the default
+    "emailDigest.frequency": frequency === "daily" ? { $in: ["daily", null] } : frequency,
+    "emailDigest.lastSentAt": { $not: { $gt: new Date(now - ms) } }
+  }));
+
+  return User.find({
+    status: "offline",
+    lastSeen: { $lte: new Date(now - offlineThresholdMs()) },
+    isBot: { $ne: true },
+    "emailDigest.lastCheckedAt": { $not: { $gt: new Date(now - checkIntervalMs()) } },
+    $or: due
+  })
+    .sort({ "emailDigest.lastCheckedAt": 1 })
+    .limit(BATCH_SIZE);
+}
+
+// The unread DMs and mentions a digest for this user would cover
+function missedNotifications(user) {
+  const lastSentAt = user.emailDigest?.lastSentAt;
+  const since = lastSentAt && lastSentAt > user.lastSeen ? lastSentAt : user.lastSeen;
+  return Notification.find({
+    user: user._id,
+    type: { $in: DIGEST_TYPES },
+    readAt: { $exists: false },
+    updatedAt: { $gt: since }
+  })
+    .populate("actor", "name netId")
+    .populate("conversation", "title isGroup")
+    .populate("room", "name")
+    .sort({ updatedAt: -1 });
+}
+
+// Where a notification happened, and a link that opens it
+function placeOf(notification) {
+  if (notification.room) {
+    return { label: `#${notification.room.name}`, link: appUrl(`/chat/rooms/${notification.room._id}`) };
+  }
+  const conversation = notification.conversation;
+  return {
+    label: conversation?.isGroup ? conversation.title || "a group conversation" : "a direct message",
+    link: appUrl(`/chat/conversations/${conversation?._id}`)
+  };
+}
+
+function headlineOf(notification, place) {
+  const who = notification.actor?.name || notification.actor?.netId || "Someone";
+  if (notification.type === "mention") {
+    return `${who} mentioned ${notification.mentionKind === "user" ? "you" : `@${notification.mentionKind}`} in ${place.label}`;
+  }
+  return notification.count > 1
+    ? `${notification.count} messages from ${who} in ${place.label}`
+    : `${who} messaged you in ${place.label}`;
+}
+
+// The digest email for a user's missed notifications (newest first)
+export function composeDigest(user, notifications) {
+  const items = notifications.slice(0, MAX_ITEMS).map(notification => {
+    const place = placeOf(notification);
+    return { headline: headlineOf(notification, place), preview: notification.preview, link: place.link };
+  });
+  const more = notifications.length - items.length;
+  const total = notifications.reduce((sum, n) => sum + (n.type === "message" ? n.count || 1 : 1), 0);
+  const subject = total === 1 ? "You have 1 unread message" : `You have ${total} unread messages`;
+  const settingsNote = "You get this because you were offline. Change how often, or turn these emails off, from the notifications menu in the app:";
+  const settingsLink = appUrl("/chat");
+
+  const text = [
+    `Hi ${user.name},`,
+    "",
+    "Here's what you missed:",
+    "",
+    ...items.flatMap(item => [
+      `* ${item.headline}`,
+      ...(item.preview ? [`  "${item.preview}"`] : []),
+      `  ${item.link}`,
+      ""
+    ]),
+    ...(more > 0 ? [`...and ${more} more.`, ""] : []),
+    settingsNote,
+    settingsLink
+  ].join("\n");
+
+  const html =
+    `<p>Hi ${escapeHtml(user.name)},</p><p>Here's what you missed:</p><ul>` +
+    items.map(item =>
+      `<li><p><a href="${escapeHtml(item.link)}">${escapeHtml(item.headline)}</a></p>` +
+      (item.preview ? `<blockquote>${escapeHtml(item.preview)}</blockquote>` : "") +
+      "</li>"
+    ).join("") +
+    "</ul>" +
+    (more > 0 ? `<p>...and ${more} more.</p>` : "") +
+    `<p><small>${settingsNote} <a href="${escapeHtml(settingsLink)}">open chat</a></small></p>`;
+
+  return { to: user.email, subject, text, html };
+}
+
+// Mail one user their digest if they missed anything. The check is claimed
+// by moving lastCheckedAt on from the value read, so when several server
+// processes check at once only one of them mails. lastSentAt only moves once
+// the mail is sent, so a failed send is retried at the next check.
+async function sendDigest(user, now) {
+  const previous = user.emailDigest?.lastCheckedAt ?? null;
+  const claimed = await User.updateOne(
+    { _id: user._id, "emailDigest.lastCheckedAt": previous },
+    { $set: { "emailDigest.lastCheckedAt": new Date(now) } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  const notifications = await missedNotifications(user);
+  if (notifications.length === 0) return false;
+
+  await sendMail(composeDigest(user, notifications));
+  await User.updateOne({ _id: user._id }, { $set: { "emailDigest.lastSentAt": new Date(now) } });
+  return true;
+}
+
+// Send every digest that is due; returns how many were sent
+export async function sendDueDigests(now = Date.now()) {
+  let sent = 0;
+  for (const user of await dueUsers(now)) {
+    try {
+      if (await sendDigest(user, now)) sent += 1;
+    } catch (err) {
+      console.error(`Sending digest to ${user.email} failed:`, err);
+    }
+  }
+  return sent;
+}
+
+// Check for due digests every DIGEST_CHECK_MINUTES
+export function startDigests() {
+  if (checkTimer) return;
+  checkTimer = setInterval(() => {
+    sendDueDigests().catch(err => console.error("Digest check failed:", err));
+  }, checkIntervalMs());
+  checkTimer.unref();
+}
+
+export function stopDigests() {
+  clearInterval(checkTimer);
+  checkTimer = null;
+}
+
+function settingsOf(user) {
+  return {
+    frequency: user?.emailDigest?.frequency || "daily",
+    lastSentAt: user?.emailDigest?.lastSentAt || null
+  };
+}
+
+// How often the user gets digest emails
+export async function getDigestSettings(userId) {
+  const user = await User.findById(userId).select("emailDigest");
+  return { digest: settingsOf(user) };
+}
+
+// Change how often the user gets digest emails ("off" opts out)
+export async function updateDigestSettings(io, userId, { frequency }) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { "emailDigest.frequency": frequency } },
+    { new: true, runValidators: true }
+  ).select("emailDigest");
+
+  const digest = settingsOf(user);
+  io.to(`user:${userId}`).emit("notification:digest:updated", { digest });
+  return { digest };
+}
@@ -0,0 +1,117 @@
+import sharp from "sharp";
+import CustomEmoji from "../models/CustomEmoji.js";
+import { getRoomForMember } from "./rooms.js";
+import { getStorage } from "../storage/index.js";
+import { ServiceError, notAuthorized, notFound } from "../utils/errors.js";
+
+const EMOJI_SIZE = 128;
+export const MAX_EMOJI_BYTES = 256 * 1024;
+const MAX_EMOJI_PER_ROOM = 100;
+const EMOJI_TYPES = ["image/png", "image/gif", "image/webp", "image/jpeg"];
+
+// A standard emoji (including skin tones, flags and ZWJ sequences)
+const UNICODE_EMOJI = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const PICTOGRAPH = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const CUSTOM_EMOJI = /^:([a-z0-9_]{2,32}):$/;
+
+// Check that `emoji` can be used as a reaction in a conversation or room:
+// any standard emoji, or ":name:" for one of the room's custom emoji
+export async function validateReactionEmoji(emoji, roomId) {
+  if (typeof emoji !== "string" || emoji.length > 32) {
+    throw new ServiceError("Invalid emoji");
+  }
+  if (UNICODE_EMOJI.test(emoji) && PICTOGRAPH.test(emoji)) {
+    return emoji;
+  }
+
+  const custom = emoji.match(CUSTOM_EMOJI);
+  if (custom && roomId && await CustomEmoji.exists({ room: roomId, name: custom[1] })) {
+    return emoji;
+  }
+  throw new ServiceError("Invalid emoji");
+}
+
+// List a room's custom emoji
+export async function listCustomEmoji(userId, { roomId }) {
+  const room = await getRoomForMember(userId, roomId);
+  const emoji = await CustomEmoji.find({ room: room._id }).sort({ name: 1 });
+  return { emoji: emoji.map(e => e.toPayload()) };
+}
+
+// Add a custom emoji to a room from an uploaded image (admins/owner).
+// Images are scaled down and stored as WebP; animated GIFs stay animated.
+export async function addCustomEmoji(userId, { roomId, name, file }) {
+  const room = await getRoomForMember(userId, roomId);
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+  if (typeof name !== "string" || !/^[a-z0-9_]{2,32}$/.test(name.trim().toLowerCase())) {
+    throw new ServiceError("Emoji name must be 2-32 letters, digits or underscores");
+  }
+  name = name.trim().toLowerCase();
+
+  if (!file) {
+    throw new ServiceError("No image uploaded");
+  }
+  if (file.size > MAX_EMOJI_BYTES) {
+    throw new ServiceError("Emoji image is too large", 413);
+  }
+  if (!EMOJI_TYPES.includes(file.mimetype)) {
+    throw new ServiceError("Emoji must be a PNG, GIF, WebP or JPEG image", 415);
+  }
+  if (await CustomEmoji.exists({ room: room._id, name })) {
+    throw new ServiceError("This room already has an emoji with that name", 409);
+  }
+  if (await CustomEmoji.countDocuments({ room: room._id }) >= MAX_EMOJI_PER_ROOM) {
+    throw new ServiceError(`Rooms can have at most ${MAX_EMOJI_PER_ROOM} custom emoji`);
+  }
+
+  let image;
+  try {
+    image = await sharp(file.buffer, { animated: true })
+      .resize(EMOJI_SIZE, EMOJI_SIZE, { fit: "inside", withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch {
+    throw new ServiceError("File is not a valid image", 415);
+  }
+
+  const emoji = new CustomEmoji({ room: room._id, name, createdBy: userId });
+  emoji.storageKey = `emoji/${room._id}/${emoji._id}.webp`;
+  await getStorage().save(emoji.storageKey, image, "image/webp");
+  await emoji.save();
+
+  return { emoji: emoji.toPayload() };
+}
+
+// Load one of a room's custom emoji by name
+async function getRoomEmoji(room, name) {
+  const emoji = await CustomEmoji.findOne({ room: room._id, name: String(name).toLowerCase() });
+  if (!emoji) {
+    throw notFound("Emoji not found");
+  }
+  return emoji;
+}
+
+// Remove a custom emoji (admins/owner). Existing reactions keep their
+// ":name:" text but no longer have an image.
+export async function removeCustomEmoji(userId, { roomId, name }) {
+  const room = await getRoomForMember(userId, roomId);
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+
+  const emoji = await getRoomEmoji(room, name);
+  await emoji.deleteOne();
+  await getStorage().remove(emoji.storageKey);
+
+  return { roomId: room._id, name: emoji.name };
+}
+
+// Open a custom emoji's image (room members)
+export async function openCustomEmoji(userId, { roomId, name }) {
+  const room = await getRoomForMember(userId, roomId);
+  const emoji = await getRoomEmoji(room, name);
+
+  return { stream: await getStorage().read(emoji.storageKey), mimeType: "image/webp" };
+}
@@ -0,0 +1,33 @@
+import User from "../models/User.js";
+
+// @netId, @room or @here, not in the middle of a word or an email address
+const MENTION_PATTERN = /(^|[^\w.@])@([a-z0-9_-]{2,32})/gi;
+// Most users one message can mention by name
+const MAX_USER_MENTIONS = 50;
+
+// The netIds a message mentions, and whether it uses @room or @here
+export function parseMentions(content) {
+  const netIds = new Set();
+  let room = false;
+  let here = false;
+  for (const [, , name] of (content || "").matchAll(MENTION_PATTERN)) {
+    const lower = name.toLowerCase();
+    if (lower === "room") room = true;
+    else if (lower === "here") here = true;
+    else netIds.add(lower);
+  }
+  return { netIds: [...netIds].slice(0, MAX_USER_MENTIONS), room, here };
+}
+
+// What Message stores in `mentions`: the ids of mentioned users who exist,
+// and the @room/@here flags. Undefined when nothing is mentioned.
+export async function resolveMentions(content) {
+  const { netIds, room, here } = parseMentions(content);
+  if (netIds.length === 0 && !room && !here) return undefined;
+
+  const users = netIds.length > 0
+    ? await User.find({ netId: { $in: netIds }, isBot: { $ne: true } }).distinct("_id")
+    : [];
+  if (users.length === 0 && !room && !here) return undefined;
+  return { users, room, here };
+}
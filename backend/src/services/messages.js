@@ -0,0 +1,496 @@
+import mongoose from "mongoose";
+import Message, { MAX_REACTIONS_PER_MESSAGE } from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
+import Room from "../models/Room.js";
+import AuditLog from "../models/AuditLog.js";
+import { getConversationForUser } from "./conversations.js";
+import { getRoomForMember } from "./rooms.js";
+import { validateReactionEmoji } from "./emoji.js";
+import { markTargetNotificationsRead, removeMessageNotifications } from "./notifications.js";
+import { ServiceError, notAuthorized, notFound } from "../utils/errors.js";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+const SEARCH_PAGE_SIZE = 20;
+// Catch-up limits: conversations/rooms per request, messages per target
+const MAX_SYNC_TARGETS = 100;
+const SYNC_PAGE_SIZE = 200;
+
+// How long after sending a message its sender may still edit it.
+// MESSAGE_EDIT_WINDOW_MINUTES=0 allows editing at any time.
+function editWindowMs() {
+  const minutes = Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES ?? 15);
+  return (Number.isFinite(minutes) ? minutes : 15) * 60 * 1000;
+}
+
+// Clamp a requested page size (may be a query string) to the allowed range
+function pageSize(limit) {
+  const size = parseInt(limit, 10) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+// Look up the message a cursor points at; it must live in the same target
+// (a Message.targetFilter)
+async function resolveCursor(target, messageId) {
+  if (!messageId) return undefined;
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new ServiceError("Invalid cursor");
+  }
+
+  const cursor = await Message.findOne({ _id: messageId, ...target })
+    .select("createdAt");
+  if (!cursor) {
+    throw new ServiceError("Invalid cursor");
+  }
+  return cursor;
+}
+
+// Get a page of messages for a conversation or room, newest first
+export async function getMessagePage(target, { before, after, limit } = {}) {
+  if (before && after) {
+    throw new ServiceError("Use either before or after, not both");
+  }
+
+  return Message.getHistory(target, {
+    before: await resolveCursor(target, before),
+    after: await resolveCursor(target, after),
+    limit: pageSize(limit)
+  });
+}
+
+// Get message history for a conversation or room the user belongs to
+export async function getMessageHistory(userId, { conversationId, roomId, before, after, limit }) {
+  let target;
+  if (conversationId) {
+    const conversation = await getConversationForUser(userId, conversationId);
+    target = Message.targetFilter("conversation", conversation._id);
+  } else if (roomId) {
+    const room = await getRoomForMember(userId, roomId);
+    target = Message.targetFilter("room", room._id);
+  } else {
+    throw new ServiceError("conversationId or roomId is required");
+  }
+
+  return getMessagePage(target, { before, after, limit });
+}
+
+// Catch up one conversation or room after being offline. `lastMessageId` is
+// the newest message the client has; `since` is when it last heard from the
+// server (defaults to that message's time). Returns the messages posted
+// after lastMessageId, oldest first, and the older messages edited or
+// deleted since then.
+async function syncTarget(userId, { conversationId, roomId, lastMessageId, since }) {
+  let target;
+  let key;
+  if (conversationId) {
+    const conversation = await getConversationForUser(userId, conversationId);
+    target = Message.targetFilter("conversation", conversation._id);
+    key = { conversationId: conversation._id };
+  } else if (roomId) {
+    const room = await getRoomForMember(userId, roomId);
+    target = Message.targetFilter("room", room._id);
+    key = { roomId: room._id };
+  } else {
+    throw new ServiceError("conversationId or roomId is required");
+  }
+
+  let cursor = await resolveCursor(target, lastMessageId);
+  let changedSince = since !== undefined ? new Date(since) : cursor?.createdAt;
+  if (changedSince && Number.isNaN(changedSince.getTime())) {
+    throw new ServiceError("Invalid since");
+  }
+  if (!cursor && !changedSince) {
+    throw new ServiceError("lastMessageId or since is required");
+  }
+  // Without a message to start from, start from the time instead
+  cursor ??= { createdAt: changedSince, _id: new mongoose.Types.ObjectId("000000000000000000000000") };
+
+  // History pages come newest first; missed messages are replayed in order
+  const { messages, hasMore } = await Message.getHistory(target, { after: cursor, limit: SYNC_PAGE_SIZE });
+  messages.reverse();
+  // Edits and deletes only: read receipts and reactions also touch updatedAt
+  const changedAfter = { $gt: changedSince ?? cursor.createdAt };
+  const updated = await Message.find({
+    ...target,
+    createdAt: { $lte: cursor.createdAt },
+    $or: [{ editedAt: changedAfter }, { deletedAt: changedAfter }]
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(SYNC_PAGE_SIZE)
+    .populate("sender", "name netId");
+
+  return { ...key, messages, hasMore, updated };
+}
+
+// Catch up on everything missed while disconnected, for each conversation
+// and room the client lists: [{ conversationId | roomId, lastMessageId, since }].
+// A target the user can no longer see gets an `error` instead of messages.
+// Keep `serverTime` and send it as `since` next time.
+export async function syncMessages(userId, { targets }) {
+  if (!Array.isArray(targets) || targets.length > MAX_SYNC_TARGETS) {
+    throw new ServiceError(`targets must be an array of up to ${MAX_SYNC_TARGETS} entries`);
+  }
+
+  const serverTime = new Date();
+  const results = [];
+  for (const target of targets) {
+    try {
+      results.push(await syncTarget(userId, target || {}));
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+      results.push({
+        conversationId: target?.conversationId,
+        roomId: target?.roomId,
+        error: error.message
+      });
+    }
+  }
+
+  return { serverTime, results };
+}
+
+// Load a message (including its edit history) by id
+async function loadMessage(messageId) {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw notFound("Message not found");
+  }
+
+  const message = await Message.findById(messageId).select("+editHistory");
+  if (!message) {
+    throw notFound("Message not found");
+  }
+  return message;
+}
+
+// Find the conversation or room a message was posted in, and make sure the
+// user still belongs to it
+async function getMessageTarget(userId, message) {
+  if (message.targetType === "room") {
+    const room = await Room.findById(message.room);
+    if (!room) throw notFound("Message not found");
+    if (!room.isMember(userId)) throw notAuthorized();
+    return { room, channel: `room:${room._id}` };
+  }
+
+  const conversation = await Conversation.findById(message.conversation);
+  if (!conversation) throw notFound("Message not found");
+  if (!conversation.isParticipant(userId)) throw notAuthorized();
+  return { conversation, channel: `conversation:${conversation._id}` };
+}
+
+// Strip the moderator-only edit history before a message goes out
+function toPayload(message) {
+  const payload = message.toObject();
+  delete payload.editHistory;
+  return payload;
+}
+
+// Edit a message and broadcast the new version
+export async function editMessage(io, userId, { messageId, content }) {
+  const message = await loadMessage(messageId);
+  const { channel } = await getMessageTarget(userId, message);
+
+  if (message.sender.toString() !== userId.toString()) {
+    throw notAuthorized("Only the sender can edit this message");
+  }
+  if (message.isDeleted) {
+    throw new ServiceError("Deleted messages cannot be edited");
+  }
+  const editWindow = editWindowMs();
+  if (editWindow > 0 && Date.now() - message.createdAt.getTime() > editWindow) {
+    throw new ServiceError("Edit window has expired");
+  }
+  if (typeof content !== "string" || !content.trim()) {
+    throw new ServiceError("Message content is required");
+  }
+
+  await message.editMessage(content);
+  await message.populate("sender", "name netId");
+
+  const payload = toPayload(message);
+  io.to(channel).emit("message:updated", { message: payload });
+
+  return { message: payload };
+}
+
+// Delete a message (sender, or a room admin/owner) and broadcast it
+export async function deleteMessage(io, userId, { messageId }) {
+  const message = await loadMessage(messageId);
+  const { room, channel } = await getMessageTarget(userId, message);
+
+  const isSender = message.sender.toString() === userId.toString();
+  if (!isSender && !(room && room.isAdminOrOwner(userId))) {
+    throw notAuthorized("Only the sender or a room admin can delete this message");
+  }
+  if (message.isDeleted) {
+    throw new ServiceError("Message is already deleted");
+  }
+
+  await message.softDelete(userId);
+  await removeMessageNotifications(message._id);
+  if (!isSender) {
+    await AuditLog.record(room._id, userId, "message.delete", {
+      targetUser: message.sender,
+      targetMessage: message._id
+    });
+  }
+  await message.populate("sender", "name netId");
+
+  const payload = toPayload(message);
+  io.to(channel).emit("message:deleted", { message: payload });
+
+  return { message: payload };
+}
+
+// Get the previous versions of a message (sender, or a room admin/owner)
+export async function getEditHistory(userId, { messageId }) {
+  const message = await loadMessage(messageId);
+  const { room } = await getMessageTarget(userId, message);
+
+  const isSender = message.sender.toString() === userId.toString();
+  if (!isSender && !(room && room.isAdminOrOwner(userId))) {
+    throw notAuthorized();
+  }
+
+  await message.populate("editHistory.editedBy", "name netId");
+  return { messageId: message._id, content: message.content, editHistory: message.editHistory };
+}
+
+// Tell a conversation or room that a message's reactions changed
+function broadcastReaction(io, channel, message, { emoji, userId, action }) {
+  const reaction = {
+    messageId: message._id,
+    conversationId: message.conversation,
+    roomId: message.room,
+    emoji,
+    userId,
+    action,
+    reactions: message.reactions
+  };
+  io.to(channel).emit("message:reaction", reaction);
+  return reaction;
+}
+
+// React to a message. Reacting twice with the same emoji changes nothing.
+export async function addReaction(io, userId, { messageId, emoji }) {
+  const message = await loadMessage(messageId);
+  const { room, channel } = await getMessageTarget(userId, message);
+
+  if (message.isDeleted) {
+    throw new ServiceError("Cannot react to a deleted message");
+  }
+  await validateReactionEmoji(emoji, room?._id);
+
+  const updated = await Message.addReaction(message._id, emoji, userId);
+  if (!updated) {
+    const current = await Message.findById(message._id).select("reactions");
+    const existing = current.reactions.find(r => r.emoji === emoji);
+    if (!existing) {
+      throw new ServiceError(`A message can have at most ${MAX_REACTIONS_PER_MESSAGE} different reactions`);
+    }
+    return { messageId: message._id, emoji, reactions: current.reactions };
+  }
+
+  return broadcastReaction(io, channel, updated, { emoji, userId, action: "add" });
+}
+
+// Take back a reaction
+export async function removeReaction(io, userId, { messageId, emoji }) {
+  const message = await loadMessage(messageId);
+  const { channel } = await getMessageTarget(userId, message);
+
+  const updated = await Message.removeReaction(message._id, emoji, userId);
+  if (!updated) {
+    return { messageId: message._id, emoji, reactions: message.reactions };
+  }
+
+  return broadcastReaction(io, channel, updated, { emoji, userId, action: "remove" });
+}
+
+// Mark a conversation or room as read up to a message (or entirely), reset
+// the user's unread counter and send a read receipt to everyone else
+export async function markRead(io, userId, { conversationId, roomId, upTo }) {
+  let target;
+  let receipt;
+  if (conversationId) {
+    target = await getConversationForUser(userId, conversationId);
+    receipt = { conversationId: target._id };
+  } else if (roomId) {
+    target = await getRoomForMember(userId, roomId);
+    receipt = { roomId: target._id };
+  } else {
+    throw new ServiceError("conversationId or roomId is required");
+  }
+
+  const cursor = await resolveCursor(
+    Message.targetFilter(roomId ? "room" : "conversation", target._id),
+    upTo
+  );
+  const readAt = cursor ? cursor.createdAt : new Date();
+  let unread = 0;
+
+  if (roomId) {
+    // The marker only moves forward, so count from whichever is later
+    const lastReadAt = target.getLastReadAt(userId);
+    await target.markReadForMember(userId, readAt);
+    unread = await Message.countSince(target._id, userId, lastReadAt > readAt ? lastReadAt : readAt);
+  } else {
+    await Message.markReadUpTo(target._id, userId, readAt);
+    if (cursor) {
+      unread = await Message.getUnreadCount(target._id, userId);
+      await target.setUnreadCount(userId, unread);
+    } else {
+      await target.resetUnread(userId);
+    }
+  }
+
+  await markTargetNotificationsRead(io, userId, roomId ? "room" : "conversation", target._id);
+
+  receipt = { ...receipt, userId, upTo: cursor?._id, readAt };
+  const channel = roomId ? `room:${target._id}` : `conversation:${target._id}`;
+  io.to(channel).except(`user:${userId}`).emit("message:read", receipt);
+  io.to(`user:${userId}`).emit("unread:update", { ...receipt, unread });
+
+  return { ...receipt, unread };
+}
+
+// Mark everything up to and including a message as read
+export async function markMessageRead(io, userId, { messageId }) {
+  const message = await loadMessage(messageId);
+  const { conversation, room } = await getMessageTarget(userId, message);
+
+  return markRead(io, userId, {
+    conversationId: conversation?._id,
+    roomId: room?._id,
+    upTo: message._id
+  });
+}
+
+// Get a thread: its parent message and a page of replies, newest first
+export async function getThread(userId, { messageId, before, after, limit }) {
+  const message = await loadMessage(messageId);
+  await getMessageTarget(userId, message);
+
+  const parent = message.replyTo ? await loadMessage(message.replyTo) : message;
+  const target = Message.targetFilter(parent.targetType, parent.room || parent.conversation);
+  const { messages: replies, hasMore } = await getMessagePage(
+    { ...target, replyTo: parent._id },
+    { before, after, limit }
+  );
+
+  await parent.populate("sender", "name netId");
+  return { parent: toPayload(parent), replies, hasMore };
+}
+
+// Split a search query into the words to highlight (skipping negated terms)
+function searchTerms(query) {
+  return query
+    .split(/\s+/)
+    .map(term => term.replace(/^"|"$/g, ""))
+    .filter(term => term && !term.startsWith("-"));
+}
+
+// Find where the search terms occur in a message, as sorted, non-overlapping
+// { start, length } ranges a client can wrap in highlighting markup
+function highlight(content, terms) {
+  const lower = (content || "").toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    const needle = term.toLowerCase();
+    for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + needle.length)) {
+      ranges.push({ start: i, length: needle.length });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged.at(-1);
+    if (!last || range.start >= last.start + last.length) {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+function parseDate(value, name) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ServiceError(`Invalid ${name} date`);
+  }
+  return date;
+}
+
+// Search message content across every conversation and room the user
+// currently belongs to, or within one conversation or room
+export async function searchMessages(userId, {
+  query,
+  sender,
+  conversationId,
+  roomId,
+  from,
+  to,
+  hasAttachment,
+  page,
+  limit
+}) {
+  if (typeof query !== "string" || !query.trim()) {
+    throw new ServiceError("Search query is required");
+  }
+  if (conversationId && roomId) {
+    throw new ServiceError("Give either conversationId or roomId, not both");
+  }
+
+  // Only search where the user is a member right now
+  const [conversationIds, roomIds] = await Promise.all([
+    Conversation.distinct("_id", { participants: userId }),
+    Room.distinct("_id", { "members.user": userId, isActive: true })
+  ]);
+
+  const scope = [];
+  if (conversationId) {
+    if (!conversationIds.some(id => id.equals(conversationId))) throw notAuthorized();
+    scope.push({ conversation: conversationId });
+  }
+  if (roomId) {
+    if (!roomIds.some(id => id.equals(roomId))) throw notAuthorized();
+    scope.push({ room: roomId });
+  }
+  if (scope.length === 0) {
+    scope.push({ conversation: { $in: conversationIds } }, { room: { $in: roomIds } });
+  }
+
+  const filter = { $or: scope };
+  if (sender) {
+    if (!mongoose.isValidObjectId(sender)) throw new ServiceError("Invalid sender");
+    filter.sender = sender;
+  }
+  const fromDate = parseDate(from, "from");
+  const toDate = parseDate(to, "to");
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+  if (hasAttachment === true || hasAttachment === "true") {
+    filter["attachments.0"] = { $exists: true };
+  } else if (hasAttachment === false || hasAttachment === "false") {
+    filter["attachments.0"] = { $exists: false };
+  }
+
+  const size = Math.min(Math.max(parseInt(limit, 10) || SEARCH_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const found = await Message.search(query.trim(), filter, {
+    skip: (pageNumber - 1) * size,
+    limit: size + 1
+  });
+
+  const terms = searchTerms(query);
+  const results = found.slice(0, size).map(message => ({
+    message: toPayload(message),
+    highlights: highlight(message.content, terms)
+  }));
+
+  return { results, page: pageNumber, hasMore: found.length > size };
+}
@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import Message from "../models/Message.js";
+import Report from "../models/Report.js";
+import Room from "../models/Room.js";
+import User from "../models/User.js";
+import { getRole, getRoomForMember, removeMemberAndAnnounce } from "./rooms.js";
+import { ServiceError, notAuthorized, notFound } from "../utils/errors.js";
+
+// Most messages a room can have pinned at once
+export const MAX_PINNED_MESSAGES = 50;
+// Longest mute, in minutes (30 days)
+export const MAX_MUTE_MINUTES = 30 * 24 * 60;
+const PAGE_SIZE = 50;
+
+// Load a room the user moderates (admins/owner)
+async function getModeratedRoom(userId, roomId, options) {
+  const room = await getRoomForMember(userId, roomId, options);
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+  return room;
+}
+
+// Admins may act on regular members; the owner on anyone but themselves
+function assertCanModerate(room, userId, memberId) {
+  if (memberId.toString() === userId.toString()) {
+    throw new ServiceError("You cannot do that to yourself");
+  }
+  const targetRole = getRole(room, memberId);
+  if (targetRole === "owner" || (targetRole === "admin" && getRole(room, userId) !== "owner")) {
+    throw notAuthorized("You cannot moderate this member");
+  }
+}
+
+// Load a room message along with its room, which the user must belong to
+async function loadRoomMessage(userId, messageId) {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw notFound("Message not found");
+  }
+  const message = await Message.findById(messageId);
+  if (!message) {
+    throw notFound("Message not found");
+  }
+  if (message.targetType !== "room") {
+    throw new ServiceError("Only room messages can be moderated");
+  }
+  const room = await getRoomForMember(userId, message.room);
+  return { message, room };
+}
+
+// Send an event to a room's admins and owner only
+function emitToModerators(io, room, event, payload) {
+  const moderators = room.members
+    .filter(m => m.role === "owner" || m.role === "admin")
+    .map(m => `user:${m.user._id || m.user}`);
+  if (moderators.length > 0) {
+    io.to(moderators).emit(event, payload);
+  }
+}
+
+// Page of newest-first documents before the `before` id
+async function page(query, { before, limit }) {
+  const size = Math.min(Math.max(parseInt(limit, 10) || PAGE_SIZE, 1), 100);
+  if (before) {
+    query.where("_id").lt(before);
+  }
+  const docs = await query.sort({ _id: -1 }).limit(size + 1);
+  return { items: docs.slice(0, size), hasMore: docs.length > size };
+}
+
+// ===== REPORTS =====
+
+// Report a room message to the room's admins
+export async function reportMessage(io, userId, { messageId, reason, details }) {
+  const { message, room } = await loadRoomMessage(userId, messageId);
+
+  if (message.sender.toString() === userId.toString()) {
+    throw new ServiceError("You cannot report your own message");
+  }
+  if (message.isDeleted) {
+    throw new ServiceError("Message has been deleted");
+  }
+
+  let report;
+  try {
+    report = await Report.create({ room: room._id, message: message._id, reporter: userId, reason, details });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ServiceError("You have already reported this message", 409);
+    }
+    throw err;
+  }
+
+  emitToModerators(io, room, "report:new", { roomId: room._id, report });
+  return { report };
+}
+
+// The room's moderation queue: open reports by default, newest first
+// (admins/owner)
+export async function listReports(userId, { roomId, status = "open", before, limit }) {
+  const room = await getModeratedRoom(userId, roomId);
+
+  const { items, hasMore } = await page(
+    Report.find({ room: room._id, status })
+      .populate("reporter", "name netId")
+      .populate("resolvedBy", "name netId")
+      .populate({
+        path: "message",
+        select: "content sender attachments isDeleted createdAt",
+        populate: { path: "sender", select: "name netId" }
+      }),
+    { before, limit }
+  );
+  return { reports: items, hasMore };
+}
+
+// Close an open report as resolved or dismissed (admins/owner)
+export async function resolveReport(io, userId, { roomId, reportId, status, note }) {
+  const room = await getModeratedRoom(userId, roomId);
+
+  const report = mongoose.isValidObjectId(reportId)
+    ? await Report.findOne({ _id: reportId, room: room._id })
+    : null;
+  if (!report) {
+    throw notFound("Report not found");
+  }
+  if (report.status !== "open") {
+    throw new ServiceError("Report is already closed", 409);
+  }
+  if (status !== "resolved" && status !== "dismissed") {
+    throw new ServiceError("Status must be resolved or dismissed");
+  }
+
+  await report.close(status, userId, note);
+  const message = await Message.findById(report.message).select("sender");
+  await AuditLog.record(room._id, userId, status === "resolved" ? "report.resolve" : "report.dismiss", {
+    targetUser: message?.sender,
+    targetMessage: report.message,
+    details: { reportId: report._id, reason: report.reason, note }
+  });
+
+  emitToModerators(io, room, "report:updated", { roomId: room._id, report });
+  return { report };
+}
+
+// ===== MUTES =====
+
+// Stop a member from posting in the room for a number of minutes
+// (admins/owner)
+export async function muteMember(io, userId, { roomId, memberId, minutes, reason }) {
+  const room = await getModeratedRoom(userId, roomId, { withMutes: true });
+
+  if (!room.isMember(memberId)) {
+    throw notFound("User is not a member of this room");
+  }
+  assertCanModerate(room, userId, memberId);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+    throw new ServiceError(`Mute length must be 1-${MAX_MUTE_MINUTES} minutes`);
+  }
+
+  const until = new Date(Date.now() + minutes * 60 * 1000);
+  await room.muteMember(memberId, until, { by: userId, reason });
+  await AuditLog.record(room._id, userId, "member.mute", {
+    targetUser: memberId,
+    details: { minutes, until, reason }
+  });
+
+  io.to(`room:${room._id}`).emit("member:muted", { roomId: room._id, userId: memberId, until, reason });
+  return { roomId: room._id, userId: memberId, until };
+}
+
+// Lift a member's mute early (admins/owner)
+export async function unmuteMember(io, userId, { roomId, memberId }) {
+  const room = await getModeratedRoom(userId, roomId, { withMutes: true });
+
+  if (!room.getActiveMute(memberId)) {
+    throw notFound("User is not muted");
+  }
+
+  await room.unmuteMember(memberId);
+  await AuditLog.record(room._id, userId, "member.unmute", { targetUser: memberId });
+
+  io.to(`room:${room._id}`).emit("member:unmuted", { roomId: room._id, userId: memberId });
+  return { roomId: room._id, userId: memberId };
+}
+
+// ===== BANS =====
+
+// Ban a user: they are removed from the room and can't join again, not even
+// with the invite code (admins/owner)
+export async function banMember(io, userId, { roomId, memberId, reason }) {
+  const room = await getModeratedRoom(userId, roomId);
+
+  assertCanModerate(room, userId, memberId);
+  if (!(await User.exists({ _id: memberId }))) {
+    throw notFound("User not found");
+  }
+
+  const { modifiedCount } = await Room.updateOne(
+    { _id: room._id, "bans.user": { $ne: memberId } },
+    {
+      $push: { bans: { user: memberId, by: userId, reason, bannedAt: new Date() } },
+      $pull: { mutes: { user: memberId } }
+    }
+  );
+  if (modifiedCount === 0) {
+    throw new ServiceError("User is already banned", 409);
+  }
+
+  if (room.isMember(memberId)) {
+    await removeMemberAndAnnounce(io, room, memberId, "banned");
+  }
+  await AuditLog.record(room._id, userId, "member.ban", { targetUser: memberId, details: { reason } });
+
+  return { roomId: room._id, userId: memberId };
+}
+
+// Let a banned user join again (admins/owner)
+export async function unbanMember(userId, { roomId, memberId }) {
+  const room = await getModeratedRoom(userId, roomId);
+
+  const { modifiedCount } = await Room.updateOne(
+    { _id: room._id, "bans.user": memberId },
+    { $pull: { bans: { user: memberId } } }
+  );
+  if (modifiedCount === 0) {
+    throw notFound("User is not banned");
+  }
+
+  await AuditLog.record(room._id, userId, "member.unban", { targetUser: memberId });
+  return { roomId: room._id, userId: memberId };
+}
+
+// List the room's bans (admins/owner)
+export async function listBans(userId, { roomId }) {
+  const room = await getModeratedRoom(userId, roomId);
+
+  const { bans } = await Room.findById(room._id)
+    .select("+bans")
+    .populate("bans.user", "name netId")
+    .populate("bans.by", "name netId");
+  return { roomId: room._id, bans };
+}
+
+// ===== PINS =====
+
+// Pin a room message for everyone (admins/owner)
+export async function pinMessage(io, userId, { messageId }) {
+  const { message, room } = await loadRoomMessage(userId, messageId);
+
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+  if (message.isDeleted) {
+    throw new ServiceError("Deleted messages cannot be pinned");
+  }
+  if (message.pinnedAt) {
+    throw new ServiceError("Message is already pinned", 409);
+  }
+  const pinned = await Message.countDocuments({ room: room._id, pinnedAt: { $type: "date" }, isDeleted: false });
+  if (pinned >= MAX_PINNED_MESSAGES) {
+    throw new ServiceError(`A room can have at most ${MAX_PINNED_MESSAGES} pinned messages`);
+  }
+
+  const pinnedAt = new Date();
+  message.pinnedAt = pinnedAt;
+  message.pinnedBy = userId;
+  await message.save();
+  await AuditLog.record(room._id, userId, "message.pin", {
+    targetUser: message.sender,
+    targetMessage: message._id
+  });
+
+  io.to(`room:${room._id}`).emit("message:pinned", {
+    roomId: room._id,
+    messageId: message._id,
+    pinnedBy: userId,
+    pinnedAt
+  });
+  return { roomId: room._id, messageId: message._id, pinnedAt };
+}
+
+// Unpin a room message (admins/owner)
+export async function unpinMessage(io, userId, { messageId }) {
+  const { message, room } = await loadRoomMessage(userId, messageId);
+
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+  if (!message.pinnedAt) {
+    throw new ServiceError("Message is not pinned");
+  }
+
+  message.pinnedAt = undefined;
+  message.pinnedBy = undefined;
+  await message.save();
+  await AuditLog.record(room._id, userId, "message.unpin", {
+    targetUser: message.sender,
+    targetMessage: message._id
+  });
+
+  io.to(`room:${room._id}`).emit("message:unpinned", { roomId: room._id, messageId: message._id });
+  return { roomId: room._id, messageId: message._id };
+}
+
+// A room's pinned messages, most recently pinned first
+export async function listPinnedMessages(userId, { roomId }) {
+  const room = await getRoomForMember(userId, roomId);
+
+  const messages = await Message.find({ room: room._id, pinnedAt: { $type: "date" }, isDeleted: false })
+    .sort({ pinnedAt: -1 })
+    .limit(MAX_PINNED_MESSAGES)
+    .populate("sender", "name netId")
+    .populate("pinnedBy", "name netId");
+  return { roomId: room._id, messages };
+}
+
+// ===== AUDIT LOG =====
+
+// Page through the room's audit log, newest first, optionally for one
+// action (admins/owner)
+export async function getAuditLog(userId, { roomId, action, before, limit }) {
+  const room = await getModeratedRoom(userId, roomId);
+
+  const query = AuditLog.find({ room: room._id })
+    .populate("actor", "name netId")
+    .populate("targetUser", "name netId");
+  if (action) {
+    query.where("action").equals(action);
+  }
+
+  const { items, hasMore } = await page(query, { before, limit });
+  return { entries: items, hasMore };
+}
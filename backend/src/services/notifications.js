@@ -0,0 +1,272 @@
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import NotificationSetting from "../models/NotificationSetting.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import { onMessageDelivered } from "./delivery.js";
+import { getConversationForUser } from "./conversations.js";
+import { getRoomForMember } from "./rooms.js";
+import { ServiceError } from "../utils/errors.js";
+
+const PAGE_SIZE = 30;
+const PREVIEW_LENGTH = 140;
+
+function previewOf(message) {
+  if (message.content) {
+    return message.content.length > PREVIEW_LENGTH
+      ? `${message.content.slice(0, PREVIEW_LENGTH - 1)}…`
+      : message.content;
+  }
+  return message.attachments?.length ? "Sent an attachment" : "";
+}
+
+// Unread notification counts for several users at once, as a Map
+async function unreadCounts(userIds) {
+  const counts = await Notification.aggregate([
+    { $match: { user: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) }, readAt: { $exists: false } } },
+    { $group: { _id: "$user", unread: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [c._id.toString(), c.unread]));
+}
+
+// Send new or updated notifications to their users' sockets
+async function push(io, notifications) {
+  if (notifications.length === 0) return;
+  const counts = await unreadCounts(notifications.map(n => n.user.toString()));
+  for (const notification of notifications) {
+    const userId = notification.user.toString();
+    io.to(`user:${userId}`).emit("notification:new", {
+      notification: notification.toPayload(),
+      unread: counts.get(userId) || 0
+    });
+  }
+}
+
+// Why each member should hear about a message, as a Map of user id to
+// { type, mentionKind }. A user gets one notification per message, for the
+// first reason that applies: being named, @room, @here, a reply to their
+// message, then (conversations only) a message while they are offline.
+async function reasonsFor(message, target) {
+  const senderId = message.sender._id.toString();
+  const memberIds = (target.participants || target.members.map(m => m.user))
+    .map(id => (id._id || id).toString())
+    .filter(id => id !== senderId);
+  if (memberIds.length === 0) return new Map();
+
+  // Bots don't get notifications
+  const users = await User.find({ _id: { $in: memberIds }, isBot: { $ne: true } }).select("status");
+  const online = new Set(users.filter(u => u.status !== "offline").map(u => u._id.toString()));
+  const recipients = users.map(u => u._id.toString());
+
+  const reasons = new Map();
+  const add = (id, reason) => {
+    if (!reasons.has(id)) reasons.set(id, reason);
+  };
+  const mentions = message.mentions || {};
+  const named = new Set((mentions.users || []).map(id => id.toString()));
+
+  for (const id of recipients) {
+    if (named.has(id)) add(id, { type: "mention", mentionKind: "user" });
+  }
+  if (mentions.room) {
+    for (const id of recipients) add(id, { type: "mention", mentionKind: "room" });
+  }
+  if (mentions.here) {
+    for (const id of recipients) {
+      if (online.has(id)) add(id, { type: "mention", mentionKind: "here" });
+    }
+  }
+  if (message.replyTo) {
+    const parent = await Message.findById(message.replyTo).select("sender");
+    const authorId = parent?.sender.toString();
+    if (authorId && recipients.includes(authorId)) add(authorId, { type: "reply" });
+  }
+  if (message.targetType === "conversation") {
+    for (const id of recipients) {
+      if (!online.has(id)) add(id, { type: "message" });
+    }
+  }
+  return reasons;
+}
+
+// Create the notifications a delivered message causes, respecting each
+// recipient's level for the conversation or room, and push them live
+async function notifyMessage(io, message, target) {
+  const reasons = await reasonsFor(message, target);
+  if (reasons.size === 0) return;
+
+  const targetFilter = Message.targetFilter(message.targetType, target._id);
+  const levels = await NotificationSetting.levelsFor([...reasons.keys()], targetFilter);
+  const base = {
+    actor: message.sender._id,
+    targetType: message.targetType,
+    ...targetFilter,
+    message: message._id,
+    preview: previewOf(message)
+  };
+
+  const created = [];
+  const inserts = [];
+  for (const [userId, reason] of reasons) {
+    const level = levels.get(userId);
+    if (level === "none" || (level === "mentions" && reason.type !== "mention")) continue;
+
+    if (reason.type === "message") {
+      // Offline DMs pile up on one unread notification per conversation
+      created.push(await Notification.findOneAndUpdate(
+        { user: userId, type: "message", ...targetFilter, readAt: { $exists: false } },
+        { $set: base, $inc: { count: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: false }
+      ));
+    } else {
+      inserts.push({ ...base, user: userId, ...reason });
+    }
+  }
+  if (inserts.length > 0) {
+    created.push(...await Notification.insertMany(inserts));
+  }
+
+  for (const notification of created) {
+    notification.actor = message.sender;
+  }
+  await push(io, created);
+}
+
+// Start creating notifications for delivered messages
+export function startNotifications() {
+  onMessageDelivered(notifyMessage);
+}
+
+// Tell users they were added to a group conversation
+export async function notifyInvite(io, actorId, conversation, userIds) {
+  const actor = await User.findById(actorId).select("name netId");
+  const notifications = await Notification.insertMany(userIds.map(userId => ({
+    user: userId,
+    type: "invite",
+    actor: actorId,
+    targetType: "conversation",
+    conversation: conversation._id,
+    preview: conversation.title || ""
+  })));
+  for (const notification of notifications) {
+    notification.actor = actor;
+  }
+  await push(io, notifications);
+}
+
+// Mention and reply notifications go away with their message
+export function removeMessageNotifications(messageId) {
+  return Notification.deleteMany({ message: messageId, type: { $in: ["mention", "reply"] } });
+}
+
+// A page of the user's notifications, newest first, and how many are unread
+export async function listNotifications(userId, { unreadOnly = false, before, limit } = {}) {
+  const size = Math.min(Math.max(parseInt(limit, 10) || PAGE_SIZE, 1), 100);
+  const query = Notification.find({ user: userId })
+    .populate("actor", "name netId")
+    .sort({ _id: -1 })
+    .limit(size + 1);
+  if (unreadOnly) {
+    query.where("readAt").exists(false);
+  }
+  if (before) {
+    query.where("_id").lt(before);
+  }
+
+  const [docs, unread] = await Promise.all([query, Notification.unreadCount(userId)]);
+  return {
+    notifications: docs.slice(0, size).map(n => n.toPayload()),
+    hasMore: docs.length > size,
+    unread
+  };
+}
+
+// Mark the user's unread notifications matching `filter` read. `scope`
+// describes which ones for the "notification:read" event, which keeps the
+// user's other devices in sync.
+async function markRead(io, userId, filter, scope) {
+  const result = await Notification.updateMany(
+    { ...filter, user: userId, readAt: { $exists: false } },
+    { $set: { readAt: new Date() } }
+  );
+  const unread = await Notification.unreadCount(userId);
+  io.to(`user:${userId}`).emit("notification:read", { ...scope, unread });
+  return { marked: result.modifiedCount, unread };
+}
+
+// Mark some of the user's notifications read, or all of them
+export async function markNotificationsRead(io, userId, { notificationIds, all = false }) {
+  if (all) {
+    return markRead(io, userId, {}, { all: true });
+  }
+  if (!notificationIds?.length) {
+    throw new ServiceError("notificationIds or all is required");
+  }
+  return markRead(io, userId, { _id: { $in: notificationIds } }, { notificationIds });
+}
+
+// Reading a conversation or room clears its notifications
+export async function markTargetNotificationsRead(io, userId, targetType, targetId) {
+  const filter = Message.targetFilter(targetType, targetId);
+  if (!(await Notification.exists({ ...filter, user: userId, readAt: { $exists: false } }))) return;
+  const scope = targetType === "room" ? { roomId: targetId.toString() } : { conversationId: targetId.toString() };
+  await markRead(io, userId, filter, scope);
+}
+
+// The conversation or room a settings request is about, checking the user
+// belongs to it
+async function settingsTarget(userId, { conversationId, roomId }) {
+  if (conversationId && roomId) {
+    throw new ServiceError("Give either conversationId or roomId, not both");
+  }
+  if (conversationId) {
+    const conversation = await getConversationForUser(userId, conversationId);
+    return { targetType: "conversation", filter: { conversation: conversation._id } };
+  }
+  if (roomId) {
+    const room = await getRoomForMember(userId, roomId);
+    return { targetType: "room", filter: { room: room._id } };
+  }
+  throw new ServiceError("conversationId or roomId is required");
+}
+
+// The user's notification settings: for one conversation or room (defaults
+// included), or every one they have changed
+export async function getNotificationSettings(userId, { conversationId, roomId } = {}) {
+  if (!conversationId && !roomId) {
+    const settings = await NotificationSetting.find({ user: userId });
+    return { settings: settings.map(s => s.toPayload()) };
+  }
+
+  const { filter } = await settingsTarget(userId, { conversationId, roomId });
+  const setting = await NotificationSetting.findOne({ ...filter, user: userId });
+  return {
+    setting: setting?.toPayload() || {
+      conversationId: filter.conversation?.toString(),
+      roomId: filter.room?.toString(),
+      level: "all",
+      mutedUntil: null
+    }
+  };
+}
+
+// Set the level for a conversation or room and/or mute it for a while
+// (muteMinutes: null unmutes)
+export async function updateNotificationSettings(io, userId, { conversationId, roomId, level, muteMinutes }) {
+  const { targetType, filter } = await settingsTarget(userId, { conversationId, roomId });
+
+  const update = { targetType };
+  if (level !== undefined) update.level = level;
+  if (muteMinutes === null) update.mutedUntil = null;
+  else if (muteMinutes !== undefined) update.mutedUntil = new Date(Date.now() + muteMinutes * 60 * 1000);
+
+  const setting = await NotificationSetting.findOneAndUpdate(
+    { ...filter, user: userId },
+    { $set: update },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  const payload = setting.toPayload();
+  io.to(`user:${userId}`).emit("notification:settings:updated", { setting: payload });
+  return { setting: payload };
+}
@@ -0,0 +1,379 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Room from "../models/Room.js";
+import AuditLog from "../models/AuditLog.js";
+import User from "../models/User.js";
+import { deliverMessage, findSentMessage, messageDelivered } from "./delivery.js";
+import { parseCommand, runCommand } from "../bots/commands.js";
+import { emitRoomEvent } from "../webhooks/dispatcher.js";
+import { ServiceError, notAuthorized, notFound, rateLimited } from "../utils/errors.js";
+
+const ROOM_CATEGORIES = Room.schema.path("category").enumValues;
+
+// Load a room and make sure the user is a member of it. `withMutes` also
+// loads its mutes, which are left out by default.
+export async function getRoomForMember(userId, roomId, { withMutes = false } = {}) {
+  if (!mongoose.isValidObjectId(roomId)) {
+    throw notAuthorized();
+  }
+
+  const room = await Room.findById(roomId).select(withMutes ? "+mutes" : undefined);
+  if (!room || !room.isMember(userId)) {
+    throw notAuthorized();
+  }
+  return room;
+}
+
+// Get user's rooms
+export async function listRooms(userId) {
+  const rooms = await Room.find({ "members.user": userId, isActive: true })
+    .populate("createdBy", "name netId")
+    .sort({ lastActivity: -1 });
+
+  const withUnread = await Promise.all(rooms.map(async room => ({
+    ...room.toObject(),
+    unread: await Message.countSince(room._id, userId, room.getLastReadAt(userId))
+  })));
+
+  return { rooms: withUnread };
+}
+
+// Create a room owned by the user
+export async function createRoom(userId, { name, description, isPrivate, category }) {
+  const room = await Room.create({
+    name,
+    description,
+    isPrivate: isPrivate || false,
+    category,
+    createdBy: userId,
+    members: [{ user: userId, role: "owner" }]
+  });
+
+  if (room.isPrivate) {
+    await room.generateInviteCode();
+  }
+
+  return { room };
+}
+
+// Get a room the user belongs to, with its messages
+export async function getRoom(userId, roomId) {
+  const room = await getRoomForMember(userId, roomId);
+  await room.populate("members.user", "name netId");
+
+  const { messages, hasMore } = await Message.getHistory(Message.targetFilter("room", room._id));
+
+  return { room, messages, hasMore };
+}
+
+// Post a message in a room and update its activity. Doesn't check that the
+// sender is a member, so callers must.
+export async function postToRoom(io, room, senderId, { content, messageType, replyTo, attachments, clientMessageId, webhook }) {
+  const message = await deliverMessage(io, {
+    targetType: "room",
+    targetId: room._id,
+    senderId,
+    content,
+    messageType,
+    replyTo,
+    attachments,
+    clientMessageId,
+    webhook
+  });
+  await room.updateActivity();
+
+  messageDelivered(io, message, room);
+  return message;
+}
+
+// In slow mode, members wait between messages; admins and bots don't
+async function enforceSlowMode(room, userId) {
+  if (!room.slowModeSeconds || room.isAdminOrOwner(userId)) return;
+
+  const windowStart = new Date(Date.now() - room.slowModeSeconds * 1000);
+  const last = await Message.findOne({ room: room._id, sender: userId, createdAt: { $gt: windowStart } })
+    .sort({ createdAt: -1 })
+    .select("createdAt");
+  if (!last || await User.exists({ _id: userId, isBot: true })) return;
+
+  const retryAfter = Math.ceil((last.createdAt.getTime() - windowStart.getTime()) / 1000);
+  throw rateLimited(retryAfter, `Slow mode is on: one message every ${room.slowModeSeconds} seconds`);
+}
+
+// Muted members can't post until their mute runs out
+function enforceMute(room, userId) {
+  const mute = room.getActiveMute(userId);
+  if (!mute) return;
+
+  const error = notAuthorized(`You are muted in this room until ${mute.until.toISOString()}`);
+  error.retryAfter = Math.ceil((mute.until.getTime() - Date.now()) / 1000);
+  throw error;
+}
+
+// Send message in room and broadcast it to its members. A message that is a
+// slash command runs the command instead of being posted. Resending with the
+// same clientMessageId returns the original message.
+export async function sendRoomMessage(io, userId, { roomId, content, replyTo, attachments, clientMessageId }) {
+  const room = await getRoomForMember(userId, roomId, { withMutes: true });
+  enforceMute(room, userId);
+
+  const command = !attachments?.length && parseCommand(content);
+  if (command) {
+    return runCommand(io, { userId, targetType: "room", target: room, replyTo, ...command });
+  }
+
+  const sent = await findSentMessage(userId, clientMessageId);
+  if (sent) {
+    return { message: sent, duplicate: true };
+  }
+  await enforceSlowMode(room, userId);
+
+  const message = await postToRoom(io, room, userId, { content, replyTo, attachments, clientMessageId });
+  return { message };
+}
+
+// Load an active room by id
+async function loadRoom(roomId) {
+  if (!mongoose.isValidObjectId(roomId)) {
+    throw notFound("Room not found");
+  }
+
+  const room = await Room.findById(roomId);
+  if (!room || !room.isActive) {
+    throw notFound("Room not found");
+  }
+  return room;
+}
+
+function assertUserId(memberId) {
+  if (!mongoose.isValidObjectId(memberId)) {
+    throw new ServiceError("Invalid user");
+  }
+}
+
+// A member's role in the room, or null for non-members
+export function getRole(room, userId) {
+  const member = room.members.find(
+    m => m.user.toString() === userId.toString()
+  );
+  return member ? member.role : null;
+}
+
+// Add the user to a room, move their sockets into it and tell the others.
+// Banned users are turned away.
+export async function addMemberAndAnnounce(io, room, userId) {
+  if (await Room.isBanned(room._id, userId)) {
+    throw notAuthorized("You are banned from this room");
+  }
+  if (room.members.length >= room.maxMembers) {
+    throw new ServiceError("Room has reached maximum capacity");
+  }
+  await room.addMember(userId);
+
+  const user = await User.findById(userId);
+  const member = { user: user.getPublicProfile(), role: "member" };
+  io.in(`user:${userId}`).socketsJoin(`room:${room._id}`);
+  io.to(`room:${room._id}`).emit("member:joined", { roomId: room._id, member });
+  emitRoomEvent(room._id, "member:joined", { member });
+}
+
+// Remove the user from a room, move their sockets out and tell the others
+export async function removeMemberAndAnnounce(io, room, userId, reason) {
+  await room.removeMember(userId);
+
+  io.in(`user:${userId}`).socketsLeave(`room:${room._id}`);
+  io.to(`room:${room._id}`).emit("member:left", { roomId: room._id, userId, reason });
+  io.to(`user:${userId}`).emit("room:removed", { roomId: room._id, reason });
+  emitRoomEvent(room._id, "member:left", { userId, reason });
+}
+
+// Browse or search public rooms, optionally by category
+export async function browseRooms(userId, { category, search, limit } = {}) {
+  if (category && !ROOM_CATEGORIES.includes(category)) {
+    throw new ServiceError("Invalid category");
+  }
+  const size = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  let rooms;
+  if (search) {
+    rooms = await Room.searchPublicRooms(String(search), category, size);
+  } else if (category) {
+    rooms = await Room.findByCategory(category, size);
+  } else {
+    rooms = await Room.findPublicRooms(size);
+  }
+
+  return {
+    rooms: rooms.map(room => {
+      const { members, ...rest } = room.toObject();
+      return { ...rest, memberCount: members.length, isMember: room.isMember(userId) };
+    })
+  };
+}
+
+// Open a room: members get straight in, anyone may join a public room
+export async function joinRoom(io, userId, { roomId }) {
+  const room = await loadRoom(roomId);
+
+  if (!room.isMember(userId)) {
+    if (room.isPrivate) {
+      throw notAuthorized("This room is private; an invite code is required");
+    }
+    await addMemberAndAnnounce(io, room, userId);
+  }
+
+  return getRoom(userId, room._id);
+}
+
+// Join a private room with its invite code
+export async function joinRoomWithInvite(io, userId, { inviteCode }) {
+  if (typeof inviteCode !== "string" || !inviteCode.trim()) {
+    throw new ServiceError("Invite code is required");
+  }
+
+  const room = await Room.findByInviteCode(inviteCode.trim().toUpperCase());
+  if (!room) {
+    throw notFound("Invalid invite code");
+  }
+
+  room.depopulate("members.user");
+  if (!room.isMember(userId)) {
+    await addMemberAndAnnounce(io, room, userId);
+  }
+
+  return getRoom(userId, room._id);
+}
+
+// Leave a room. The owner has to hand the room over first, unless they are
+// the last member, in which case the room is closed.
+export async function leaveRoom(io, userId, { roomId }) {
+  const room = await getRoomForMember(userId, roomId);
+
+  if (getRole(room, userId) === "owner") {
+    if (room.members.length > 1) {
+      throw new ServiceError("Transfer ownership before leaving the room");
+    }
+    room.isActive = false;
+  }
+
+  await removeMemberAndAnnounce(io, room, userId, "left");
+  return { roomId: room._id };
+}
+
+// Remove another member. Admins may only remove regular members.
+export async function kickMember(io, userId, { roomId, memberId }) {
+  assertUserId(memberId);
+  const room = await getRoomForMember(userId, roomId);
+  const role = getRole(room, userId);
+  const targetRole = getRole(room, memberId);
+
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+  if (!targetRole) {
+    throw notFound("User is not a member of this room");
+  }
+  if (targetRole === "owner" || (targetRole === "admin" && role !== "owner")) {
+    throw notAuthorized("You cannot remove this member");
+  }
+
+  await removeMemberAndAnnounce(io, room, memberId, "kicked");
+  await AuditLog.record(room._id, userId, "member.kick", { targetUser: memberId });
+  return { roomId: room._id, userId: memberId };
+}
+
+// Promote a member to admin or demote an admin (owner only)
+export async function setMemberRole(io, userId, { roomId, memberId, role }) {
+  assertUserId(memberId);
+  const room = await getRoomForMember(userId, roomId);
+
+  if (getRole(room, userId) !== "owner") {
+    throw notAuthorized("Only the owner can change member roles");
+  }
+  if (role !== "admin" && role !== "member") {
+    throw new ServiceError("Role must be admin or member");
+  }
+  const targetRole = getRole(room, memberId);
+  if (!targetRole) {
+    throw notFound("User is not a member of this room");
+  }
+  if (targetRole === "owner") {
+    throw new ServiceError("Use ownership transfer to change the owner's role");
+  }
+
+  await room.updateMemberRole(memberId, role);
+  await AuditLog.record(room._id, userId, "member.role", { targetUser: memberId, details: { role } });
+  io.to(`room:${room._id}`).emit("member:role", { roomId: room._id, userId: memberId, role });
+
+  return { roomId: room._id, userId: memberId, role };
+}
+
+// Hand ownership to another member; the previous owner becomes an admin
+export async function transferOwnership(io, userId, { roomId, memberId }) {
+  assertUserId(memberId);
+  const room = await getRoomForMember(userId, roomId);
+
+  if (getRole(room, userId) !== "owner") {
+    throw notAuthorized("Only the owner can transfer ownership");
+  }
+  if (!getRole(room, memberId)) {
+    throw notFound("User is not a member of this room");
+  }
+  if (memberId.toString() === userId.toString()) {
+    throw new ServiceError("You already own this room");
+  }
+
+  room.members.find(m => m.user.toString() === memberId.toString()).role = "owner";
+  await room.updateMemberRole(userId, "admin");
+  await AuditLog.record(room._id, userId, "room.transfer", { targetUser: memberId });
+
+  io.to(`room:${room._id}`).emit("member:role", { roomId: room._id, userId: memberId, role: "owner" });
+  io.to(`room:${room._id}`).emit("member:role", { roomId: room._id, userId, role: "admin" });
+
+  return { roomId: room._id, ownerId: memberId };
+}
+
+// Change a room's name, description, category, member limit or slow mode
+// (admins/owner)
+export async function updateRoom(io, userId, { roomId, name, description, category, maxMembers, slowModeSeconds }) {
+  const room = await getRoomForMember(userId, roomId);
+
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+  if (category !== undefined && !ROOM_CATEGORIES.includes(category)) {
+    throw new ServiceError("Invalid category");
+  }
+  if (maxMembers !== undefined && maxMembers < room.members.length) {
+    throw new ServiceError("Room already has more members than that");
+  }
+
+  const changes = {};
+  for (const [field, value] of Object.entries({ name, description, category, maxMembers, slowModeSeconds })) {
+    if (value !== undefined) room[field] = changes[field] = value;
+  }
+  await room.save();
+  await AuditLog.record(room._id, userId, "room.update", { details: changes });
+
+  const { inviteCode, members, ...details } = room.toObject();
+  io.to(`room:${room._id}`).emit("room:updated", { room: details });
+  emitRoomEvent(room._id, "room:updated", { room: details });
+
+  return { room: details };
+}
+
+// Replace a room's invite code, invalidating the old one (admins only)
+export async function regenerateInviteCode(userId, { roomId }) {
+  const room = await getRoomForMember(userId, roomId);
+
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+  if (!room.isPrivate) {
+    throw new ServiceError("Only private rooms have invite codes");
+  }
+
+  await room.generateInviteCode();
+  await AuditLog.record(room._id, userId, "room.invite_regenerate");
+  return { roomId: room._id, inviteCode: room.inviteCode };
+}
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import AuthCode from "../models/AuthCode.js";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { issueToken } from "../auth/tokens.js";
+import { hashToken, randomToken } from "../auth/passwords.js";
+import { ServiceError, notFound } from "../utils/errors.js";
+
+// A refresh token that was just rotated out may still arrive from another
+// tab for this long; after that, reusing it revokes the session
+const REUSE_GRACE_MS = 30 * 1000;
+const AUTH_CODE_TTL_MS = 60 * 1000;
+
+// Sessions last REFRESH_TOKEN_DAYS (default 30) past their last refresh
+function refreshTtlMs() {
+  return (Number(process.env.REFRESH_TOKEN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+}
+
+function sessionExpired() {
+  return new ServiceError("Your session has expired, please sign in again", 401, "SESSION_EXPIRED");
+}
+
+// Tell a session's sockets (on every process) why, then disconnect them
+function disconnectSockets(io, channel, reason) {
+  if (!io) return;
+  io.to(channel).emit("session:revoked", { reason });
+  io.in(channel).disconnectSockets(true);
+}
+
+async function accessTokenFor(session) {
+  const user = await User.findById(session.user).select("email");
+  if (!user) throw sessionExpired();
+  return issueToken(user, session);
+}
+
+// Sign a user in on a new device. The refresh token goes to the client once,
+// in a cookie; only its hash is kept.
+export async function createSession(user, { userAgent, ip } = {}) {
+  const refreshToken = randomToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: userAgent?.slice(0, 500),
+    ip,
+    expiresAt: new Date(Date.now() + refreshTtlMs())
+  });
+  return { token: issueToken(user, session), refreshToken, expiresAt: session.expiresAt };
+}
+
+// Swap a refresh token for a new access token and a new refresh token. A
+// token that was already rotated out means two tabs raced (within the grace
+// period: they get an access token, the cookie is already updated) or that
+// it was stolen, in which case the whole session is revoked.
+export async function refreshSession(io, refreshToken, { userAgent, ip } = {}) {
+  if (!refreshToken) throw sessionExpired();
+
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  const nextToken = randomToken();
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, ...Session.activeFilter(now) },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTtlMs()),
+        userAgent: userAgent?.slice(0, 500),
+        ip
+      }
+    },
+    { new: true }
+  );
+  if (session) {
+    return { token: await accessTokenFor(session), refreshToken: nextToken, expiresAt: session.expiresAt };
+  }
+
+  const rotated = await Session.findOne({ previousTokenHash: hash, ...Session.activeFilter(now) });
+  if (!rotated) throw sessionExpired();
+  if (now - rotated.rotatedAt < REUSE_GRACE_MS) {
+    return { token: await accessTokenFor(rotated) };
+  }
+
+  console.warn(`Refresh token reused for session ${rotated._id}; revoking it`);
+  await revoke(io, rotated, "token_reuse");
+  throw sessionExpired();
+}
+
+async function revoke(io, session, reason) {
+  await Session.updateOne(
+    { _id: session._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  disconnectSockets(io, `session:${session._id}`, reason);
+}
+
+// Sign out the device holding this refresh token; unknown tokens are ignored
+export async function endSession(io, refreshToken) {
+  if (!refreshToken) return {};
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+  if (session) {
+    await revoke(io, session, "logout");
+  }
+  return {};
+}
+
+// Whether an access token's session may still be used
+export async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  return Boolean(await Session.exists({ _id: sessionId, ...Session.activeFilter() }));
+}
+
+// The user's signed in devices, most recently used first
+export async function listSessions(userId, currentSessionId) {
+  const sessions = await Session.find({ user: userId, ...Session.activeFilter() }).sort({ lastUsedAt: -1 });
+  return { sessions: sessions.map(s => s.getPublicInfo(currentSessionId)) };
+}
+
+// Sign out one of the user's devices
+export async function revokeSession(io, userId, { sessionId }) {
+  const session = await Session.findOne({ _id: sessionId, user: userId, ...Session.activeFilter() });
+  if (!session) {
+    throw notFound("Session not found");
+  }
+  await revoke(io, session, "revoked");
+  return { sessionId: session._id.toString() };
+}
+
+// Sign out every device the user has, e.g. "sign out everywhere" or after a
+// password reset
+export async function revokeAllSessions(io, userId, { reason = "signout_all" } = {}) {
+  const result = await Session.updateMany(
+    { user: userId, ...Session.activeFilter() },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  disconnectSockets(io, `user:${userId}`, reason);
+  return { revoked: result.modifiedCount };
+}
+
+// A short-lived, single-use code for the Google sign-in redirect
+export async function createAuthCode(user) {
+  const code = randomToken();
+  await AuthCode.create({
+    codeHash: hashToken(code),
+    user: user._id,
+    expiresAt: new Date(Date.now() + AUTH_CODE_TTL_MS)
+  });
+  return code;
+}
+
+// The user a code from createAuthCode was issued to
+export async function exchangeAuthCode({ code }) {
+  const authCode = await AuthCode.consume(hashToken(code));
+  const user = authCode && (await User.findById(authCode.user));
+  if (!user) {
+    throw new ServiceError("This sign-in link is invalid or has expired", 400, "INVALID_CODE");
+  }
+  return { user };
+}
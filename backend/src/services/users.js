@@ -0,0 +1,11 @@
+import User from "../models/User.js";
+import { notFound } from "../utils/errors.js";
+
+// Get the signed in user's profile
+export async function getCurrentUser(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw notFound("User not found");
+  }
+  return { user: user.getPublicProfile() };
+}
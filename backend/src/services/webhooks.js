@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+import Room from "../models/Room.js";
+import User from "../models/User.js";
+import Webhook, { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { botEmail, botNetId } from "../bots/index.js";
+import { assertPublicUrl } from "../webhooks/addresses.js";
+import { getRoomForMember, postToRoom } from "./rooms.js";
+import { ServiceError, notAuthorized, notFound } from "../utils/errors.js";
+
+const DELIVERY_PAGE_SIZE = 50;
+
+// Load a room the user administers
+async function getRoomForAdmin(userId, roomId) {
+  const room = await getRoomForMember(userId, roomId);
+  if (!room.isAdminOrOwner(userId)) {
+    throw notAuthorized();
+  }
+  return room;
+}
+
+// Load one of a room's webhooks
+async function getRoomWebhook(room, webhookId) {
+  if (!mongoose.isValidObjectId(webhookId)) {
+    throw notFound("Webhook not found");
+  }
+  const webhook = await Webhook.findOne({ _id: webhookId, room: room._id });
+  if (!webhook) {
+    throw notFound("Webhook not found");
+  }
+  return webhook;
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    throw new ServiceError(`Events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+}
+
+// Where outside systems post to an incoming webhook
+function incomingPath(webhook, token) {
+  return `/api/v1/hooks/${webhook._id}/${token}`;
+}
+
+// List a room's webhooks (admins/owner)
+export async function listWebhooks(userId, { roomId }) {
+  const room = await getRoomForAdmin(userId, roomId);
+  const webhooks = await Webhook.find({ room: room._id }).sort({ createdAt: 1 });
+  return { webhooks };
+}
+
+// Create an incoming webhook, which posts as a bot user named after it.
+// The token (part of the URL) is only returned here.
+export async function createIncomingWebhook(userId, { roomId, name }) {
+  const room = await getRoomForAdmin(userId, roomId);
+
+  const webhook = new Webhook({ room: room._id, kind: "incoming", name, createdBy: userId });
+  await webhook.validate();
+
+  const slug = `webhook-${webhook._id}`;
+  const user = await User.create({ netId: botNetId(slug), email: botEmail(slug), name, isBot: true });
+  webhook.user = user._id;
+  const token = await webhook.generateToken();
+
+  return { webhook, token, path: incomingPath(webhook, token) };
+}
+
+// Create an outgoing webhook. The signing secret is only returned here and
+// when it is rotated.
+export async function createOutgoingWebhook(userId, { roomId, name, url, events }) {
+  const room = await getRoomForAdmin(userId, roomId);
+  validateEvents(events);
+  await assertPublicUrl(url);
+
+  const webhook = new Webhook({ room: room._id, kind: "outgoing", name, url, events, createdBy: userId });
+  const secret = await webhook.generateSecret();
+
+  return { webhook, secret };
+}
+
+// Rename, re-point, resubscribe, disable or enable a webhook (admins/owner)
+export async function updateWebhook(userId, { roomId, webhookId, name, url, events, isActive }) {
+  const room = await getRoomForAdmin(userId, roomId);
+  const webhook = await getRoomWebhook(room, webhookId);
+
+  if (webhook.kind === "incoming" && (url !== undefined || events !== undefined)) {
+    throw new ServiceError("Incoming webhooks have no URL or events");
+  }
+  if (events !== undefined) {
+    validateEvents(events);
+  }
+  if (url !== undefined) {
+    await assertPublicUrl(url);
+  }
+
+  for (const [field, value] of Object.entries({ name, url, events, isActive })) {
+    if (value !== undefined) webhook[field] = value;
+  }
+  await webhook.save();
+
+  if (name !== undefined && webhook.user) {
+    await User.updateOne({ _id: webhook.user }, { name: webhook.name });
+  }
+  return { webhook };
+}
+
+// Delete a webhook (admins/owner)
+export async function deleteWebhook(userId, { roomId, webhookId }) {
+  const room = await getRoomForAdmin(userId, roomId);
+  const webhook = await getRoomWebhook(room, webhookId);
+
+  await webhook.deleteOne();
+  return { webhookId: webhook._id };
+}
+
+// Replace an incoming webhook's token or an outgoing webhook's secret;
+// the old one stops working straight away
+export async function rotateWebhookSecret(userId, { roomId, webhookId }) {
+  const room = await getRoomForAdmin(userId, roomId);
+  const webhook = await getRoomWebhook(room, webhookId);
+
+  if (webhook.kind === "incoming") {
+    const token = await webhook.generateToken();
+    return { webhookId: webhook._id, token, path: incomingPath(webhook, token) };
+  }
+  const secret = await webhook.generateSecret();
+  return { webhookId: webhook._id, secret };
+}
+
+// Recent deliveries of an outgoing webhook, newest first (admins/owner)
+export async function listDeliveries(userId, { roomId, webhookId, status, limit }) {
+  const room = await getRoomForAdmin(userId, roomId);
+  const webhook = await getRoomWebhook(room, webhookId);
+
+  const filter = { webhook: webhook._id };
+  if (status) filter.status = status;
+
+  const size = Math.min(Math.max(parseInt(limit, 10) || DELIVERY_PAGE_SIZE, 1), 100);
+  const deliveries = await WebhookDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(size);
+
+  return { deliveries };
+}
+
+// Post a message from an outside system through an incoming webhook.
+// `system: true` posts it as a system notice instead of a bot message.
+export async function receiveIncomingWebhook(io, { webhookId, token, content, system }) {
+  if (!mongoose.isValidObjectId(webhookId)) {
+    throw notFound("Webhook not found");
+  }
+  const webhook = await Webhook.findOne({ _id: webhookId, kind: "incoming" }).select("+tokenHash");
+  if (!webhook || !webhook.verifyToken(token)) {
+    throw notFound("Webhook not found");
+  }
+  if (!webhook.isActive) {
+    throw new ServiceError("Webhook is disabled", 410);
+  }
+  if (typeof content !== "string" || !content.trim()) {
+    throw new ServiceError("Message content is required");
+  }
+
+  const room = await Room.findById(webhook.room);
+  if (!room || !room.isActive) {
+    throw new ServiceError("Room no longer exists", 410);
+  }
+
+  const message = await postToRoom(io, room, webhook.user, {
+    content,
+    messageType: system ? "system" : "text",
+    webhook: webhook._id
+  });
+  return { messageId: message._id };
+}
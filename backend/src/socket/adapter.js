@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Picks the Socket.IO adapter from SOCKET_ADAPTER so several backend
+// processes can share rooms (user:*, conversation:*, room:*) and broadcasts:
+//   memory (default) - single process only
+//   redis            - Redis pub/sub, REDIS_URL (default redis://localhost:6379)
+//   mongo            - MongoDB change streams on the app's own database
+//                      (needs a replica set, even a single-node one)
+// Returns { adapter, close }: `adapter` is the factory for
+// `new Server(..., { adapter })` (undefined for the built-in in-memory one),
+// and `close()` disconnects whatever clients the adapter opened.
+export async function createSocketAdapter(env = process.env) {
+  const kind = env.SOCKET_ADAPTER || "memory";
+
+  if (kind === "memory") {
+    return { adapter: undefined, close: async () => {} };
+  }
+
+  if (kind === "redis") {
+    const { createClient } = await import("redis");
+    const { createAdapter } = await import("@socket.io/redis-adapter");
+
+    const pubClient = createClient({ url: env.REDIS_URL || "redis://localhost:6379" });
+    const subClient = pubClient.duplicate();
+    pubClient.on("error", err => console.error("Redis adapter error:", err));
+    subClient.on("error", err => console.error("Redis adapter error:", err));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    console.log("Socket.IO using Redis adapter");
+    return {
+      adapter: createAdapter(pubClient, subClient),
+      close: () => Promise.all([pubClient.quit(), subClient.quit()])
+    };
+  }
+
+  if (kind === "mongo") {
+    const { createAdapter } = await import("@socket.io/mongo-adapter");
+    const name = env.SOCKET_ADAPTER_COLLECTION || "socket.io-adapter-events";
+    const db = mongoose.connection.db;
+
+    try {
+      await db.createCollection(name, { capped: true, size: 1e6 });
+    } catch (err) {
+      // 48 = NamespaceExists: another instance created it first
+      if (err.code !== 48) throw err;
+    }
+
+    console.log("Socket.IO using MongoDB adapter");
+    // Uses the app's own connection, which the app closes
+    return { adapter: createAdapter(db.collection(name)), close: async () => {} };
+  }
+
+  throw new Error(`Unknown SOCKET_ADAPTER "${kind}"`);
+}
@@ -0,0 +1,67 @@
+import { authenticateBot } from "../services/bots.js";
+import { sendConversationMessage } from "../services/conversations.js";
+import { sendRoomMessage } from "../services/rooms.js";
+import { getMessageHistory } from "../services/messages.js";
+import { rateLimitEvents } from "./rateLimit.js";
+import { BOT_EVENTS, createEventRouter } from "./events.js";
+import { ServiceError, notAuthorized } from "../utils/errors.js";
+
+// The bot API: external bots connect to the /bots namespace with their token
+// (handshake.auth.token). They receive "message:new" for conversations and
+// rooms they belong to (messages:read) and "command" when someone runs one of
+// their commands there (commands), and post as their bot user (messages:write).
+export function attachBotNamespace(io) {
+  const bots = io.of("/bots");
+
+  bots.use(async (socket, next) => {
+    try {
+      const bot = await authenticateBot(socket.handshake.auth.token);
+      if (!bot) return next(new Error("Invalid bot token"));
+
+      socket.bot = bot;
+      socket.userId = bot.user._id.toString();
+      next();
+    } catch (err) {
+      next(new Error("Invalid bot token"));
+    }
+  });
+
+  bots.on("connection", (socket) => {
+    const { bot, userId } = socket;
+    console.log(`Bot ${bot.slug} connected`);
+    socket.join(`bot:${userId}`);
+    rateLimitEvents(io, socket);
+
+    function requireScope(scope) {
+      if (!bot.hasScope(scope)) {
+        throw notAuthorized(`Bot token lacks the ${scope} scope`);
+      }
+    }
+
+    const on = createEventRouter(socket, BOT_EVENTS);
+
+    // Post a message in a conversation or room the bot belongs to
+    on("message:send", async ({ conversationId, roomId, ...message }) => {
+      requireScope("messages:write");
+      if (conversationId) {
+        return sendConversationMessage(io, userId, { conversationId, ...message });
+      }
+      if (roomId) {
+        return sendRoomMessage(io, userId, { roomId, ...message });
+      }
+      throw new ServiceError("conversationId or roomId is required");
+    });
+
+    // Page through a conversation's or room's messages, newest first
+    on("messages:history", async (payload) => {
+      requireScope("messages:read");
+      return getMessageHistory(userId, payload);
+    });
+
+    socket.on("disconnect", () => {
+      console.log(`Bot ${bot.slug} disconnected`);
+    });
+  });
+
+  return bots;
+}
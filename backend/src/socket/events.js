@@ -0,0 +1,125 @@
+import * as schemas from "../validation/schemas.js";
+import { validate, validationError } from "../validation/index.js";
+import { errorPayload } from "../utils/errors.js";
+
+// Every event a client may send, with the schema its payload must match and
+// what it expects from the callback:
+//   query   - returns data, so a callback is required
+//   command - changes something; the callback is optional
+//   notify  - fire and forget; a callback is ignored
+const query = payload => ({ payload, ack: "query" });
+const command = payload => ({ payload, ack: "command" });
+const notify = payload => ({ payload, ack: "notify" });
+
+export const CLIENT_EVENTS = {
+  "presence:heartbeat": notify(schemas.heartbeat),
+  "presence:set": command(schemas.setStatus),
+  "presence:custom": command(schemas.customStatus),
+  "presence:get": query(schemas.getPresence),
+
+  "conversation:list": query(schemas.listConversations),
+  "conversation:start": query(schemas.startConversation),
+  "conversation:open": query(schemas.conversationRef),
+  "conversation:group:create": command(schemas.createGroup),
+  "conversation:update": command(schemas.updateConversation),
+  "conversation:participants:add": command(schemas.addParticipants),
+  "conversation:participants:remove": command(schemas.removeParticipant),
+  "conversation:pin": command(schemas.pinConversation),
+  "conversation:archive": command(schemas.archiveConversation),
+  "message:send:conversation": command(schemas.sendConversationMessage),
+
+  "room:list": query(schemas.empty),
+  "room:create": command(schemas.createRoom),
+  "room:join": query(schemas.roomRef),
+  "room:join:invite": query(schemas.joinWithInvite),
+  "room:browse": query(schemas.browseRooms),
+  "room:leave": command(schemas.roomRef),
+  "room:kick": command(schemas.roomMember),
+  "room:role": command(schemas.setMemberRole),
+  "room:transfer": command(schemas.roomMember),
+  "room:update": command(schemas.updateRoom),
+  "room:invite:regenerate": command(schemas.roomRef),
+  "message:send:room": command(schemas.sendRoomMessage),
+
+  "bot:list": query(schemas.empty),
+  "room:bot:add": command(schemas.roomBot),
+  "room:bot:remove": command(schemas.roomBot),
+
+  "messages:history": query(schemas.messageHistory),
+  "sync": query(schemas.sync),
+  "messages:search": query(schemas.searchMessages),
+  "thread:get": query(schemas.thread),
+
+  "message:edit": command(schemas.editMessage),
+  "message:delete": command(schemas.messageRef),
+  "message:edits": query(schemas.messageRef),
+
+  "reaction:add": command(schemas.reaction),
+  "reaction:remove": command(schemas.reaction),
+  "room:emoji:list": query(schemas.roomRef),
+
+  "message:report": command(schemas.reportMessage),
+  "room:reports": query(schemas.listReports),
+  "room:report:resolve": command(schemas.resolveReport),
+  "room:mute": command(schemas.muteMember),
+  "room:unmute": command(schemas.roomMember),
+  "room:ban": command(schemas.banMember),
+  "room:unban": command(schemas.roomMember),
+  "room:bans": query(schemas.roomRef),
+  "message:pin": command(schemas.messageRef),
+  "message:unpin": command(schemas.messageRef),
+  "room:pins": query(schemas.roomRef),
+  "room:audit": query(schemas.auditLog),
+
+  "notification:list": query(schemas.listNotifications),
+  "notification:read": command(schemas.readNotifications),
+  "notification:settings": query(schemas.notificationSettings),
+  "notification:settings:update": command(schemas.updateNotificationSettings),
+  "notification:digest": query(schemas.empty),
+  "notification:digest:update": command(schemas.updateDigestSettings),
+
+  "conversation:read": command(schemas.markRead),
+  "message:read": command(schemas.messageRef),
+
+  "typing:start": notify(schemas.typing),
+  "typing:stop": notify(schemas.typing)
+};
+
+// Events bots may send on the /bots namespace
+export const BOT_EVENTS = {
+  "message:send": command(schemas.botSend),
+  "messages:history": query(schemas.messageHistory)
+};
+
+// Returns on(event, handler) for registering a socket's event handlers.
+// The payload is validated against the event's schema before the handler
+// runs, and the handler's result (or error) goes back through the callback
+// as { success: true, ...result } or { error, code }. Errors of requests sent
+// without a callback are reported with a "request:error" event.
+export function createEventRouter(socket, events) {
+  return function on(event, handler) {
+    const definition = events[event];
+    if (!definition) {
+      throw new Error(`No schema for socket event "${event}"`);
+    }
+    const { payload: schema, ack } = definition;
+
+    socket.on(event, async (...args) => {
+      const callback = typeof args.at(-1) === "function" ? args.pop() : undefined;
+      const respond = callback || (response => {
+        if (response.error && ack !== "notify") socket.emit("request:error", { event, ...response });
+      });
+
+      try {
+        if (ack === "query" && !callback) {
+          throw validationError([{ field: "callback", message: "is required" }]);
+        }
+        const data = validate(schema, args[0] === undefined ? {} : args[0]);
+        const result = await handler(data);
+        if (ack !== "notify") respond({ success: true, ...result });
+      } catch (error) {
+        respond(errorPayload(error));
+      }
+    });
+  };
+}
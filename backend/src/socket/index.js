@@ -1,214 +1,419 @@
 import { Server } from "socket.io";
-import { verifyToken } from "../middleware/auth.js";
+import { verifyAccessToken } from "../auth/tokens.js";
 import User from "../models/User.js";
-import Message from "../models/Message.js";
-import Conversation from "../models/Conversation.js";
-import Room from "../models/Room.js";
+import { isSessionActive } from "../services/sessions.js";
+import { createPresence } from "./presence.js";
+import { attachBotNamespace } from "./bots.js";
+import { rateLimitEvents } from "./rateLimit.js";
+import { watchSessions } from "./sessions.js";
+import { CLIENT_EVENTS, createEventRouter } from "./events.js";
+import { startBots } from "../bots/index.js";
+import { startWebhooks } from "../webhooks/dispatcher.js";
+import {
+  listConversations,
+  startConversation,
+  getConversation,
+  sendConversationMessage,
+  createGroupConversation,
+  updateGroupConversation,
+  addParticipants,
+  removeParticipant,
+  pinConversation,
+  archiveConversation
+} from "../services/conversations.js";
+import {
+  listRooms,
+  createRoom,
+  sendRoomMessage,
+  browseRooms,
+  joinRoom,
+  joinRoomWithInvite,
+  leaveRoom,
+  kickMember,
+  setMemberRole,
+  transferOwnership,
+  regenerateInviteCode,
+  updateRoom
+} from "../services/rooms.js";
+import {
+  getMessageHistory,
+  editMessage,
+  deleteMessage,
+  getEditHistory,
+  markRead,
+  markMessageRead,
+  getThread,
+  searchMessages,
+  addReaction,
+  removeReaction,
+  syncMessages
+} from "../services/messages.js";
+import { listCustomEmoji } from "../services/emoji.js";
+import {
+  reportMessage,
+  listReports,
+  resolveReport,
+  muteMember,
+  unmuteMember,
+  banMember,
+  unbanMember,
+  listBans,
+  pinMessage,
+  unpinMessage,
+  listPinnedMessages,
+  getAuditLog
+} from "../services/moderation.js";
+import { listBots, addBotToRoom, removeBotFromRoom } from "../services/bots.js";
+import {
+  startNotifications,
+  listNotifications,
+  markNotificationsRead,
+  getNotificationSettings,
+  updateNotificationSettings
+} from "../services/notifications.js";
+import { startDigests, getDigestSettings, updateDigestSettings } from "../services/digests.js";
+import { startAttachmentCleanup } from "../services/attachments.js";
 
-export function attachSocketServer(server, app) {
+// `adapter` comes from createSocketAdapter() when running several processes.
+// `backgroundJobs: false` leaves out presence sweeps, bots, webhooks,
+// notifications, digests, upload cleanup and the session watcher, for
+// servers that only carry socket traffic (tests).
+export function attachSocketServer(server, app, { adapter, backgroundJobs = true } = {}) {
   const io = new Server(server, {
     cors: {
       origin: process.env.CLIENT_URL,
       credentials: true
+    },
+    adapter,
+    // A client that reconnects within this window gets its rooms back and the
+    // events it missed replayed (socket.recovered). This needs an adapter
+    // that supports it: the default in-memory one or the MongoDB adapter, not
+    // the Redis pub/sub one. Otherwise clients catch up with "sync".
+    connectionStateRecovery: {
+      maxDisconnectionDuration: (Number(process.env.SOCKET_RECOVERY_MINUTES) || 2) * 60 * 1000,
+      skipMiddlewares: false
     }
   });
 
+  const presence = createPresence(io);
+  const presenceReady = backgroundJobs
+    ? presence.reconcile()
+      .catch(err => console.error("Presence reconciliation failed:", err))
+      .then(() => presence.start())
+    : Promise.resolve();
+
+  attachBotNamespace(io);
+  if (backgroundJobs) {
+    startBots(io).catch(err => console.error("Starting bots failed:", err));
+    startWebhooks();
+    startNotifications();
+    startDigests();
+    startAttachmentCleanup();
+    watchSessions(io);
+  }
+
   // Authentication middleware
   io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
       if (!token) return next(new Error("No token"));
 
-      const decoded = verifyToken(token);
+      const decoded = verifyAccessToken(token);
+      if (!(await isSessionActive(decoded.sid))) return next(new Error("Session expired"));
       const user = await User.findById(decoded.id);
       if (!user) return next(new Error("User not found"));
 
       socket.userId = user._id.toString();
       socket.userName = user.name;
+      // Signing the session out disconnects the socket (session:<id> channel)
+      socket.data.sessionId = decoded.sid;
       next();
     } catch (err) {
       next(new Error("Invalid token"));
     }
   });
 
-  io.on("connection", async (socket) => {
+  io.on("connection", (socket) => {
     const userId = socket.userId;
     console.log(`${socket.userName} connected`);
 
-    // Set user online
-    await User.findByIdAndUpdate(userId, { status: "online", lastSeen: new Date() });
-    socket.broadcast.emit("user:online", { userId, userName: socket.userName });
+    // Join user's personal room, and its session's for sign-outs
+    socket.join([`user:${userId}`, `session:${socket.data.sessionId}`]);
+
+    // Limit how fast this socket may send events
+    rateLimitEvents(io, socket);
+
+    // Handlers get the validated payload; see socket/events.js
+    const on = createEventRouter(socket, CLIENT_EVENTS);
+
+    // ===== PRESENCE =====
+
+    // Periodic heartbeat; `active` is false when the user hasn't interacted
+    on("presence:heartbeat", async ({ active = true }) => {
+      await presence.heartbeat(socket, active);
+    });
+
+    // Choose auto/away/dnd
+    on("presence:set", async ({ status }) => ({
+      presence: await presence.setPreferredStatus(userId, status)
+    }));
+
+    // Set or clear (null) custom status text
+    on("presence:custom", async (customStatus) => ({
+      presence: await presence.setCustomStatus(userId, customStatus)
+    }));
 
-    // Join user's personal room
-    socket.join(`user:${userId}`);
+    // Get presence of users the caller shares a conversation or room with
+    on("presence:get", async ({ userIds }) => ({
+      users: await presence.getPresence(userId, userIds)
+    }));
 
     // ===== CONVERSATION EVENTS =====
-    
+
+    // Get user's conversations
+    on("conversation:list", ({ includeArchived }) => listConversations(userId, { includeArchived }));
+
     // Start/get a conversation
-    socket.on("conversation:start", async ({ otherUserId }, callback) => {
-      try {
-        const conversation = await Conversation.findOrCreate(userId, otherUserId);
-        const messages = await Message.find({ conversation: conversation._id })
-          .sort({ createdAt: 1 })
-          .limit(50)
-          .populate("sender", "name netId");
-        
-        socket.join(`conversation:${conversation._id}`);
-        callback({ success: true, conversation, messages });
-      } catch (error) {
-        callback({ error: error.message });
-      }
+    on("conversation:start", async ({ otherUserId }) => {
+      const result = await startConversation(userId, otherUserId);
+      socket.join(`conversation:${result.conversation._id}`);
+      return result;
     });
 
-    // Send message in conversation
-    socket.on("message:send:conversation", async ({ conversationId, content }, callback) => {
-      try {
-        const conversation = await Conversation.findById(conversationId);
-        if (!conversation.participants.includes(userId)) {
-          return callback({ error: "Not authorized" });
-        }
-
-        const message = await Message.create({
-          sender: userId,
-          conversation: conversationId,
-          content,
-          messageType: "text"
-        });
-        
-        await message.populate("sender", "name netId");
-        await conversation.updateLastMessage(message._id);
-
-        // Send to both users
-        io.to(`conversation:${conversationId}`).emit("message:new", { message });
-        
-        callback({ success: true, message });
-      } catch (error) {
-        callback({ error: error.message });
-      }
+    // Open an existing conversation (direct or group)
+    on("conversation:open", async ({ conversationId }) => {
+      const result = await getConversation(userId, conversationId);
+      socket.join(`conversation:${result.conversation._id}`);
+      return result;
     });
 
+    // Create a group conversation
+    on("conversation:group:create", payload => createGroupConversation(io, userId, payload));
+
+    // Rename a group conversation
+    on("conversation:update", payload => updateGroupConversation(io, userId, payload));
+
+    // Add people to a group conversation
+    on("conversation:participants:add", payload => addParticipants(io, userId, payload));
+
+    // Remove someone from (or leave) a group conversation
+    on("conversation:participants:remove", ({ conversationId, userId: participantId }) =>
+      removeParticipant(io, userId, { conversationId, participantId }));
+
+    // Pin/unpin a conversation for this user
+    on("conversation:pin", payload => pinConversation(userId, payload));
+
+    // Archive/unarchive a conversation for this user
+    on("conversation:archive", payload => archiveConversation(userId, payload));
+
+    // Send message in conversation
+    on("message:send:conversation", payload => sendConversationMessage(io, userId, payload));
+
     // ===== ROOM EVENTS =====
-    
+
+    // Get user's rooms
+    on("room:list", () => listRooms(userId));
+
     // Create a room
-    socket.on("room:create", async ({ name, description, isPrivate }, callback) => {
-      try {
-        const room = await Room.create({
-          name,
-          description,
-          isPrivate: isPrivate || false,
-          createdBy: userId,
-          members: [{ user: userId, role: "owner" }]
-        });
-
-        socket.join(`room:${room._id}`);
-        callback({ success: true, room });
-      } catch (error) {
-        callback({ error: error.message });
-      }
+    on("room:create", async (payload) => {
+      const result = await createRoom(userId, payload);
+      socket.join(`room:${result.room._id}`);
+      return result;
     });
 
-    // Join a room
-    socket.on("room:join", async ({ roomId }, callback) => {
-      try {
-        const room = await Room.findById(roomId).populate("members.user", "name netId");
-        if (!room || !room.isMember(userId)) {
-          return callback({ error: "Not authorized" });
-        }
-
-        socket.join(`room:${roomId}`);
-        
-        const messages = await Message.find({ conversation: roomId })
-          .sort({ createdAt: 1 })
-          .limit(50)
-          .populate("sender", "name netId");
-
-        callback({ success: true, room, messages });
-      } catch (error) {
-        callback({ error: error.message });
-      }
+    // Join a room (members, or anyone for public rooms)
+    on("room:join", async (payload) => {
+      const result = await joinRoom(io, userId, payload);
+      socket.join(`room:${result.room._id}`);
+      return result;
     });
 
-    // Send message in room
-    socket.on("message:send:room", async ({ roomId, content }, callback) => {
-      try {
-        const room = await Room.findById(roomId);
-        if (!room || !room.isMember(userId)) {
-          return callback({ error: "Not authorized" });
-        }
-
-        const message = await Message.create({
-          sender: userId,
-          conversation: roomId,
-          content,
-          messageType: "text"
-        });
-        
-        await message.populate("sender", "name netId");
-        await room.updateActivity();
-
-        io.to(`room:${roomId}`).emit("message:new", { message });
-        
-        callback({ success: true, message });
-      } catch (error) {
-        callback({ error: error.message });
-      }
+    // Join a private room with an invite code
+    on("room:join:invite", async (payload) => {
+      const result = await joinRoomWithInvite(io, userId, payload);
+      socket.join(`room:${result.room._id}`);
+      return result;
     });
 
-    // Get user's conversations
-    socket.on("conversation:list", async (callback) => {
-      try {
-        const conversations = await Conversation.find({ participants: userId })
-          .populate("participants", "name netId status")
-          .populate("lastMessage")
-          .sort({ lastMessageAt: -1 });
+    // Browse or search public rooms
+    on("room:browse", payload => browseRooms(userId, payload));
 
-        callback({ success: true, conversations });
-      } catch (error) {
-        callback({ error: error.message });
-      }
-    });
+    // Leave a room
+    on("room:leave", payload => leaveRoom(io, userId, payload));
 
-    // Get user's rooms
-    socket.on("room:list", async (callback) => {
-      try {
-        const rooms = await Room.find({ "members.user": userId, isActive: true })
-          .populate("createdBy", "name netId")
-          .sort({ lastActivity: -1 });
+    // Remove a member from a room (admins/owner)
+    on("room:kick", ({ roomId, userId: memberId }) => kickMember(io, userId, { roomId, memberId }));
 
-        callback({ success: true, rooms });
-      } catch (error) {
-        callback({ error: error.message });
+    // Promote/demote a member (owner)
+    on("room:role", ({ roomId, userId: memberId, role }) => setMemberRole(io, userId, { roomId, memberId, role }));
+
+    // Transfer room ownership (owner)
+    on("room:transfer", ({ roomId, userId: memberId }) => transferOwnership(io, userId, { roomId, memberId }));
+
+    // Update a room's name, description, category, member limit or slow mode (admins/owner)
+    on("room:update", payload => updateRoom(io, userId, payload));
+
+    // Regenerate a private room's invite code (admins/owner)
+    on("room:invite:regenerate", payload => regenerateInviteCode(userId, payload));
+
+    // Send message in room
+    on("message:send:room", payload => sendRoomMessage(io, userId, payload));
+
+    // ===== BOTS =====
+
+    // List the user's bots and the built-in ones
+    on("bot:list", () => listBots(userId));
+
+    // Add a bot to a room (admins/owner)
+    on("room:bot:add", payload => addBotToRoom(io, userId, payload));
+
+    // Remove a bot from a room (admins/owner)
+    on("room:bot:remove", payload => removeBotFromRoom(io, userId, payload));
+
+    // ===== MESSAGE HISTORY =====
+
+    // Page through a conversation's or room's messages, newest first
+    on("messages:history", payload => getMessageHistory(userId, payload));
+
+    // Catch up after reconnecting: missed messages and changes for each
+    // conversation/room, whose channels this socket (re)joins
+    on("sync", async (payload) => {
+      const result = await syncMessages(userId, payload);
+      for (const { conversationId, roomId, error } of result.results) {
+        if (error) continue;
+        socket.join(conversationId ? `conversation:${conversationId}` : `room:${roomId}`);
       }
+      return result;
     });
 
+    // Search messages across the user's conversations and rooms
+    on("messages:search", payload => searchMessages(userId, payload));
+
+    // ===== THREADS =====
+
+    // Get a thread's parent message and a page of its replies
+    on("thread:get", payload => getThread(userId, payload));
+
+    // ===== MESSAGE EDIT / DELETE =====
+
+    // Edit own message
+    on("message:edit", payload => editMessage(io, userId, payload));
+
+    // Delete own message, or any room message as admin/owner
+    on("message:delete", payload => deleteMessage(io, userId, payload));
+
+    // Get previous versions of a message (moderators and sender)
+    on("message:edits", payload => getEditHistory(userId, payload));
+
+    // ===== REACTIONS =====
+
+    // React to a message
+    on("reaction:add", payload => addReaction(io, userId, payload));
+
+    // Take back a reaction
+    on("reaction:remove", payload => removeReaction(io, userId, payload));
+
+    // List a room's custom emoji
+    on("room:emoji:list", payload => listCustomEmoji(userId, payload));
+
+    // ===== MODERATION =====
+
+    // Report a room message to the room's admins
+    on("message:report", payload => reportMessage(io, userId, payload));
+
+    // The room's moderation queue (admins/owner)
+    on("room:reports", payload => listReports(userId, payload));
+
+    // Resolve or dismiss a report (admins/owner)
+    on("room:report:resolve", payload => resolveReport(io, userId, payload));
+
+    // Mute a member for some minutes (admins/owner)
+    on("room:mute", ({ userId: memberId, ...payload }) => muteMember(io, userId, { ...payload, memberId }));
+
+    // Lift a mute (admins/owner)
+    on("room:unmute", ({ roomId, userId: memberId }) => unmuteMember(io, userId, { roomId, memberId }));
+
+    // Ban a user from the room (admins/owner)
+    on("room:ban", ({ userId: memberId, ...payload }) => banMember(io, userId, { ...payload, memberId }));
+
+    // Lift a ban (admins/owner)
+    on("room:unban", ({ roomId, userId: memberId }) => unbanMember(userId, { roomId, memberId }));
+
+    // List the room's bans (admins/owner)
+    on("room:bans", payload => listBans(userId, payload));
+
+    // Pin/unpin a room message (admins/owner)
+    on("message:pin", payload => pinMessage(io, userId, payload));
+    on("message:unpin", payload => unpinMessage(io, userId, payload));
+
+    // List a room's pinned messages
+    on("room:pins", payload => listPinnedMessages(userId, payload));
+
+    // Page through the room's audit log (admins/owner)
+    on("room:audit", payload => getAuditLog(userId, payload));
+
+    // ===== NOTIFICATIONS =====
+
+    on("notification:list", payload => listNotifications(userId, payload));
+    on("notification:read", payload => markNotificationsRead(io, userId, payload));
+    // Level and mute for one conversation or room, or every one changed
+    on("notification:settings", payload => getNotificationSettings(userId, payload));
+    on("notification:settings:update", payload => updateNotificationSettings(io, userId, payload));
+    // How often to email a digest of what was missed while offline
+    on("notification:digest", () => getDigestSettings(userId));
+    on("notification:digest:update", payload => updateDigestSettings(io, userId, payload));
+
+    // ===== READ RECEIPTS =====
+
+    // Mark a conversation or room as read, optionally only up to a message
+    on("conversation:read", payload => markRead(io, userId, payload));
+
+    // Mark everything up to and including a message as read
+    on("message:read", payload => markMessageRead(io, userId, payload));
+
     // ===== TYPING INDICATOR =====
-    
-    socket.on("typing:start", ({ conversationId, roomId }) => {
+
+    // Tell the others in a conversation or room; the event names where, so
+    // clients with several open can tell them apart
+    on("typing:start", ({ conversationId, roomId }) => {
       if (conversationId) {
-        socket.to(`conversation:${conversationId}`).emit("typing:start", { userId, userName: socket.userName });
+        socket.to(`conversation:${conversationId}`)
+          .emit("typing:start", { conversationId, userId, userName: socket.userName });
       } else if (roomId) {
-        socket.to(`room:${roomId}`).emit("typing:start", { userId, userName: socket.userName });
+        socket.to(`room:${roomId}`).emit("typing:start", { roomId, userId, userName: socket.userName });
       }
     });
 
-    socket.on("typing:stop", ({ conversationId, roomId }) => {
+    on("typing:stop", ({ conversationId, roomId }) => {
       if (conversationId) {
-        socket.to(`conversation:${conversationId}`).emit("typing:stop", { userId });
+        socket.to(`conversation:${conversationId}`).emit("typing:stop", { conversationId, userId });
       } else if (roomId) {
-        socket.to(`room:${roomId}`).emit("typing:stop", { userId });
+        socket.to(`room:${roomId}`).emit("typing:stop", { roomId, userId });
       }
     });
 
     // ===== DISCONNECT =====
-    
+
+    // Track this socket towards the user's presence. Every handler is
+    // registered above first, so events the client sends straight after
+    // connecting aren't lost while this runs.
+    const tracked = presenceReady
+      .then(() => presence.connect(socket))
+      .catch(error => console.error("Presence update failed:", error));
+
     socket.on("disconnect", async () => {
       console.log(`${socket.userName} disconnected`);
-      await User.findByIdAndUpdate(userId, { status: "offline", lastSeen: new Date() });
-      socket.broadcast.emit("user:offline", { userId });
+      try {
+        await tracked;
+        await presence.disconnect(socket);
+      } catch (error) {
+        console.error("Presence update failed:", error);
+      }
     });
   });
 
   app.set("io", io);
+  app.set("presence", presence);
   console.log("Socket.IO server attached");
   return io;
 }
\ No newline at end of file
@@ -0,0 +1,217 @@
+import User from "../models/User.js";
+import Conversation from "../models/Conversation.js";
+import Room from "../models/Room.js";
+import { ServiceError } from "../utils/errors.js";
+
+// A socket that hasn't sent an active heartbeat for this long counts as idle
+const IDLE_AFTER_MS = (Number(process.env.PRESENCE_IDLE_MINUTES) || 5) * 60 * 1000;
+// How often idle sockets and expired custom statuses are checked
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const PREFERRED_STATUSES = User.schema.path("preferredStatus").enumValues;
+
+// Turn { text, emoji, expiresAt | expiresInMinutes } into what User stores;
+// null clears the custom status
+function parseCustomStatus(input) {
+  if (!input || (!input.text && !input.emoji)) return null;
+
+  let expiresAt;
+  if (input.expiresInMinutes) {
+    const minutes = Number(input.expiresInMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new ServiceError("expiresInMinutes must be a positive number");
+    }
+    expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  } else if (input.expiresAt) {
+    expiresAt = new Date(input.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw new ServiceError("expiresAt must be a date in the future");
+    }
+  }
+
+  return { text: input.text, emoji: input.emoji, expiresAt };
+}
+
+// Tracks presence per user from the set of sockets they have open, so one tab
+// closing doesn't mark someone offline everywhere. Sockets are looked up
+// through the adapter (io.in(...).fetchSockets()), so this works the same
+// when users are spread over several server processes; each socket keeps its
+// last activity time in socket.data. Changes are only sent to users who share
+// a conversation or room with them.
+export function createPresence(io) {
+  let sweepTimer = null;
+
+  // Users who share at least one conversation or active room with userId
+  async function audienceFor(userId) {
+    const [participants, rooms] = await Promise.all([
+      Conversation.distinct("participants", { participants: userId }),
+      Room.find({ "members.user": userId, isActive: true }).select("members.user")
+    ]);
+
+    const audience = new Set(participants.map(id => id.toString()));
+    for (const room of rooms) {
+      for (const member of room.members) {
+        audience.add(member.user.toString());
+      }
+    }
+    audience.delete(userId.toString());
+    return [...audience];
+  }
+
+  // The user's sockets on every server process
+  function socketsOf(userId) {
+    return io.in(`user:${userId}`).fetchSockets();
+  }
+
+  async function effectiveStatus(user) {
+    const sockets = await socketsOf(user._id);
+    if (sockets.length === 0) return "offline";
+    if (user.preferredStatus === "dnd") return "dnd";
+    if (user.preferredStatus === "away") return "away";
+
+    const now = Date.now();
+    const idle = sockets.every(s => now - (s.data.lastActiveAt || 0) > IDLE_AFTER_MS);
+    return idle ? "away" : "online";
+  }
+
+  function presenceOf(user) {
+    return {
+      userId: user._id.toString(),
+      status: user.status,
+      customStatus: user.getCustomStatus(),
+      lastSeen: user.lastSeen
+    };
+  }
+
+  async function broadcast(user) {
+    const audience = await audienceFor(user._id);
+    const payload = presenceOf(user);
+    if (audience.length > 0) {
+      io.to(audience.map(id => `user:${id}`)).emit("presence:update", payload);
+    }
+    // Keep the user's other devices in sync too
+    io.to(`user:${user._id}`).emit("presence:update", payload);
+  }
+
+  // Recompute a user's status and announce it if it changed (or if `force`)
+  async function refresh(userId, { force = false } = {}) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const status = await effectiveStatus(user);
+    if (status !== user.status || force) {
+      const wasOffline = user.status === "offline";
+      user.status = status;
+      if (status === "offline" || wasOffline) {
+        user.lastSeen = new Date();
+      }
+      await user.save();
+      await broadcast(user);
+    }
+    return presenceOf(user);
+  }
+
+  // Clear custom statuses whose expiry has passed and tell people
+  async function expireCustomStatuses() {
+    const expired = await User.find({ "customStatus.expiresAt": { $lte: new Date() } });
+    for (const user of expired) {
+      user.customStatus = undefined;
+      await user.save();
+      await broadcast(user);
+    }
+  }
+
+  // Each process re-checks the users connected to it, so idle users turn
+  // "away" even if they never send another heartbeat
+  async function sweep() {
+    const localUsers = new Set();
+    for (const socket of io.of("/").sockets.values()) {
+      localUsers.add(socket.userId);
+    }
+    for (const userId of localUsers) {
+      await refresh(userId);
+    }
+    await expireCustomStatuses();
+  }
+
+  return {
+    // On startup, mark offline everyone who is stored as present but has no
+    // socket on any process, so nobody stays "online" after a crash
+    async reconcile() {
+      const stale = await User.find({ status: { $ne: "offline" } }).select("_id");
+      let reset = 0;
+      for (const { _id } of stale) {
+        if ((await socketsOf(_id)).length === 0) {
+          await User.updateOne({ _id }, { status: "offline", lastSeen: new Date() });
+          reset += 1;
+        }
+      }
+      if (reset > 0) {
+        console.log(`Reset presence for ${reset} stale users`);
+      }
+    },
+
+    start() {
+      if (!sweepTimer) {
+        sweepTimer = setInterval(() => {
+          sweep().catch(err => console.error("Presence sweep failed:", err));
+        }, SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    },
+
+    // Call after the socket has joined its user:* room
+    async connect(socket) {
+      socket.data.lastActiveAt = Date.now();
+      return refresh(socket.userId);
+    },
+
+    // Call from "disconnect", once the socket has left its rooms
+    async disconnect(socket) {
+      return refresh(socket.userId);
+    },
+
+    // Clients send heartbeats while open; `active` says whether the user has
+    // interacted recently (typing, focus, pointer) rather than just idling
+    async heartbeat(socket, active = true) {
+      if (active) {
+        socket.data.lastActiveAt = Date.now();
+      }
+      return refresh(socket.userId);
+    },
+
+    async setPreferredStatus(userId, preferredStatus) {
+      if (!PREFERRED_STATUSES.includes(preferredStatus)) {
+        throw new ServiceError(`Status must be one of: ${PREFERRED_STATUSES.join(", ")}`);
+      }
+      await User.findByIdAndUpdate(userId, { preferredStatus }, { runValidators: true });
+      return refresh(userId);
+    },
+
+    async setCustomStatus(userId, input) {
+      const customStatus = parseCustomStatus(input);
+      await User.findByIdAndUpdate(
+        userId,
+        customStatus ? { customStatus } : { $unset: { customStatus: 1 } },
+        { runValidators: true }
+      );
+      return refresh(userId, { force: true });
+    },
+
+    // Presence of the given users, limited to people the requester shares a
+    // conversation or room with
+    async getPresence(userId, userIds) {
+      if (!Array.isArray(userIds)) {
+        throw new ServiceError("userIds must be an array");
+      }
+      const audience = new Set(await audienceFor(userId));
+      const visible = userIds.filter(id => audience.has(id?.toString()));
+      const users = await User.find({ _id: { $in: visible } });
+      return users.map(presenceOf);
+    }
+  };
+}
@@ -0,0 +1,51 @@
+import { getRateLimiter } from "../utils/rateLimiter.js";
+import { errorPayload } from "../utils/errors.js";
+
+// Which rate limit budget each event spends; anything else uses "default"
+const EVENT_BUDGETS = {
+  "message:send": "message",
+  "message:send:conversation": "message",
+  "message:send:room": "message",
+  "typing:start": "typing",
+  "reaction:add": "reaction",
+  "reaction:remove": "reaction",
+  "room:create": "create",
+  "conversation:group:create": "create",
+  "message:report": "create",
+  "messages:search": "search"
+};
+
+// The client's address, from X-Forwarded-For when behind a trusted proxy
+export function clientIp(socket) {
+  const forwarded = socket.handshake.headers["x-forwarded-for"];
+  if (process.env.TRUST_PROXY && forwarded) {
+    return forwarded.split(",")[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+// Rate limit every event a socket sends. A limited event is dropped and its
+// callback gets { error, code: "rate_limited", retryAfter }; events sent
+// without a callback get a "rate_limited" event back instead.
+export function rateLimitEvents(io, socket) {
+  const limiter = getRateLimiter();
+  const ip = clientIp(socket);
+
+  socket.use(([event, ...args], next) => {
+    try {
+      limiter.consume(EVENT_BUDGETS[event] || "default", {
+        userId: socket.userId,
+        ip,
+        onMute: until => io.to(`user:${socket.userId}`).emit("user:muted", { until, reason: "flooding" })
+      });
+      next();
+    } catch (error) {
+      const callback = args.at(-1);
+      if (typeof callback === "function") {
+        callback(errorPayload(error));
+      } else {
+        socket.emit("rate_limited", { event, ...errorPayload(error) });
+      }
+    }
+  });
+}
@@ -0,0 +1,31 @@
+import Session from "../models/Session.js";
+
+// How often this process checks the sessions of its sockets
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Disconnect local sockets whose session has expired or was revoked.
+// Revoking a session disconnects its sockets straight away (see
+// services/sessions.js); this catches expiry, and anything a process missed.
+export function watchSessions(io) {
+  async function check() {
+    const sockets = [...io.of("/").sockets.values()];
+    if (sockets.length === 0) return;
+
+    const ids = [...new Set(sockets.map(s => s.data.sessionId))];
+    const active = new Set(
+      (await Session.find({ _id: { $in: ids }, ...Session.activeFilter() }).distinct("_id")).map(id => id.toString())
+    );
+    for (const socket of sockets) {
+      if (!active.has(socket.data.sessionId)) {
+        socket.emit("session:revoked", { reason: "expired" });
+        socket.disconnect(true);
+      }
+    }
+  }
+
+  const timer = setInterval(() => {
+    check().catch(err => console.error("Session check failed:", err));
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
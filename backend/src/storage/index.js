@@ -0,0 +1,31 @@
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+// Every storage backend exposes the same three methods:
+//   save(key, buffer, mimeType) -> Promise<void>
+//   read(key)                   -> Promise<Readable>
+//   remove(key)                 -> Promise<void>
+// STORAGE_DRIVER picks the backend: "local" (default) or "s3".
+
+let storage;
+
+export function createStorage(env = process.env) {
+  if (env.STORAGE_DRIVER === "s3") {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY
+    });
+  }
+  return createLocalStorage({ root: env.UPLOAD_DIR || "uploads" });
+}
+
+// Shared storage instance, created from the environment on first use
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
@@ -0,0 +1,35 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+// Stores files on local disk under `root`. Keys may contain "/" and map to
+// sub-directories.
+export function createLocalStorage({ root }) {
+  const baseDir = path.resolve(root);
+
+  function resolveKey(key) {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  }
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, buffer);
+    },
+
+    async read(key) {
+      const filePath = resolveKey(key);
+      await fsp.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    }
+  };
+}
@@ -0,0 +1,32 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+
+// Stores files in an S3-compatible bucket. `endpoint` lets it talk to
+// MinIO or another local stand-in instead of AWS.
+export function createS3Storage({ bucket, endpoint, region, accessKeyId, secretAccessKey }) {
+  const client = new S3Client({
+    endpoint,
+    region: region || "us-east-1",
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    async save(key, buffer, mimeType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType
+      }));
+    },
+
+    async read(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
@@ -0,0 +1,79 @@
+// Error thrown by the service layer. Carries an HTTP status so the REST
+// routes can map it directly, and a code clients can act on; socket handlers
+// send both back in the callback.
+export class ServiceError extends Error {
+  constructor(message, status = 400, code) {
+    super(message);
+    this.name = "ServiceError";
+    this.status = status;
+    if (code) this.code = code;
+  }
+}
+
+// Error code for each status, unless the error sets its own
+const CODES = {
+  400: "VALIDATION_ERROR",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  410: "GONE",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  429: "rate_limited"
+};
+
+export function notAuthorized(message = "Not authorized") {
+  return new ServiceError(message, 403);
+}
+
+export function notFound(message = "Not found") {
+  return new ServiceError(message, 404);
+}
+
+// Too many requests; `retryAfter` is in seconds
+export function rateLimited(retryAfter, message = `Too many requests, try again in ${retryAfter}s`) {
+  const error = new ServiceError(message, 429, "rate_limited");
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Turn errors from libraries that mean "bad request" into ServiceErrors with
+// a safe message; anything else is unexpected and returns null
+export function toServiceError(err) {
+  if (err instanceof ServiceError) return err;
+  if (err.name === "MulterError") {
+    return err.code === "LIMIT_FILE_SIZE"
+      ? new ServiceError("File is too large", 413)
+      : new ServiceError("Invalid upload", 400);
+  }
+  if (err.name === "ValidationError" && err.errors) {
+    return new ServiceError(`Invalid ${Object.keys(err.errors).join(", ")}`, 400);
+  }
+  if (err.name === "CastError") {
+    return new ServiceError(`Invalid ${err.path}`, 400);
+  }
+  if (err.code === 11000) {
+    return new ServiceError("Already exists", 409);
+  }
+  if (err.type === "entity.parse.failed") {
+    return new ServiceError("Request body is not valid JSON", 400);
+  }
+  return null;
+}
+
+// What a client receives for a failed request: { error, code } plus
+// `details` for validation errors and `retryAfter` when rate limited.
+// Unexpected errors are logged and reported without their details.
+export function errorPayload(err) {
+  const error = toServiceError(err);
+  if (!error) {
+    console.error(err);
+    return { error: "Internal server error", code: "INTERNAL_ERROR" };
+  }
+
+  const payload = { error: error.message, code: error.code || CODES[error.status] || "VALIDATION_ERROR" };
+  if (error.details) payload.details = error.details;
+  if (error.retryAfter) payload.retryAfter = error.retryAfter;
+  return payload;
+}
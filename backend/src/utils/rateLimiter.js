@@ -0,0 +1,166 @@
+import { rateLimited } from "./errors.js";
+
+// Token buckets for rate limiting socket events and HTTP requests. Each
+// budget is { capacity, perSecond }: a client may burst up to `capacity`
+// requests, then gets `perSecond` more each second. Buckets are kept per user
+// and per IP address; IP buckets are `ipMultiplier` (default 5) times larger
+// since many students share a campus network address.
+//
+// A request can also name what it is for (`key`, e.g. the email being signed
+// in to). It then also spends from a bucket for the key, shared by every IP
+// (`keyMultiplier` times the budget, default 1), and from one for the IP and
+// key together at the budget's own size. One person's failed logins then only
+// lock out themselves, while the IP and key buckets still cap guessing many
+// accounts from one address or one account from many.
+//
+// Everything is kept in memory, so limits apply per server process.
+//
+// RATE_LIMITS (JSON) overrides budgets, e.g. {"message": {"capacity": 20, "perSecond": 2}}
+
+export const DEFAULT_BUDGETS = {
+  message: { capacity: 10, perSecond: 1 },
+  typing: { capacity: 10, perSecond: 1 },
+  reaction: { capacity: 20, perSecond: 2 },
+  create: { capacity: 5, perSecond: 1 / 120 },
+  search: { capacity: 10, perSecond: 0.5 },
+  default: { capacity: 30, perSecond: 5 },
+  http: { capacity: 60, perSecond: 2 },
+  auth: { capacity: 5, perSecond: 1 / 60 },
+  login: { capacity: 5, perSecond: 1 / 60, ipMultiplier: 20, keyMultiplier: 2 },
+  signup: { capacity: 10, perSecond: 1 / 30 },
+  exchange: { capacity: 10, perSecond: 1 / 6 },
+  hooks: { capacity: 30, perSecond: 1 }
+};
+const IP_MULTIPLIER = 5;
+
+// Repeatedly hitting the message limit gets a user muted for a while; each
+// mute within a day lasts longer than the last
+const OFFENCES_BEFORE_MUTE = 5;
+const OFFENCE_WINDOW_MS = 60 * 1000;
+const MUTE_STEPS_MS = [1, 5, 15, 60].map(m => m * 60 * 1000);
+const MUTE_MEMORY_MS = 24 * 60 * 60 * 1000;
+// Drop buckets that have been full for this long
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+function scaled({ capacity, perSecond }, multiplier) {
+  return { capacity: capacity * multiplier, perSecond: perSecond * multiplier };
+}
+
+function loadBudgets(env) {
+  let overrides = {};
+  if (env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(env.RATE_LIMITS);
+    } catch {
+      console.error("Ignoring RATE_LIMITS: not valid JSON");
+    }
+  }
+  const budgets = { ...DEFAULT_BUDGETS };
+  for (const [name, budget] of Object.entries(overrides)) {
+    budgets[name] = { ...budgets[name], ...budget };
+  }
+  return budgets;
+}
+
+export function createRateLimiter(env = process.env) {
+  const budgets = loadBudgets(env);
+  const buckets = new Map();
+  const offences = new Map();
+  const mutes = new Map();
+
+  // Take a token from a bucket; returns ms until one is available, or 0
+  function take(key, { capacity, perSecond }) {
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / perSecond) * 1000);
+  }
+
+  // Record hitting the message limit; returns the mute end if this earned one
+  function recordOffence(userId) {
+    const now = Date.now();
+    const recent = (offences.get(userId) || []).filter(t => now - t < OFFENCE_WINDOW_MS);
+    recent.push(now);
+    offences.set(userId, recent);
+    if (recent.length < OFFENCES_BEFORE_MUTE) return null;
+
+    offences.delete(userId);
+    const previous = mutes.get(userId);
+    const step = previous && now - previous.until < MUTE_MEMORY_MS ? previous.step + 1 : 0;
+    const until = now + MUTE_STEPS_MS[Math.min(step, MUTE_STEPS_MS.length - 1)];
+    mutes.set(userId, { until, step });
+    return new Date(until);
+  }
+
+  // Forget buckets that have refilled and mutes nobody will look at again
+  function prune() {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.updatedAt > IDLE_BUCKET_MS) buckets.delete(key);
+    }
+    for (const [userId, mute] of mutes) {
+      if (now - mute.until > MUTE_MEMORY_MS) mutes.delete(userId);
+    }
+  }
+  setInterval(prune, IDLE_BUCKET_MS).unref();
+
+  return {
+    // When the user's automatic mute ends, or null if they aren't muted
+    mutedUntil(userId) {
+      const mute = userId && mutes.get(userId.toString());
+      return mute && mute.until > Date.now() ? new Date(mute.until) : null;
+    },
+
+    // Spend one request of `budget` for the user and IP (and key, if given).
+    // Throws a rate_limited ServiceError when any of the buckets is empty.
+    // `onMute` is called when hitting the message limit once too often mutes
+    // the user.
+    consume(budget, { userId, ip, key, onMute } = {}) {
+      const muted = budget === "message" && this.mutedUntil(userId);
+      if (muted) {
+        throw rateLimited(Math.ceil((muted - Date.now()) / 1000), "You are muted for sending messages too fast");
+      }
+
+      const limits = budgets[budget] || budgets.default;
+      const userWait = userId ? take(`user:${userId}:${budget}`, limits) : 0;
+      const ipWait = ip ? take(`ip:${ip}:${budget}`, scaled(limits, limits.ipMultiplier ?? IP_MULTIPLIER)) : 0;
+      const keyWait = key
+        ? Math.max(
+          take(`key:${key}:${budget}`, scaled(limits, limits.keyMultiplier ?? 1)),
+          ip ? take(`ip:${ip}:${budget}:${key}`, limits) : 0
+        )
+        : 0;
+      const wait = Math.max(userWait, ipWait, keyWait);
+      if (wait === 0) return;
+
+      if (budget === "message" && userWait > 0) {
+        const until = recordOffence(userId.toString());
+        if (until) {
+          onMute?.(until);
+          throw rateLimited(
+            Math.ceil((until - Date.now()) / 1000),
+            "You are sending messages too fast and have been muted for a while"
+          );
+        }
+      }
+      throw rateLimited(Math.ceil(wait / 1000));
+    }
+  };
+}
+
+let limiter;
+
+// Shared limiter, created from the environment on first use
+export function getRateLimiter() {
+  if (!limiter) {
+    limiter = createRateLimiter();
+  }
+  return limiter;
+}
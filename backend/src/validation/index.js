@@ -0,0 +1,139 @@
+import { ServiceError } from "../utils/errors.js";
+
+// A small declarative schema language for request payloads, shared by the
+// socket events and the REST routes:
+//
+//   const schema = object({ roomId: id(), limit: number({ min: 1 }).optional() });
+//   const { roomId, limit } = validate(schema, payload);
+//
+// validate() returns a copy holding only the declared fields, or throws a
+// ServiceError with code VALIDATION_ERROR listing every problem found.
+// With { coerce: true } (query strings) numbers and booleans may be strings.
+
+function rule(check) {
+  return {
+    check,
+    optional() {
+      return { ...this, isOptional: true };
+    },
+    nullable() {
+      return { ...this, isNullable: true };
+    }
+  };
+}
+
+// Run a rule on a value; problems are collected in ctx.errors
+function apply(schema, value, path, ctx) {
+  if (value === undefined) {
+    if (!schema.isOptional) ctx.errors.push({ field: path, message: "is required" });
+    return undefined;
+  }
+  if (value === null) {
+    if (!schema.isNullable) ctx.errors.push({ field: path, message: "must not be null" });
+    return null;
+  }
+  return schema.check(value, path, ctx);
+}
+
+function fail(ctx, path, message) {
+  ctx.errors.push({ field: path, message });
+  return undefined;
+}
+
+export function string({ min = 0, max = 10000, pattern } = {}) {
+  return rule((value, path, ctx) => {
+    if (typeof value !== "string") return fail(ctx, path, "must be a string");
+    const length = value.trim().length;
+    if (length < min) return fail(ctx, path, min === 1 ? "must not be empty" : `must be at least ${min} characters`);
+    if (value.length > max) return fail(ctx, path, `must be at most ${max} characters`);
+    if (pattern && !pattern.test(value)) return fail(ctx, path, "has an invalid format");
+    return value;
+  });
+}
+
+// A MongoDB ObjectId as a 24 character hex string
+export function id() {
+  return rule((value, path, ctx) => {
+    if (typeof value !== "string" || !/^[a-f\d]{24}$/i.test(value)) return fail(ctx, path, "must be a valid id");
+    return value;
+  });
+}
+
+export function number({ min, max, integer = false } = {}) {
+  return rule((value, path, ctx) => {
+    if (ctx.coerce && typeof value === "string" && value.trim() !== "") value = Number(value);
+    if (typeof value !== "number" || !Number.isFinite(value)) return fail(ctx, path, "must be a number");
+    if (integer && !Number.isInteger(value)) return fail(ctx, path, "must be a whole number");
+    if (min !== undefined && value < min) return fail(ctx, path, `must be at least ${min}`);
+    if (max !== undefined && value > max) return fail(ctx, path, `must be at most ${max}`);
+    return value;
+  });
+}
+
+export function boolean() {
+  return rule((value, path, ctx) => {
+    if (ctx.coerce && (value === "true" || value === "false")) value = value === "true";
+    if (typeof value !== "boolean") return fail(ctx, path, "must be true or false");
+    return value;
+  });
+}
+
+export function oneOf(values) {
+  return rule((value, path, ctx) => {
+    if (!values.includes(value)) return fail(ctx, path, `must be one of: ${values.join(", ")}`);
+    return value;
+  });
+}
+
+// A date as an ISO string or a timestamp in milliseconds
+export function date() {
+  return rule((value, path, ctx) => {
+    if ((typeof value !== "string" && typeof value !== "number") || Number.isNaN(new Date(value).getTime())) {
+      return fail(ctx, path, "must be a date");
+    }
+    return value;
+  });
+}
+
+export function array(item, { min = 0, max = 100 } = {}) {
+  return rule((value, path, ctx) => {
+    if (!Array.isArray(value)) return fail(ctx, path, "must be a list");
+    if (value.length < min) return fail(ctx, path, `must have at least ${min} entries`);
+    if (value.length > max) return fail(ctx, path, `must have at most ${max} entries`);
+    return value.map((entry, i) => apply(item, entry, `${path}[${i}]`, ctx));
+  });
+}
+
+// An object with the given fields; anything else is dropped
+export function object(shape) {
+  return rule((value, path, ctx) => {
+    if (typeof value !== "object" || Array.isArray(value)) return fail(ctx, path || "payload", "must be an object");
+    const result = {};
+    for (const [key, schema] of Object.entries(shape)) {
+      const parsed = apply(schema, value[key], path ? `${path}.${key}` : key, ctx);
+      if (parsed !== undefined) result[key] = parsed;
+    }
+    return result;
+  });
+}
+
+// A 400 listing each problem as { field, message } in `details`
+export function validationError(errors) {
+  const error = new ServiceError(
+    `Invalid request: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`,
+    400,
+    "VALIDATION_ERROR"
+  );
+  error.details = errors;
+  return error;
+}
+
+// Check `value` against `schema`; returns the cleaned value or throws
+export function validate(schema, value, { coerce = false } = {}) {
+  const ctx = { errors: [], coerce };
+  const result = apply(schema, value, "", ctx);
+  if (ctx.errors.length > 0) {
+    throw validationError(ctx.errors.map(e => ({ ...e, field: e.field || "payload" })));
+  }
+  return result;
+}
@@ -0,0 +1,247 @@
+import User from "../models/User.js";
+import Room from "../models/Room.js";
+import { MAX_GROUP_PARTICIPANTS } from "../models/Conversation.js";
+import { BOT_SCOPES } from "../models/Bot.js";
+import { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import { REPORT_REASONS } from "../models/Report.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { NOTIFICATION_LEVELS } from "../models/NotificationSetting.js";
+import { array, boolean, date, id, number, object, oneOf, string } from "./index.js";
+
+// Payload schemas for every socket event and REST route. The socket event
+// table (socket/events.js) and the routes both refer to these by name.
+
+const ROOM_CATEGORIES = Room.schema.path("category").enumValues;
+const PREFERRED_STATUSES = User.schema.path("preferredStatus").enumValues;
+const DIGEST_FREQUENCIES = User.schema.path("emailDigest.frequency").enumValues;
+
+const limit = number({ min: 1, max: 100, integer: true }).optional();
+const page = { before: id().optional(), after: id().optional(), limit };
+const title = string({ max: 100 });
+
+// Fields shared by every message send
+const newMessage = {
+  content: string({ max: 5000 }).optional(),
+  replyTo: id().optional(),
+  attachments: array(id(), { max: 10 }).optional(),
+  clientMessageId: string({ min: 1, max: 64 }).optional()
+};
+
+// A conversation or a room; services check that exactly one is given
+const target = { conversationId: id().optional(), roomId: id().optional() };
+
+export const empty = object({});
+
+// ===== ACCOUNTS =====
+
+const email = string({ max: 254, pattern: /^\s*[^\s@]+@illinois\.edu\s*$/i });
+const password = string({ min: 8, max: 128 });
+const emailToken = string({ min: 1, max: 128 });
+
+export const signup = object({ email, password, name: string({ min: 1, max: 100 }) });
+export const login = object({ email: string({ min: 1, max: 254 }), password: string({ min: 1, max: 128 }) });
+export const accountEmail = object({ email });
+export const verifyEmail = object({ token: emailToken });
+export const resetPassword = object({ token: emailToken, password });
+export const exchangeCode = object({ code: string({ min: 1, max: 128 }) });
+export const sessionRef = object({ sessionId: id() });
+
+// ===== PRESENCE =====
+
+export const heartbeat = object({ active: boolean().optional() });
+export const setStatus = object({ status: oneOf(PREFERRED_STATUSES) });
+export const customStatus = object({
+  text: string({ max: 100 }).optional(),
+  emoji: string({ max: 16 }).optional(),
+  expiresAt: date().optional(),
+  expiresInMinutes: number({ min: 1, max: 60 * 24 * 30 }).optional()
+}).nullable();
+export const getPresence = object({ userIds: array(id(), { max: 500 }) });
+export const updatePresence = object({
+  status: oneOf(PREFERRED_STATUSES).optional(),
+  customStatus: customStatus.optional()
+});
+
+// ===== CONVERSATIONS =====
+
+export const listConversations = object({ includeArchived: boolean().optional() });
+export const startConversation = object({ otherUserId: id() });
+export const conversationRef = object({ conversationId: id() });
+export const createGroup = object({
+  participantIds: array(id(), { min: 1, max: MAX_GROUP_PARTICIPANTS - 1 }),
+  title: title.optional()
+});
+export const updateConversation = object({ conversationId: id(), title });
+export const addParticipants = object({
+  conversationId: id(),
+  userIds: array(id(), { min: 1, max: MAX_GROUP_PARTICIPANTS - 1 })
+});
+export const removeParticipant = object({ conversationId: id(), userId: id() });
+export const pinConversation = object({ conversationId: id(), pinned: boolean() });
+export const archiveConversation = object({ conversationId: id(), archived: boolean() });
+export const sendConversationMessage = object({ conversationId: id(), ...newMessage });
+
+// ===== ROOMS =====
+
+export const createRoom = object({
+  name: string({ min: 1, max: 100 }),
+  description: string({ max: 500 }).optional(),
+  isPrivate: boolean().optional(),
+  category: oneOf(ROOM_CATEGORIES).optional()
+});
+export const roomRef = object({ roomId: id() });
+export const joinWithInvite = object({ inviteCode: string({ min: 1, max: 32 }) });
+export const browseRooms = object({
+  category: oneOf(ROOM_CATEGORIES).optional(),
+  search: string({ max: 100 }).optional(),
+  limit
+});
+export const roomMember = object({ roomId: id(), userId: id() });
+export const setMemberRole = object({ roomId: id(), userId: id(), role: oneOf(["admin", "member"]) });
+export const updateRoom = object({
+  roomId: id(),
+  name: string({ min: 1, max: 100 }).optional(),
+  description: string({ max: 500 }).optional(),
+  category: oneOf(ROOM_CATEGORIES).optional(),
+  maxMembers: number({ min: 2, max: 1000, integer: true }).optional(),
+  slowModeSeconds: number({ min: 0, max: 6 * 60 * 60, integer: true }).optional()
+});
+export const sendRoomMessage = object({ roomId: id(), ...newMessage });
+
+// ===== MESSAGES =====
+
+export const messageHistory = object({ ...target, ...page });
+export const sync = object({
+  targets: array(object({
+    ...target,
+    lastMessageId: id().optional(),
+    since: date().optional()
+  }), { max: 100 })
+});
+export const searchMessages = object({
+  query: string({ min: 1, max: 200 }),
+  sender: id().optional(),
+  ...target,
+  from: date().optional(),
+  to: date().optional(),
+  hasAttachment: boolean().optional(),
+  page: number({ min: 1, max: 1000, integer: true }).optional(),
+  limit
+});
+export const thread = object({ messageId: id(), ...page });
+export const messageRef = object({ messageId: id() });
+export const editMessage = object({ messageId: id(), content: string({ min: 1, max: 5000 }) });
+export const reaction = object({ messageId: id(), emoji: string({ min: 1, max: 32 }) });
+export const markRead = object({ ...target, upTo: id().optional() });
+export const typing = object(target);
+
+// ===== NOTIFICATIONS =====
+
+export const listNotifications = object({ unreadOnly: boolean().optional(), before: id().optional(), limit });
+export const readNotifications = object({
+  notificationIds: array(id(), { min: 1, max: 100 }).optional(),
+  all: boolean().optional()
+});
+export const notificationSettings = object(target);
+export const updateNotificationSettings = object({
+  ...target,
+  level: oneOf(NOTIFICATION_LEVELS).optional(),
+  muteMinutes: number({ min: 1, max: 60 * 24 * 365, integer: true }).nullable().optional()
+});
+export const updateDigestSettings = object({ frequency: oneOf(DIGEST_FREQUENCIES) });
+
+// ===== MODERATION =====
+
+const reason = string({ max: 500 }).optional();
+
+export const reportMessage = object({
+  messageId: id(),
+  reason: oneOf(REPORT_REASONS),
+  details: string({ max: 1000 }).optional()
+});
+export const listReports = object({
+  roomId: id(),
+  status: oneOf(["open", "resolved", "dismissed"]).optional(),
+  before: id().optional(),
+  limit
+});
+export const resolveReport = object({
+  roomId: id(),
+  reportId: id(),
+  status: oneOf(["resolved", "dismissed"]),
+  note: string({ max: 1000 }).optional()
+});
+export const muteMember = object({
+  roomId: id(),
+  userId: id(),
+  minutes: number({ min: 1, max: 30 * 24 * 60, integer: true }),
+  reason
+});
+export const banMember = object({ roomId: id(), userId: id(), reason });
+export const auditLog = object({
+  roomId: id(),
+  action: oneOf(AUDIT_ACTIONS).optional(),
+  before: id().optional(),
+  limit
+});
+
+// ===== ATTACHMENTS AND EMOJI =====
+
+export const attachmentRef = object({ attachmentId: id() });
+export const addEmoji = object({ roomId: id(), name: string({ min: 2, max: 32, pattern: /^[a-z0-9_]+$/i }) });
+export const emojiRef = object({ roomId: id(), name: string({ min: 1, max: 32 }) });
+
+// ===== BOTS =====
+
+export const createBot = object({
+  slug: string({ pattern: /^[a-z0-9-]{2,32}$/ }),
+  name: string({ min: 1, max: 100 }),
+  description: string({ max: 500 }).optional(),
+  scopes: array(oneOf(BOT_SCOPES), { max: BOT_SCOPES.length }).optional(),
+  commands: array(object({
+    name: string({ pattern: /^[a-z0-9_-]{1,32}$/ }),
+    description: string({ max: 200 }).optional()
+  }), { max: 50 }).optional()
+});
+export const botRef = object({ botId: id() });
+export const roomBot = object({ roomId: id(), botId: id() });
+// Bots have no way to upload files, so they send text only
+export const botSend = object({
+  ...target,
+  content: newMessage.content,
+  replyTo: newMessage.replyTo,
+  clientMessageId: newMessage.clientMessageId
+});
+
+// ===== WEBHOOKS =====
+
+const webhookEvents = array(oneOf(WEBHOOK_EVENTS), { min: 1, max: WEBHOOK_EVENTS.length });
+
+export const createWebhook = object({
+  roomId: id(),
+  kind: oneOf(["incoming", "outgoing"]),
+  name: string({ min: 1, max: 100 }),
+  url: string({ max: 2000 }).optional(),
+  events: webhookEvents.optional()
+});
+export const webhookRef = object({ roomId: id(), webhookId: id() });
+export const updateWebhook = object({
+  roomId: id(),
+  webhookId: id(),
+  name: string({ min: 1, max: 100 }).optional(),
+  url: string({ max: 2000 }).optional(),
+  events: webhookEvents.optional(),
+  isActive: boolean().optional()
+});
+export const listDeliveries = object({
+  roomId: id(),
+  webhookId: id(),
+  status: oneOf(["pending", "succeeded", "failed"]).optional(),
+  limit
+});
+export const incomingWebhook = object({
+  webhookId: id(),
+  token: string({ min: 1, max: 100 }),
+  content: string({ min: 1, max: 5000 }),
+  system: boolean().optional()
+});
@@ -0,0 +1,99 @@
+import dns from "dns";
+import net from "net";
+import { ServiceError } from "../utils/errors.js";
+
+// Outgoing webhooks may only reach the public internet. Any room owner can
+// point one anywhere, and the delivery log shows what came back, so letting
+// them reach loopback, private or link-local addresses would turn the server
+// into a probe of its own network. WEBHOOK_ALLOWED_HOSTS (comma separated
+// host names) lets chosen hosts through anyway, e.g. a receiver on
+// localhost during development.
+
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],        // "this" network
+  ["10.0.0.0", 8],       // private
+  ["100.64.0.0", 10],    // carrier-grade NAT
+  ["127.0.0.0", 8],      // loopback
+  ["169.254.0.0", 16],   // link-local, including cloud metadata
+  ["172.16.0.0", 12],    // private
+  ["192.0.0.0", 24],     // IETF protocol assignments
+  ["192.168.0.0", 16],   // private
+  ["198.18.0.0", 15],    // benchmarking
+  ["224.0.0.0", 4],      // multicast
+  ["240.0.0.0", 4]       // reserved and broadcast
+]) {
+  blocked.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],           // unspecified
+  ["::1", 128],          // loopback
+  ["64:ff9b::", 96],     // NAT64, embeds an IPv4 address
+  ["2002::", 16],        // 6to4, embeds an IPv4 address
+  ["fc00::", 7],         // unique local
+  ["fe80::", 10],        // link-local
+  ["ff00::", 8]          // multicast
+]) {
+  blocked.addSubnet(address, prefix, "ipv6");
+}
+
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Whether an IP address is one webhooks must not reach
+export function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIPv4(address) ? "ipv4" : "ipv6";
+  return blocked.check(address, family);
+}
+
+// Throw unless the URL is http(s) and every address its host resolves to is
+// public. Checked when a webhook is saved and before every delivery; the
+// delivery itself connects through publicLookup, since DNS answers can change
+// in between.
+export async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ServiceError("Webhook URL is not a valid URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new ServiceError("Webhook URL must use http or https");
+  }
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+  if (allowedHosts().includes(host)) return;
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true, verbatim: true })).map(a => a.address);
+    } catch {
+      throw new ServiceError("Webhook URL host could not be resolved");
+    }
+  }
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    throw new ServiceError("Webhook URL must point to a public address");
+  }
+}
+
+// dns.lookup for webhook requests: fails when the host resolves to an address
+// webhooks must not reach, so what is connected to is what was checked
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (!allowedHosts().includes(hostname.toLowerCase()) && addresses.some(isBlockedAddress)) {
+      return callback(new Error(`${hostname} resolves to an address webhooks may not reach`));
+    }
+    callback(null, address, family);
+  });
+}
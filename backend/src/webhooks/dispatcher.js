@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import { Agent, fetch } from "undici";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { onMessageDelivered } from "../services/delivery.js";
+import { assertPublicUrl, publicLookup } from "./addresses.js";
+
+// Sends room events to outgoing webhooks. Every delivery is stored before it
+// is sent, then retried with growing delays until it succeeds or runs out of
+// attempts; the stored deliveries double as the delivery log admins can read.
+//
+// Requests are POSTs of a JSON body { id, event, roomId, occurredAt, data }
+// with these headers:
+//   X-Webhook-Id         delivery id (the same on every retry)
+//   X-Webhook-Event      event name
+//   X-Webhook-Timestamp  unix seconds when this attempt was sent
+//   X-Webhook-Signature  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>"
+//                        keyed with the webhook's secret
+
+// Wait before attempt 2, 3, ...; a delivery fails after the last one
+const RETRY_DELAYS_MS = [10, 60, 5 * 60, 30 * 60, 2 * 60 * 60].map(s => s * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Long enough for a request to finish before another process may retry it
+const LEASE_MS = REQUEST_TIMEOUT_MS * 3;
+const POLL_INTERVAL_MS = 10 * 1000;
+
+// Connects only to the public addresses a host resolves to, checked at
+// connect time, so a host can't pass the check and then resolve elsewhere
+const agent = new Agent({ connect: { lookup: publicLookup } });
+
+let pollTimer = null;
+
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Make one attempt at a claimed delivery and record the outcome
+async function attempt(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  delivery.attempts += 1;
+
+  if (!webhook || !webhook.isActive) {
+    delivery.status = "failed";
+    delivery.lastError = "Webhook was disabled or deleted";
+    return delivery.save();
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    // The URL may have been changed since it was checked; the agent checks
+    // the addresses it actually connects to
+    await assertPublicUrl(webhook.url);
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "chat-webhooks",
+        "X-Webhook-Id": delivery._id.toString(),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, delivery.body)}`
+      },
+      body: delivery.body,
+      redirect: "manual",
+      dispatcher: agent,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    delivery.responseStatus = response.status;
+    if (!response.ok) {
+      throw new Error(`Endpoint returned ${response.status}`);
+    }
+
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (err) {
+    delivery.lastError = err.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = "failed";
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[delivery.attempts - 1]);
+    }
+  }
+  return delivery.save();
+}
+
+// Store a delivery of the event for every subscribed webhook and send them
+async function queueRoomEvent(roomId, event, data) {
+  const webhooks = await Webhook.findSubscribers(roomId, event);
+
+  for (const webhook of webhooks) {
+    const delivery = new WebhookDelivery({
+      webhook: webhook._id,
+      event,
+      nextAttemptAt: new Date(Date.now() + LEASE_MS)
+    });
+    delivery.body = JSON.stringify({
+      id: delivery._id,
+      event,
+      roomId,
+      occurredAt: new Date(),
+      data
+    });
+    await delivery.save();
+
+    attempt(delivery).catch(err => console.error("Webhook delivery failed:", err));
+  }
+}
+
+// Tell a room's outgoing webhooks about an event. Never throws, so callers
+// don't have to care whether webhooks are set up.
+export function emitRoomEvent(roomId, event, data) {
+  queueRoomEvent(roomId, event, data)
+    .catch(err => console.error("Queueing webhook deliveries failed:", err));
+}
+
+// Retry every delivery that is due
+async function retryDue() {
+  let delivery;
+  while ((delivery = await WebhookDelivery.claimDue(LEASE_MS))) {
+    await attempt(delivery);
+  }
+}
+
+// Send new room messages to webhooks and start retrying failed deliveries
+export function startWebhooks() {
+  onMessageDelivered((io, message) => {
+    // Messages from incoming webhooks aren't echoed back out
+    if (message.targetType === "room" && !message.webhook) {
+      emitRoomEvent(message.room, "message:new", { message });
+    }
+  });
+
+  if (!pollTimer) {
+    pollTimer = setInterval(() => {
+      retryDue().catch(err => console.error("Webhook retries failed:", err));
+    }, POLL_INTERVAL_MS);
+    pollTimer.unref();
+  }
+}
@@ -0,0 +1,55 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { composeDigest } from "../src/services/digests.js";
+
+const user = { name: "Ada <3", email: "ada@illinois.edu" };
+const actor = { name: "Bob", netId: "bob2" };
+
+before(() => {
+  process.env.CLIENT_URL = "https://chat.example.edu";
+});
+
+function dm(count, preview = "hey") {
+  return { type: "message", actor, count, preview, conversation: { _id: "c1", isGroup: false } };
+}
+
+test("lists each notification with a link to where it happened", () => {
+  const mail = composeDigest(user, [
+    { type: "mention", mentionKind: "user", actor, preview: "see @ada", room: { _id: "r1", name: "cs225" } },
+    { type: "mention", mentionKind: "here", actor, room: { _id: "r1", name: "cs225" } },
+    dm(3)
+  ]);
+
+  assert.equal(mail.to, "ada@illinois.edu");
+  assert.equal(mail.subject, "You have 5 unread messages");
+  assert.match(mail.text, /\* Bob mentioned you in #cs225\n {2}"see @ada"\n {2}https:\/\/chat\.example\.edu\/chat\/rooms\/r1/);
+  assert.match(mail.text, /\* Bob mentioned @here in #cs225/);
+  assert.match(mail.text, /\* 3 messages from Bob in a direct message\n {2}"hey"\n {2}https:\/\/chat\.example\.edu\/chat\/conversations\/c1/);
+});
+
+test("one message gets a singular subject", () => {
+  const mail = composeDigest(user, [dm(1)]);
+  assert.equal(mail.subject, "You have 1 unread message");
+  assert.match(mail.text, /Bob messaged you in a direct message/);
+});
+
+test("names group conversations by their title", () => {
+  const mail = composeDigest(user, [
+    { ...dm(1), conversation: { _id: "c2", isGroup: true, title: "Study group" } }
+  ]);
+  assert.match(mail.text, /Bob messaged you in Study group/);
+});
+
+test("escapes user content in the HTML body", () => {
+  const mail = composeDigest(user, [dm(1, "<script>alert(1)</script>")]);
+  assert.match(mail.html, /Hi Ada &#60;3,/);
+  assert.match(mail.html, /&#60;script&#62;/);
+  assert.doesNotMatch(mail.html, /<script>/);
+});
+
+test("lists at most 20 notifications and counts the rest", () => {
+  const mail = composeDigest(user, Array.from({ length: 25 }, () => dm(1)));
+  assert.equal(mail.subject, "You have 25 unread messages");
+  assert.equal(mail.text.match(/^\* /gm).length, 20);
+  assert.match(mail.text, /\.\.\.and 5 more\./);
+});
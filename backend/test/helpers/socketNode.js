@@ -0,0 +1,28 @@
+import "dotenv/config";
+import http from "http";
+import express from "express";
+import mongoose from "mongoose";
+import { createSocketAdapter } from "../../src/socket/adapter.js";
+import { attachSocketServer } from "../../src/socket/index.js";
+
+// One backend process for socketAdapter.test.js, started with fork(): serves
+// Socket.IO on a free port through the configured adapter, sends the parent
+// { port } once listening, and shuts everything down when sent "stop".
+
+await mongoose.connect(process.env.MONGODB_URI);
+const { adapter, close: closeAdapter } = await createSocketAdapter();
+
+const app = express();
+const server = http.createServer(app);
+const io = attachSocketServer(server, app, { adapter, backgroundJobs: false });
+await new Promise(resolve => server.listen(0, resolve));
+process.send({ port: server.address().port });
+
+process.on("message", async message => {
+  if (message !== "stop") return;
+  // Closes the HTTP server and the adapter's side of the connections too
+  await io.close();
+  await closeAdapter();
+  await mongoose.disconnect();
+  process.disconnect();
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMentions } from "../src/services/mentions.js";
+
+test("finds @netIds, lower-cased and without repeats", () => {
+  assert.deepEqual(parseMentions("@ada2 and @Bob_1, then @ADA2 again"), {
+    netIds: ["ada2", "bob_1"],
+    room: false,
+    here: false
+  });
+});
+
+test("@room and @here are flags, not netIds", () => {
+  assert.deepEqual(parseMentions("@room heads up (@here too)"), { netIds: [], room: true, here: true });
+});
+
+test("ignores @ inside words and email addresses", () => {
+  assert.deepEqual(parseMentions("mail ada@illinois.edu or a.@bob, x@@carl"), {
+    netIds: [],
+    room: false,
+    here: false
+  });
+});
+
+test("needs at least two characters", () => {
+  assert.deepEqual(parseMentions("@a @bc").netIds, ["bc"]);
+});
+
+test("empty content mentions nobody", () => {
+  assert.deepEqual(parseMentions(undefined), { netIds: [], room: false, here: false });
+});
+
+test("caps how many users one message can mention", () => {
+  const content = Array.from({ length: 60 }, (_, i) => `@user${i}`).join(" ");
+  assert.equal(parseMentions(content).netIds.length, 50);
+});
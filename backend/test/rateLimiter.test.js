@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../src/utils/rateLimiter.js";
+
+// The clock is mocked so refills happen exactly when the test says
+let now;
+beforeEach(() => {
+  now = 1_000_000;
+  mock.method(Date, "now", () => now);
+});
+afterEach(() => mock.restoreAll());
+
+// Spend `times` requests; returns the error of the first one refused, if any
+function spend(limiter, budget, options, times = 1) {
+  for (let i = 0; i < times; i += 1) {
+    try {
+      limiter.consume(budget, options);
+    } catch (err) {
+      return err;
+    }
+  }
+  return null;
+}
+
+test("a bucket allows a burst, then refills over time", () => {
+  const limiter = createRateLimiter({ RATE_LIMITS: JSON.stringify({ test: { capacity: 3, perSecond: 0.5 } }) });
+
+  assert.equal(spend(limiter, "test", { userId: "u1" }, 3), null);
+  const refused = spend(limiter, "test", { userId: "u1" });
+  assert.equal(refused.status, 429);
+  assert.equal(refused.code, "rate_limited");
+  assert.equal(refused.retryAfter, 2);
+
+  now += 2000;
+  assert.equal(spend(limiter, "test", { userId: "u1" }), null);
+  assert.notEqual(spend(limiter, "test", { userId: "u1" }), null);
+  // Other users have buckets of their own
+  assert.equal(spend(limiter, "test", { userId: "u2" }), null);
+});
+
+test("IP buckets are five times larger than user buckets", () => {
+  const limiter = createRateLimiter({ RATE_LIMITS: JSON.stringify({ test: { capacity: 2, perSecond: 1 } }) });
+
+  assert.equal(spend(limiter, "test", { ip: "10.0.0.1" }, 10), null);
+  assert.notEqual(spend(limiter, "test", { ip: "10.0.0.1" }), null);
+});
+
+test("RATE_LIMITS that isn't JSON is ignored", () => {
+  mock.method(console, "error", () => {});
+  const limiter = createRateLimiter({ RATE_LIMITS: "{" });
+
+  assert.equal(spend(limiter, "auth", { userId: "u1" }, 5), null);
+  assert.notEqual(spend(limiter, "auth", { userId: "u1" }), null);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test("failed logins for one email don't lock out others on the same IP", () => {
+  const limiter = createRateLimiter({});
+
+  assert.equal(spend(limiter, "login", { ip: "10.0.0.1", key: "a@illinois.edu" }, 5), null);
+  assert.notEqual(spend(limiter, "login", { ip: "10.0.0.1", key: "a@illinois.edu" }), null);
+  assert.equal(spend(limiter, "login", { ip: "10.0.0.1", key: "b@illinois.edu" }), null);
+});
+
+test("one email is limited across IPs", () => {
+  const limiter = createRateLimiter({});
+
+  for (let i = 0; i < 10; i += 1) {
+    assert.equal(spend(limiter, "login", { ip: `10.0.0.${i}`, key: "a@illinois.edu" }), null);
+  }
+  assert.notEqual(spend(limiter, "login", { ip: "10.0.0.99", key: "a@illinois.edu" }), null);
+});
+
+test("one IP is limited across emails", () => {
+  const limiter = createRateLimiter({});
+
+  for (let i = 0; i < 100; i += 1) {
+    assert.equal(spend(limiter, "login", { ip: "10.0.0.1", key: `user${i}@illinois.edu` }), null);
+  }
+  assert.notEqual(spend(limiter, "login", { ip: "10.0.0.1", key: "another@illinois.edu" }), null);
+});
+
+test("hitting the message limit too often mutes the user", () => {
+  const limiter = createRateLimiter({});
+  const onMute = mock.fn();
+
+  assert.equal(spend(limiter, "message", { userId: "u1", onMute }, 10), null);
+  for (let i = 0; i < 4; i += 1) {
+    assert.match(spend(limiter, "message", { userId: "u1", onMute }).message, /try again/);
+  }
+  const muted = spend(limiter, "message", { userId: "u1", onMute });
+  assert.match(muted.message, /muted/);
+  assert.equal(muted.retryAfter, 60);
+  assert.equal(onMute.mock.callCount(), 1);
+  assert.equal(limiter.mutedUntil("u1").getTime(), now + 60 * 1000);
+
+  // Muted users are refused even once their bucket has refilled
+  now += 30 * 1000;
+  assert.match(spend(limiter, "message", { userId: "u1" }).message, /You are muted/);
+  now += 30 * 1000;
+  assert.equal(limiter.mutedUntil("u1"), null);
+  assert.equal(spend(limiter, "message", { userId: "u1" }), null);
+});
@@ -0,0 +1,87 @@
+import { afterEach, before, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Session from "../src/models/Session.js";
+import User from "../src/models/User.js";
+import { hashToken } from "../src/auth/passwords.js";
+import { verifyAccessToken } from "../src/auth/tokens.js";
+import { refreshSession } from "../src/services/sessions.js";
+
+// Refresh token rotation, with the model queries stubbed out so no database
+// is needed
+
+const user = { _id: new mongoose.Types.ObjectId(), email: "ada@illinois.edu" };
+const session = { _id: new mongoose.Types.ObjectId(), user: user._id, expiresAt: new Date(Date.now() + 60 * 1000) };
+
+before(() => {
+  process.env.JWT_SECRET ||= "sessions-test";
+});
+
+beforeEach(() => {
+  mock.method(User, "findById", () => ({ select: async () => user }));
+  mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+  mock.method(console, "warn", () => {});
+});
+afterEach(() => mock.restoreAll());
+
+// Socket.IO stand-in recording what was sent to which channel
+function fakeIo() {
+  const emitted = [];
+  const disconnected = [];
+  return {
+    emitted,
+    disconnected,
+    to: channel => ({ emit: (event, payload) => emitted.push({ channel, event, payload }) }),
+    in: channel => ({ disconnectSockets: () => disconnected.push(channel) })
+  };
+}
+
+test("swaps a current refresh token for a new one", async () => {
+  const findOneAndUpdate = mock.method(Session, "findOneAndUpdate", async () => session);
+
+  const result = await refreshSession(fakeIo(), "old-token", { userAgent: "test", ip: "10.0.0.1" });
+
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(filter.tokenHash, hashToken("old-token"));
+  assert.equal(update.$set.previousTokenHash, hashToken("old-token"));
+  assert.equal(update.$set.tokenHash, hashToken(result.refreshToken));
+  assert.notEqual(result.refreshToken, "old-token");
+  assert.equal(result.expiresAt, session.expiresAt);
+  assert.equal(verifyAccessToken(result.token).sid, session._id.toString());
+});
+
+test("a token rotated out moments ago still gets an access token", async () => {
+  mock.method(Session, "findOneAndUpdate", async () => null);
+  mock.method(Session, "findOne", async () => ({ ...session, rotatedAt: new Date(Date.now() - 1000) }));
+
+  const result = await refreshSession(fakeIo(), "old-token");
+
+  assert.equal(verifyAccessToken(result.token).sid, session._id.toString());
+  assert.equal(result.refreshToken, undefined);
+  assert.equal(Session.updateOne.mock.callCount(), 0);
+});
+
+test("reusing a token later revokes the whole session", async () => {
+  mock.method(Session, "findOneAndUpdate", async () => null);
+  mock.method(Session, "findOne", async () => ({ ...session, rotatedAt: new Date(Date.now() - 60 * 1000) }));
+  const io = fakeIo();
+
+  await assert.rejects(refreshSession(io, "stolen-token"), { status: 401, code: "SESSION_EXPIRED" });
+
+  const [filter, update] = Session.updateOne.mock.calls[0].arguments;
+  assert.equal(filter._id, session._id);
+  assert.equal(update.$set.revokedReason, "token_reuse");
+  assert.deepEqual(io.emitted, [
+    { channel: `session:${session._id}`, event: "session:revoked", payload: { reason: "token_reuse" } }
+  ]);
+  assert.deepEqual(io.disconnected, [`session:${session._id}`]);
+});
+
+test("unknown and missing tokens are refused", async () => {
+  mock.method(Session, "findOneAndUpdate", async () => null);
+  mock.method(Session, "findOne", async () => null);
+
+  await assert.rejects(refreshSession(fakeIo(), "unknown-token"), { status: 401, code: "SESSION_EXPIRED" });
+  await assert.rejects(refreshSession(fakeIo(), undefined), { status: 401, code: "SESSION_EXPIRED" });
+  assert.equal(Session.updateOne.mock.callCount(), 0);
+});
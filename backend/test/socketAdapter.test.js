@@ -0,0 +1,122 @@
+import "dotenv/config";
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { fork } from "child_process";
+import mongoose from "mongoose";
+import { io as connectClient } from "socket.io-client";
+import User from "../src/models/User.js";
+import Conversation from "../src/models/Conversation.js";
+import Message from "../src/models/Message.js";
+import Session from "../src/models/Session.js";
+import { createSession } from "../src/services/sessions.js";
+
+// Two backend processes (helpers/socketNode.js) share the configured
+// adapter: a message sent through one must reach a client connected to the
+// other. Needs MONGODB_URI and SOCKET_ADAPTER=redis (with REDIS_URL) or mongo
+// (on a replica set); the in-memory adapter can't share anything between
+// processes, so the test is skipped without them.
+
+const WAIT_MS = 5000;
+const skip = !process.env.MONGODB_URI
+  ? "set MONGODB_URI to run"
+  : ["redis", "mongo"].includes(process.env.SOCKET_ADAPTER)
+    ? false
+    : "set SOCKET_ADAPTER to redis or mongo to run";
+
+process.env.JWT_SECRET ||= "socket-adapter-test";
+
+const NODE_SCRIPT = new URL("./helpers/socketNode.js", import.meta.url);
+
+const nodes = [];
+const clients = [];
+let users = [];
+let conversation;
+
+// Start a backend process; resolves to its URL once it is listening
+function startNode() {
+  const node = fork(NODE_SCRIPT, { stdio: ["ignore", "ignore", "inherit", "ipc"] });
+  nodes.push(node);
+  return new Promise((resolve, reject) => {
+    node.once("message", ({ port }) => resolve(`http://localhost:${port}`));
+    node.once("exit", code => reject(new Error(`Socket node exited with code ${code}`)));
+  });
+}
+
+// Ask a backend process to shut down and wait for it to exit
+function stopNode(node) {
+  if (node.exitCode !== null || node.signalCode !== null) return undefined;
+  return new Promise(resolve => {
+    node.once("exit", resolve);
+    node.send("stop");
+  });
+}
+
+async function connect(url, user) {
+  const { token } = await createSession(user, { userAgent: "socket adapter test" });
+  const client = connectClient(url, { auth: { token }, transports: ["websocket"], reconnection: false });
+  clients.push(client);
+  await new Promise((resolve, reject) => {
+    client.once("connect", resolve);
+    client.once("connect_error", reject);
+  });
+  return client;
+}
+
+function nextEvent(client, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No "${event}" within ${WAIT_MS}ms`)), WAIT_MS);
+    client.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+before(async () => {
+  if (skip) return;
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const suffix = Date.now().toString(36);
+  users = await User.create(["a", "b"].map(name => ({
+    netId: `adapter-test-${suffix}-${name}`,
+    email: `adapter-test-${suffix}-${name}@illinois.edu`,
+    name: `Adapter test ${name.toUpperCase()}`
+  })));
+  conversation = await Conversation.findOrCreate(users[0]._id, users[1]._id);
+});
+
+after(async () => {
+  if (skip) return;
+  clients.forEach(client => client.disconnect());
+  await Promise.all(nodes.map(stopNode));
+
+  const userIds = users.map(u => u._id);
+  await Promise.all([
+    Message.deleteMany({ conversation: conversation?._id }),
+    Conversation.deleteOne({ _id: conversation?._id }),
+    Session.deleteMany({ user: { $in: userIds } }),
+    User.deleteMany({ _id: { $in: userIds } })
+  ]);
+  await mongoose.disconnect();
+});
+
+test("a message sent through one node reaches a client on another", { skip }, async () => {
+  const [first, second] = await Promise.all([startNode(), startNode()]);
+  const sender = await connect(first, users[0]);
+  const receiver = await connect(second, users[1]);
+
+  const conversationId = conversation._id.toString();
+  for (const client of [sender, receiver]) {
+    const opened = await client.timeout(WAIT_MS).emitWithAck("conversation:open", { conversationId });
+    assert.ifError(opened.error);
+  }
+
+  const received = nextEvent(receiver, "message:new");
+  const content = `hello from node 1 at ${Date.now()}`;
+  const sent = await sender.timeout(WAIT_MS).emitWithAck("message:send:conversation", { conversationId, content });
+  assert.ifError(sent.error);
+
+  const { message } = await received;
+  assert.equal(message.content, content);
+  assert.equal(message.conversation, conversationId);
+});
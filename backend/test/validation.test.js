@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  array,
+  boolean,
+  date,
+  id,
+  number,
+  object,
+  oneOf,
+  string,
+  validate
+} from "../src/validation/index.js";
+
+// Run validate() expecting it to fail; returns the { field, message } list
+function problems(schema, value, options) {
+  try {
+    validate(schema, value, options);
+  } catch (err) {
+    assert.equal(err.status, 400);
+    assert.equal(err.code, "VALIDATION_ERROR");
+    return err.details;
+  }
+  assert.fail("expected a validation error");
+}
+
+test("object keeps declared fields and drops the rest", () => {
+  const schema = object({ name: string(), age: number().optional() });
+  assert.deepEqual(validate(schema, { name: "Ada", extra: true }), { name: "Ada" });
+});
+
+test("every problem is listed with its field path", () => {
+  const schema = object({
+    roomId: id(),
+    limit: number({ min: 1, max: 50, integer: true }),
+    tags: array(string({ min: 1 }), { max: 2 })
+  });
+  assert.deepEqual(problems(schema, { roomId: "nope", limit: 1.5, tags: ["ok", ""] }), [
+    { field: "roomId", message: "must be a valid id" },
+    { field: "limit", message: "must be a whole number" },
+    { field: "tags[1]", message: "must not be empty" }
+  ]);
+});
+
+test("missing and null fields need optional() and nullable()", () => {
+  const schema = object({ a: string(), b: string().optional(), c: string().nullable() });
+  assert.deepEqual(problems(schema, { c: undefined }), [
+    { field: "a", message: "is required" },
+    { field: "c", message: "is required" }
+  ]);
+  assert.deepEqual(problems(schema, { a: null, c: null }), [{ field: "a", message: "must not be null" }]);
+  assert.deepEqual(validate(schema, { a: "x", c: null }), { a: "x", c: null });
+});
+
+test("a payload that isn't an object is reported as the payload", () => {
+  assert.deepEqual(problems(object({}), ["x"]), [{ field: "payload", message: "must be an object" }]);
+  assert.deepEqual(problems(object({}), undefined), [{ field: "payload", message: "is required" }]);
+});
+
+test("string checks trimmed length, maximum and pattern", () => {
+  const schema = object({ code: string({ min: 2, max: 4, pattern: /^[a-z]+$/ }) });
+  assert.deepEqual(problems(schema, { code: " a " }), [{ field: "code", message: "must be at least 2 characters" }]);
+  assert.deepEqual(problems(schema, { code: "abcde" }), [{ field: "code", message: "must be at most 4 characters" }]);
+  assert.deepEqual(problems(schema, { code: "AB" }), [{ field: "code", message: "has an invalid format" }]);
+  assert.deepEqual(validate(schema, { code: "abc" }), { code: "abc" });
+});
+
+test("numbers and booleans are only read from strings when coercing", () => {
+  const schema = object({ page: number({ min: 1 }), all: boolean() });
+  assert.deepEqual(validate(schema, { page: "2", all: "true" }, { coerce: true }), { page: 2, all: true });
+  assert.deepEqual(problems(schema, { page: "2", all: "true" }), [
+    { field: "page", message: "must be a number" },
+    { field: "all", message: "must be true or false" }
+  ]);
+  assert.deepEqual(problems(schema, { page: " ", all: false }, { coerce: true }), [
+    { field: "page", message: "must be a number" }
+  ]);
+});
+
+test("oneOf and date", () => {
+  const schema = object({ level: oneOf(["all", "none"]), at: date() });
+  assert.deepEqual(validate(schema, { level: "all", at: 0 }), { level: "all", at: 0 });
+  assert.deepEqual(problems(schema, { level: "some", at: "yesterday" }), [
+    { field: "level", message: "must be one of: all, none" },
+    { field: "at", message: "must be a date" }
+  ]);
+});
+
+test("array length limits", () => {
+  const schema = object({ ids: array(id(), { min: 1, max: 2 }) });
+  assert.deepEqual(problems(schema, { ids: [] }), [{ field: "ids", message: "must have at least 1 entries" }]);
+  assert.deepEqual(problems(schema, { ids: "x" }), [{ field: "ids", message: "must be a list" }]);
+});
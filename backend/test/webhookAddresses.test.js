@@ -0,0 +1,54 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { assertPublicUrl, isBlockedAddress } from "../src/webhooks/addresses.js";
+
+afterEach(() => {
+  delete process.env.WEBHOOK_ALLOWED_HOSTS;
+});
+
+test("blocks loopback, private, link-local and reserved addresses", () => {
+  for (const address of [
+    "0.0.0.0",
+    "10.1.2.3",
+    "100.64.0.1",
+    "127.0.0.1",
+    "169.254.169.254",
+    "172.16.0.1",
+    "192.168.1.1",
+    "224.0.0.1",
+    "255.255.255.255",
+    "::",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "ff02::1"
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test("blocks IPv6 addresses that carry an IPv4 address", () => {
+  assert.equal(isBlockedAddress("::ffff:127.0.0.1"), true);
+  assert.equal(isBlockedAddress("64:ff9b::a9fe:a9fe"), true);
+  assert.equal(isBlockedAddress("2002:7f00:1::1"), true);
+});
+
+test("allows public addresses", () => {
+  for (const address of ["8.8.8.8", "172.32.0.1", "::ffff:8.8.8.8", "2606:4700::1111"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test("URLs must be http(s) and point to a public address", async () => {
+  await assert.rejects(assertPublicUrl("not a url"), { message: "Webhook URL is not a valid URL" });
+  await assert.rejects(assertPublicUrl("ftp://8.8.8.8/"), { message: "Webhook URL must use http or https" });
+  await assert.rejects(assertPublicUrl("http://127.0.0.1:8080/hook"), { status: 400 });
+  await assert.rejects(assertPublicUrl("http://[::1]/hook"), { status: 400 });
+  await assertPublicUrl("https://8.8.8.8/hook");
+});
+
+test("WEBHOOK_ALLOWED_HOSTS lets chosen hosts through", async () => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1, Receiver.local";
+  await assertPublicUrl("http://127.0.0.1:8080/hook");
+  await assertPublicUrl("http://receiver.local/hook");
+});
@@ -1,11 +1,41 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
+import { BrowserRouter, Navigate, Route, Routes } from 'react-router-dom'
 import './App.css'
+import AuthProvider from './auth/AuthProvider.jsx'
 import Login from './components/Login.jsx'
+import LoginSuccess from './components/LoginSuccess.jsx'
+import Signup from './components/Signup.jsx'
+import VerifyEmail from './components/VerifyEmail.jsx'
+import ForgotPassword from './components/ForgotPassword.jsx'
+import ResetPassword from './components/ResetPassword.jsx'
+import ProtectedRoute from './components/ProtectedRoute.jsx'
+import ChatLayout, { ChatHome } from './components/chat/ChatLayout.jsx'
+import { ConversationRoute, RoomRoute } from './components/chat/MessagePane.jsx'
+import Sessions from './components/chat/Sessions.jsx'
 
 function App() {
-  return <Login />
+  return (
+    <AuthProvider>
+      <BrowserRouter>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route path="/login/success" element={<LoginSuccess />} />
+          <Route path="/signup" element={<Signup />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route element={<ProtectedRoute />}>
+            <Route path="/chat" element={<ChatLayout />}>
+              <Route index element={<ChatHome />} />
+              <Route path="conversations/:conversationId" element={<ConversationRoute />} />
+              <Route path="rooms/:roomId" element={<RoomRoute />} />
+              <Route path="sessions" element={<Sessions />} />
+            </Route>
+          </Route>
+          <Route path="*" element={<Navigate to="/chat" replace />} />
+        </Routes>
+      </BrowserRouter>
+    </AuthProvider>
+  )
 }
 
 export default App
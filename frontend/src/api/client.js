@@ -0,0 +1,23 @@
+import axios from 'axios';
+import { API_URL } from '../config.js';
+import { getAccessToken } from '../auth/token.js';
+
+// REST client for the backend's /api/v1 routes. Sends the signed in user's
+// access token with every request; AuthProvider retries requests that fail
+// because it expired.
+const api = axios.create({ baseURL: `${API_URL}/api/v1` });
+
+api.interceptors.request.use((config) => {
+    const token = getAccessToken();
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+// The server's error message for a failed request
+export function errorMessage(err) {
+    return err.response?.data?.error || err.message || 'Something went wrong';
+}
+
+export default api;
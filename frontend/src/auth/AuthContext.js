@@ -0,0 +1,5 @@
+import { createContext } from 'react';
+
+// { token, user, restoring, login(token), logout(), clear(), refresh() };
+// see AuthProvider
+export const AuthContext = createContext(null);
@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import api from '../api/client.js';
+import { AuthContext } from './AuthContext.js';
+import { authRequest, refreshAccessToken } from './api.js';
+import { decodeToken, setAccessToken } from './token.js';
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Holds the signed in user's access token. The session itself is a refresh
+// token in an httpOnly cookie: on load it restores the sign-in, and before
+// the access token runs out it gets a new one.
+export default function AuthProvider({ children }) {
+    const [token, setToken] = useState(null);
+    // True until the first refresh says whether there is a session
+    const [restoring, setRestoring] = useState(true);
+    const user = useMemo(() => decodeToken(token), [token]);
+
+    const login = useCallback((newToken) => {
+        setAccessToken(newToken);
+        setToken(newToken);
+    }, []);
+
+    // Forget the sign-in locally, once the server no longer accepts it
+    const clear = useCallback(() => {
+        setAccessToken(null);
+        setToken(null);
+    }, []);
+
+    const logout = useCallback(async () => {
+        try {
+            await authRequest('/logout');
+        } catch {
+            // Signed out locally either way
+        }
+        clear();
+    }, [clear]);
+
+    // A new access token, or null when the session is gone
+    const refresh = useCallback(async () => {
+        try {
+            const newToken = await refreshAccessToken();
+            login(newToken);
+            return newToken;
+        } catch (err) {
+            if (err.status === 401) {
+                clear();
+            }
+            return null;
+        }
+    }, [login, clear]);
+
+    // Restore the sign-in from the session cookie, if there is one
+    useEffect(() => {
+        refreshAccessToken()
+            .then(login)
+            .catch(() => {})
+            .finally(() => setRestoring(false));
+    }, [login]);
+
+    useEffect(() => {
+        if (!user) return undefined;
+        const timer = setTimeout(refresh, Math.max(user.expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+        return () => clearTimeout(timer);
+    }, [user, refresh]);
+
+    // A 401 from the API means the access token expired or its session was
+    // signed out: refresh once and retry
+    useEffect(() => {
+        const interceptor = api.interceptors.response.use(undefined, async (err) => {
+            const config = err.config;
+            if (err.response?.status !== 401 || !config || config.retried) {
+                return Promise.reject(err);
+            }
+            const newToken = await refresh();
+            if (!newToken) {
+                return Promise.reject(err);
+            }
+            config.retried = true;
+            config.headers.Authorization = `Bearer ${newToken}`;
+            return api(config);
+        });
+        return () => api.interceptors.response.eject(interceptor);
+    }, [refresh]);
+
+    const value = useMemo(
+        () => ({ token, user, restoring, login, logout, clear, refresh }),
+        [token, user, restoring, login, logout, clear, refresh]
+    );
+    return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
@@ -0,0 +1,42 @@
+import { API_URL } from '../config.js';
+
+// POST to one of the server's /auth routes, sending and receiving the
+// session cookie. Resolves with the response body, or throws an Error
+// carrying the server's message, `code` and `status`.
+export async function authRequest(path, body = {}) {
+    let response;
+    try {
+        response = await fetch(`${API_URL}/auth${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(body),
+        });
+    } catch {
+        throw new Error('An error occurred. Please try again.');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || data.message || 'Something went wrong');
+        error.code = data.code;
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+let refreshing = null;
+
+// A new access token from the session cookie. Concurrent callers share one
+// request, since each refresh rotates the cookie.
+export function refreshAccessToken() {
+    if (!refreshing) {
+        refreshing = authRequest('/refresh')
+            .then((data) => data.token)
+            .finally(() => {
+                refreshing = null;
+            });
+    }
+    return refreshing;
+}
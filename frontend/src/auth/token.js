@@ -0,0 +1,30 @@
+import { jwtDecode } from 'jwt-decode';
+
+// The access token lives in memory only, so scripts reading storage can't
+// take it; after a reload AuthProvider gets a new one from the session's
+// refresh cookie
+let accessToken = null;
+
+// Tokens used to be kept in localStorage; don't leave old ones behind
+localStorage.removeItem('token');
+
+export function getAccessToken() {
+    return accessToken;
+}
+
+export function setAccessToken(token) {
+    accessToken = token;
+}
+
+// What an access token says ({ id, email, sessionId, expiresAt }), or null
+// when it is missing, malformed or expired
+export function decodeToken(token) {
+    if (!token) return null;
+    try {
+        const { id, email, sid, exp } = jwtDecode(token);
+        if (exp && exp * 1000 <= Date.now()) return null;
+        return { id, email, sessionId: sid, expiresAt: exp * 1000 };
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authRequest } from '../auth/api.js';
+import './Login.css';
+
+// Ask for a password reset link. Google-only accounts can use this to add a
+// password.
+export default function ForgotPassword() {
+    const [email, setEmail] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [sent, setSent] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            const data = await authRequest('/password/forgot', { email });
+            setSent(data.message);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="login-container">
+            <div className="login-card">
+                <div className="header">
+                    <h1 className="title">Reset password</h1>
+                    <p className="subtitle">We'll email you a link to choose a new one</p>
+                </div>
+
+                {error && <div className="error-message">{error}</div>}
+                {sent && <div className="success-message">{sent}</div>}
+
+                <form onSubmit={handleSubmit} className="form-container">
+                    <div className="input-group">
+                        <label className="label" htmlFor="forgot-email">Email</label>
+                        <input
+                            id="forgot-email"
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder="netid@illinois.edu"
+                            className="input"
+                            required
+                        />
+                    </div>
+
+                    <button type="submit" disabled={loading} className="btn-primary">
+                        {loading ? 'Sending...' : 'Send reset link'}
+                    </button>
+                </form>
+
+                <p className="signup-text">
+                    <Link to="/login" className="signup-link">Back to sign in</Link>
+                </p>
+            </div>
+        </div>
+    );
+}
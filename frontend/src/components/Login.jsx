@@ -1,4 +1,8 @@
-import {useState, useEffect} from 'react';
+import {useState} from 'react';
+import {Link, Navigate, useLocation, useNavigate, useSearchParams} from 'react-router-dom';
+import {useAuth} from '../auth/useAuth.js';
+import {authRequest} from '../auth/api.js';
+import {API_URL} from '../config.js';
 import './Login.css';
 
 
@@ -7,44 +11,53 @@ export default function LoginPage() {
     const [password, setPassword] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    //Set when the account exists but its email hasn't been verified yet
+    const [unverified, setUnverified] = useState(false);
+    const [params] = useSearchParams();
+    const {token, restoring, login} = useAuth();
+    const navigate = useNavigate();
+    const location = useLocation();
+    //Go back to the page that sent us here, if any
+    const redirectTo = location.state?.from?.pathname || '/chat';
 
-    useEffect(() => { 
-        const params = new URLSearchParams(window.location.search); //allows reading of url after ? of a URL
-        const token = params.get('token');
-        if (token) { 
-            localStorage.setItem('token', token);
-            alert('Login successful!');
-      // In real app: window.location.href = '/chat';
-        } 
-        if (params.get('error') === 'auth_failed') { 
-            setError('Authentication failed. Please try again.');
-        }
-    }, []);
+    //Google sign-in redirects back here with ?error= when it fails
+    const authError = params.get('error') ? 'Authentication failed. Please try again.' : '';
+
+    if (restoring) {
+        return null;
+    }
+    if (token) {
+        return <Navigate to={redirectTo} replace />;
+    }
     const handleLogin = async() => { 
         setLoading(true);
         setError('');
-        //Simulate login process with api call
+        setNotice('');
+        setUnverified(false);
         try { 
-            const response = await fetch('http://localhost:5000/auth/login', { 
-                method: 'POST', 
-                headers: {'Content-Type': 'application/json'},
-                body: JSON.stringify({email, password}),
-            });
-            const data = await response.json();
-            if (response.ok) { 
-                localStorage.setItem('token', data.token);
-                alert('Login successful!');
-            } else { 
-                setError(data.message || 'Login failed');
-            }
-        } catch(err) { 
-            setError('An error occurred. Please try again.');
+            const data = await authRequest('/login', {email, password});
+            login(data.token);
+            navigate(redirectTo, {replace: true});
+        } catch (err) { 
+            setError(err.message);
+            setUnverified(err.code === 'EMAIL_NOT_VERIFIED');
         } finally { 
             setLoading(false);
         }
     };
+    const handleResend = async() => {
+        setError('');
+        try {
+            const data = await authRequest('/verify/resend', {email});
+            setUnverified(false);
+            setNotice(data.message);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
     const handleGoogleLogin = () => {
-    window.location.href = 'http://localhost:5000/auth/google';
+    window.location.href = `${API_URL}/auth/google`;
   };
 
     return (
@@ -55,11 +68,19 @@ export default function LoginPage() {
                     <p className="subtitle">Sign in to continue</p>
                 </div>
 
-                {error && (
+                {(error || authError) && (
                     <div className="error-message">
-                        {error}
+                        {error || authError}
+                        {unverified && (
+                            <div>
+                                <button type="button" onClick={handleResend} className="form-link">
+                                    Resend verification email
+                                </button>
+                            </div>
+                        )}
                     </div>
                 )}
+                {notice && <div className="success-message">{notice}</div>}
 
                 <div className="form-container">
                     <div className="input-group">
@@ -82,6 +103,7 @@ export default function LoginPage() {
                             placeholder="••••••••"
                             className="input"
                         />
+                        <Link to="/forgot-password" className="form-link">Forgot password?</Link>
                     </div>
 
                     <button
@@ -111,7 +133,7 @@ export default function LoginPage() {
 
                 <p className="signup-text">
                     Don't have an account? 
-                    <a href="/signup" className="signup-link">Sign up</a>
+                    <Link to="/signup" className="signup-link">Sign up</Link>
                 </p>
             </div>
         </div>
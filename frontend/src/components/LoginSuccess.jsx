@@ -0,0 +1,33 @@
+import { useEffect, useRef, useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../auth/useAuth.js';
+import { authRequest } from '../auth/api.js';
+
+// Where Google sign-in redirects to, with a one-time code that is swapped
+// for a session
+export default function LoginSuccess() {
+    const [params] = useSearchParams();
+    const code = params.get('code');
+    const [failed, setFailed] = useState(!code);
+    const { login } = useAuth();
+    const navigate = useNavigate();
+    // Codes are single use, so only send each one once
+    const sentCode = useRef(null);
+
+    useEffect(() => {
+        if (!code || sentCode.current === code) return;
+        sentCode.current = code;
+
+        authRequest('/exchange', { code })
+            .then((data) => {
+                login(data.token);
+                navigate('/chat', { replace: true });
+            })
+            .catch(() => setFailed(true));
+    }, [code, login, navigate]);
+
+    if (failed) {
+        return <Navigate to="/login?error=auth_failed" replace />;
+    }
+    return null;
+}
@@ -0,0 +1,17 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../auth/useAuth.js';
+
+// Renders the nested routes for signed in users and sends everyone else to
+// the login page, remembering where they were headed
+export default function ProtectedRoute() {
+    const { token, restoring } = useAuth();
+    const location = useLocation();
+
+    if (restoring) {
+        return null;
+    }
+    if (!token) {
+        return <Navigate to="/login" replace state={{ from: location }} />;
+    }
+    return <Outlet />;
+}
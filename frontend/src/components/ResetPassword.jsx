@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../auth/useAuth.js';
+import { authRequest } from '../auth/api.js';
+import './Login.css';
+
+// Where the emailed reset link points. Choosing a password signs the user in.
+export default function ResetPassword() {
+    const [params] = useSearchParams();
+    const token = params.get('token');
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(token ? '' : 'This link is missing its token');
+    const { login } = useAuth();
+    const navigate = useNavigate();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (password !== confirm) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const data = await authRequest('/password/reset', { token, password });
+            login(data.token);
+            navigate('/chat', { replace: true });
+        } catch (err) {
+            setError(err.message);
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="login-container">
+            <div className="login-card">
+                <div className="header">
+                    <h1 className="title">Choose a new password</h1>
+                </div>
+
+                {error && <div className="error-message">{error}</div>}
+
+                <form onSubmit={handleSubmit} className="form-container">
+                    <div className="input-group">
+                        <label className="label" htmlFor="reset-password">New password</label>
+                        <input
+                            id="reset-password"
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            placeholder="At least 8 characters"
+                            className="input"
+                            minLength={8}
+                            required
+                        />
+                    </div>
+
+                    <div className="input-group">
+                        <label className="label" htmlFor="reset-confirm">Confirm password</label>
+                        <input
+                            id="reset-confirm"
+                            type="password"
+                            value={confirm}
+                            onChange={(e) => setConfirm(e.target.value)}
+                            className="input"
+                            required
+                        />
+                    </div>
+
+                    <button type="submit" disabled={loading || !token} className="btn-primary">
+                        {loading ? 'Saving...' : 'Set password'}
+                    </button>
+                </form>
+
+                <p className="signup-text">
+                    <Link to="/forgot-password" className="signup-link">Request a new link</Link>
+                </p>
+            </div>
+        </div>
+    );
+}
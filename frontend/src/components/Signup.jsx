@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { useAuth } from '../auth/useAuth.js';
+import { authRequest } from '../auth/api.js';
+import './Login.css';
+
+// Create an email/password account. The server emails a verification link,
+// and signing in only works once it has been followed.
+export default function Signup() {
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [sent, setSent] = useState('');
+    const { token } = useAuth();
+
+    if (token) {
+        return <Navigate to="/chat" replace />;
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (password !== confirm) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const data = await authRequest('/signup', { name, email, password });
+            setSent(data.message);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleResend = async () => {
+        setError('');
+        try {
+            const data = await authRequest('/verify/resend', { email });
+            setSent(data.message);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="login-container">
+            <div className="login-card">
+                <div className="header">
+                    <h1 className="title">Create account</h1>
+                    <p className="subtitle">Use your @illinois.edu email</p>
+                </div>
+
+                {error && <div className="error-message">{error}</div>}
+
+                {sent ? (
+                    <>
+                        <div className="success-message">{sent}</div>
+                        <button type="button" onClick={handleResend} className="btn-google">
+                            Resend verification email
+                        </button>
+                    </>
+                ) : (
+                    <form onSubmit={handleSubmit} className="form-container">
+                        <div className="input-group">
+                            <label className="label" htmlFor="signup-name">Name</label>
+                            <input
+                                id="signup-name"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                className="input"
+                                required
+                            />
+                        </div>
+
+                        <div className="input-group">
+                            <label className="label" htmlFor="signup-email">Email</label>
+                            <input
+                                id="signup-email"
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="netid@illinois.edu"
+                                className="input"
+                                required
+                            />
+                        </div>
+
+                        <div className="input-group">
+                            <label className="label" htmlFor="signup-password">Password</label>
+                            <input
+                                id="signup-password"
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                placeholder="At least 8 characters"
+                                className="input"
+                                minLength={8}
+                                required
+                            />
+                        </div>
+
+                        <div className="input-group">
+                            <label className="label" htmlFor="signup-confirm">Confirm password</label>
+                            <input
+                                id="signup-confirm"
+                                type="password"
+                                value={confirm}
+                                onChange={(e) => setConfirm(e.target.value)}
+                                className="input"
+                                required
+                            />
+                        </div>
+
+                        <button type="submit" disabled={loading} className="btn-primary">
+                            {loading ? 'Creating account...' : 'Sign Up'}
+                        </button>
+                    </form>
+                )}
+
+                <p className="signup-text">
+                    Already have an account?
+                    <Link to="/login" className="signup-link">Sign in</Link>
+                </p>
+            </div>
+        </div>
+    );
+}
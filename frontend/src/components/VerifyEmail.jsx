@@ -0,0 +1,45 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../auth/useAuth.js';
+import { authRequest } from '../auth/api.js';
+import './Login.css';
+
+// Where the emailed verification link points. Verifying signs the user in.
+export default function VerifyEmail() {
+    const [params] = useSearchParams();
+    const token = params.get('token');
+    const [error, setError] = useState(token ? '' : 'This link is missing its token');
+    const { login } = useAuth();
+    const navigate = useNavigate();
+    // Tokens are single use, so only send each one once
+    const sentToken = useRef(null);
+
+    useEffect(() => {
+        if (!token || sentToken.current === token) return;
+        sentToken.current = token;
+
+        authRequest('/verify', { token })
+            .then((data) => {
+                login(data.token);
+                navigate('/chat', { replace: true });
+            })
+            .catch((err) => setError(err.message));
+    }, [token, login, navigate]);
+
+    return (
+        <div className="login-container">
+            <div className="login-card">
+                <div className="header">
+                    <h1 className="title">Verify email</h1>
+                    <p className="subtitle">{error ? 'Verification failed' : 'Verifying your email...'}</p>
+                </div>
+
+                {error && <div className="error-message">{error}</div>}
+
+                <p className="signup-text">
+                    <Link to="/login" className="signup-link">Back to sign in</Link>
+                </p>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,34 @@
+import { Outlet } from 'react-router-dom';
+import SocketProvider from '../../socket/SocketProvider.jsx';
+import { useSocket } from '../../socket/useSocket.js';
+import Sidebar from './Sidebar.jsx';
+import './Chat.css';
+
+function ChatShell() {
+    const { connected } = useSocket();
+
+    return (
+        <div className="chat-layout">
+            <Sidebar />
+            <main className="chat-main">
+                {!connected && <div className="connection-banner">Connecting…</div>}
+                <Outlet />
+            </main>
+        </div>
+    );
+}
+
+// The signed in app: one socket connection shared by the sidebar and the
+// open chat, which comes from the nested route
+export default function ChatLayout() {
+    return (
+        <SocketProvider>
+            <ChatShell />
+        </SocketProvider>
+    );
+}
+
+// /chat with nothing open yet
+export function ChatHome() {
+    return <div className="message-pane message-pane-empty">Pick a conversation or room to start chatting</div>;
+}
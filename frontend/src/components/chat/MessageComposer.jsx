@@ -0,0 +1,84 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Stop showing "typing" this long after the last keystroke
+const TYPING_TIMEOUT_MS = 3000;
+
+// Text box for new messages. Reports typing while the user types and sends
+// on Enter (Shift+Enter for a new line).
+export default function MessageComposer({ onSend, onTyping, disabled }) {
+    const [content, setContent] = useState('');
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState('');
+    const typing = useRef(false);
+    const typingTimer = useRef(null);
+
+    const stopTyping = () => {
+        clearTimeout(typingTimer.current);
+        if (typing.current) {
+            typing.current = false;
+            onTyping(false);
+        }
+    };
+
+    // Don't leave the others seeing "typing" when the chat is closed
+    const stopTypingRef = useRef(stopTyping);
+    useEffect(() => {
+        stopTypingRef.current = stopTyping;
+    });
+    useEffect(() => () => stopTypingRef.current(), []);
+
+    const onChange = (e) => {
+        setContent(e.target.value);
+        if (!typing.current) {
+            typing.current = true;
+            onTyping(true);
+        }
+        clearTimeout(typingTimer.current);
+        typingTimer.current = setTimeout(stopTyping, TYPING_TIMEOUT_MS);
+    };
+
+    const send = async () => {
+        const text = content.trim();
+        if (!text || sending) return;
+
+        stopTyping();
+        setSending(true);
+        setError('');
+        try {
+            await onSend(text);
+            setContent('');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const onKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            send();
+        }
+    };
+
+    return (
+        <div className="composer">
+            {error && <div className="composer-error">{error}</div>}
+            <div className="composer-row">
+                <textarea
+                    className="composer-input"
+                    rows={1}
+                    value={content}
+                    onChange={onChange}
+                    onKeyDown={onKeyDown}
+                    placeholder="Write a message"
+                    disabled={disabled}
+                    maxLength={5000}
+                />
+                <button className="composer-send" onClick={send} disabled={disabled || sending || !content.trim()}>
+                    Send
+                </button>
+            </div>
+        </div>
+    );
+}
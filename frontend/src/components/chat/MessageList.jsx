@@ -0,0 +1,67 @@
+import { useEffect, useRef } from 'react';
+import { formatTime, idOf } from './format.js';
+
+// Whether a message mentions the user, by name or with @room / @here
+function mentions(message, userId) {
+    const { users = [], room, here } = message.mentions || {};
+    return Boolean(room || here) || users.includes(userId);
+}
+
+// A chat's messages, oldest first. Keeps the view pinned to the newest
+// message as new ones arrive, unless the user scrolled up to read.
+export default function MessageList({ messages, userId, hasMore, loadingOlder, onLoadOlder }) {
+    const listRef = useRef(null);
+    const stickToBottom = useRef(true);
+
+    const onScroll = () => {
+        const list = listRef.current;
+        stickToBottom.current = list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+    };
+
+    const newestId = messages.length > 0 ? messages[messages.length - 1]._id : null;
+    useEffect(() => {
+        const list = listRef.current;
+        if (list && stickToBottom.current) {
+            list.scrollTop = list.scrollHeight;
+        }
+    }, [newestId]);
+
+    return (
+        <div className="message-list" ref={listRef} onScroll={onScroll}>
+            {hasMore && (
+                <button className="load-older" onClick={onLoadOlder} disabled={loadingOlder}>
+                    {loadingOlder ? 'Loading…' : 'Load older messages'}
+                </button>
+            )}
+            {messages.map((message) => {
+                const own = idOf(message.sender) === userId;
+                const classes = ['message'];
+                if (own) classes.push('message-own');
+                if (message.messageType === 'system' || message.ephemeral) classes.push('message-system');
+                if (message.isDeleted) classes.push('message-deleted');
+                if (!own && mentions(message, userId)) classes.push('message-mentioned');
+
+                return (
+                    <div key={message._id} className={classes.join(' ')}>
+                        {!own && !message.ephemeral && (
+                            <div className="message-sender">{message.sender?.name || message.sender?.netId}</div>
+                        )}
+                        <div className="message-body">
+                            {message.content}
+                            {message.attachments?.map((attachment) => (
+                                <a key={attachment.fileUrl} className="message-attachment" href={attachment.fileUrl}>
+                                    {attachment.fileName}
+                                </a>
+                            ))}
+                        </div>
+                        <div className="message-meta">
+                            {formatTime(message.createdAt)}
+                            {message.isEdited && !message.isDeleted && ' · edited'}
+                            {message.pending && ' · sending'}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,218 @@
+import { useEffect, useRef, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useAuth } from '../../auth/useAuth.js';
+import { useSocket } from '../../socket/useSocket.js';
+import { request } from '../../socket/request.js';
+import MessageList from './MessageList.jsx';
+import MessageComposer from './MessageComposer.jsx';
+import TypingIndicator from './TypingIndicator.jsx';
+import PresenceDot from './PresenceDot.jsx';
+import NotificationSettings from './NotificationSettings.jsx';
+import { conversationName, idOf, otherParticipant } from './format.js';
+
+// Forget someone is typing if no "typing:stop" arrives within this time
+const TYPING_EXPIRY_MS = 6000;
+
+// The payload field, events and message field each kind of chat uses
+const TARGETS = {
+    conversation: {
+        field: 'conversationId',
+        open: 'conversation:open',
+        send: 'message:send:conversation',
+        messageField: 'conversation',
+    },
+    room: {
+        field: 'roomId',
+        open: 'room:join',
+        send: 'message:send:room',
+        messageField: 'room',
+    },
+};
+
+// Add a message, or replace the copy we already have
+function upsertMessage(messages, message) {
+    const index = messages.findIndex((m) => m._id === message._id);
+    if (index === -1) {
+        return [...messages, message];
+    }
+    const next = [...messages];
+    next[index] = { ...next[index], ...message };
+    return next;
+}
+
+// A direct conversation's participants with someone's new presence applied
+function withPresence(chat, presence) {
+    if (!chat?.participants) return chat;
+    return {
+        ...chat,
+        participants: chat.participants.map((p) => (idOf(p) === presence.userId ? { ...p, status: presence.status } : p)),
+    };
+}
+
+// One open conversation or room: its messages, live updates, typing
+// indicator and the composer. Render with a key per chat so switching chats
+// starts from a clean state.
+export default function MessagePane({ type, id }) {
+    const target = TARGETS[type];
+    const { socket, connected } = useSocket();
+    const { user } = useAuth();
+    const [chat, setChat] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const [error, setError] = useState('');
+    const [typingUsers, setTypingUsers] = useState({});
+    const typingTimers = useRef({});
+
+    // Open the chat on every (re)connect, which (re)joins its channel and
+    // loads the newest messages
+    useEffect(() => {
+        if (!connected) return undefined;
+
+        let cancelled = false;
+        request(socket, target.open, { [target.field]: id })
+            .then((result) => {
+                if (cancelled) return;
+                setChat(result.conversation || result.room);
+                setMessages([...result.messages].reverse());
+                setHasMore(result.hasMore);
+                setError('');
+                socket.emit('conversation:read', { [target.field]: id });
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [socket, connected, target, id]);
+
+    // Live updates for this chat
+    useEffect(() => {
+        if (!socket) return undefined;
+        const timers = typingTimers.current;
+
+        const clearTyping = (userId) => {
+            clearTimeout(timers[userId]);
+            delete timers[userId];
+            setTypingUsers((current) => {
+                if (!(userId in current)) return current;
+                const next = { ...current };
+                delete next[userId];
+                return next;
+            });
+        };
+
+        const onMessage = ({ message }) => {
+            if (message[target.messageField] !== id) return;
+            setMessages((current) => upsertMessage(current, message));
+            const senderId = idOf(message.sender);
+            clearTyping(senderId);
+            if (senderId !== user.id) {
+                socket.emit('conversation:read', { [target.field]: id });
+            }
+        };
+        const onChanged = ({ message }) => {
+            if (message[target.messageField] !== id) return;
+            setMessages((current) => upsertMessage(current, message));
+        };
+        const onTypingStart = ({ userId, userName, ...where }) => {
+            if (where[target.field] !== id || userId === user.id) return;
+            setTypingUsers((current) => ({ ...current, [userId]: userName }));
+            clearTimeout(timers[userId]);
+            timers[userId] = setTimeout(() => clearTyping(userId), TYPING_EXPIRY_MS);
+        };
+        const onTypingStop = ({ userId, ...where }) => {
+            if (where[target.field] === id) clearTyping(userId);
+        };
+        const onPresence = (presence) => setChat((current) => withPresence(current, presence));
+
+        const handlers = {
+            'message:new': onMessage,
+            'message:updated': onChanged,
+            'message:deleted': onChanged,
+            'typing:start': onTypingStart,
+            'typing:stop': onTypingStop,
+            'presence:update': onPresence,
+        };
+        Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler));
+        return () => {
+            Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler));
+            Object.values(timers).forEach(clearTimeout);
+        };
+    }, [socket, target, id, user.id]);
+
+    const send = async (content) => {
+        const clientMessageId = crypto.randomUUID();
+        const result = await request(socket, target.send, { [target.field]: id, content, clientMessageId });
+        if (result.message) {
+            setMessages((current) => upsertMessage(current, result.message));
+        } else if (typeof result.reply === 'string') {
+            // Slash commands answer only the person who ran them
+            setMessages((current) => [...current, {
+                _id: `reply-${clientMessageId}`,
+                ephemeral: true,
+                content: result.reply,
+                createdAt: new Date().toISOString(),
+            }]);
+        }
+    };
+
+    const onTyping = (isTyping) => {
+        socket.emit(isTyping ? 'typing:start' : 'typing:stop', { [target.field]: id });
+    };
+
+    const loadOlder = async () => {
+        const oldest = messages.find((m) => !m.ephemeral);
+        if (!oldest) return;
+
+        setLoadingOlder(true);
+        try {
+            const result = await request(socket, 'messages:history', { [target.field]: id, before: oldest._id });
+            setMessages((current) => [...[...result.messages].reverse(), ...current]);
+            setHasMore(result.hasMore);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoadingOlder(false);
+        }
+    };
+
+    if (!chat) {
+        return <div className="message-pane message-pane-empty">{error || 'Loading…'}</div>;
+    }
+
+    const partner = type === 'conversation' ? otherParticipant(chat, user.id) : null;
+    return (
+        <section className="message-pane">
+            <header className="message-pane-header">
+                {partner && <PresenceDot status={partner.status} />}
+                <h2>{type === 'room' ? `# ${chat.name}` : conversationName(chat, user.id)}</h2>
+                {type === 'room' && chat.description && <p className="message-pane-subtitle">{chat.description}</p>}
+                <NotificationSettings field={target.field} id={id} />
+            </header>
+            {error && <div className="message-pane-error">{error}</div>}
+            <MessageList
+                messages={messages}
+                userId={user.id}
+                hasMore={hasMore}
+                loadingOlder={loadingOlder}
+                onLoadOlder={loadOlder}
+            />
+            <TypingIndicator names={Object.values(typingUsers)} />
+            <MessageComposer onSend={send} onTyping={onTyping} disabled={!connected} />
+        </section>
+    );
+}
+
+// /chat/conversations/:conversationId
+export function ConversationRoute() {
+    const { conversationId } = useParams();
+    return <MessagePane key={`conversation:${conversationId}`} type="conversation" id={conversationId} />;
+}
+
+// /chat/rooms/:roomId
+export function RoomRoute() {
+    const { roomId } = useParams();
+    return <MessagePane key={`room:${roomId}`} type="room" id={roomId} />;
+}
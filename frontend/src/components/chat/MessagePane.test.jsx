@@ -0,0 +1,122 @@
+import { act, fireEvent, screen, waitFor } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createMockSocket } from '../../test/mockSocket.js';
+import { ME, renderChat } from '../../test/renderChat.jsx';
+import { ConversationRoute } from './MessagePane.jsx';
+
+const alice = { _id: 'alice', name: 'Alice', status: 'offline' };
+
+function message(id, content, sender = alice) {
+    return { _id: id, conversation: 'c1', sender, content, createdAt: '2026-01-01T12:00:00.000Z' };
+}
+
+function bodies(container) {
+    return [...container.querySelectorAll('.message-body')].map((el) => el.textContent);
+}
+
+function renderPane(socket) {
+    return renderChat(<ConversationRoute />, {
+        socket,
+        path: '/chat/conversations/c1',
+        route: '/chat/conversations/:conversationId',
+    });
+}
+
+describe('MessagePane', () => {
+    let socket;
+
+    beforeEach(() => {
+        socket = createMockSocket()
+            .respond('conversation:open', () => ({
+                conversation: { _id: 'c1', participants: [{ _id: ME.id, name: 'Me' }, alice] },
+                // The server sends history newest first
+                messages: [message('m3', 'third'), message('m2', 'second')],
+                hasMore: true,
+            }))
+            .respond('messages:history', () => ({ messages: [message('m1', 'first')], hasMore: false }))
+            .respond('notification:settings', () => ({ setting: { conversationId: 'c1', level: 'all', mutedUntil: null } }));
+    });
+
+    it('opens the chat and shows its history oldest first', async () => {
+        const { container } = renderPane(socket);
+
+        expect(await screen.findByText('second')).toBeInTheDocument();
+        expect(bodies(container)).toEqual(['second', 'third']);
+        expect(screen.getByRole('heading', { name: 'Alice' })).toBeInTheDocument();
+        expect(socket.requestsFor('conversation:open')).toEqual([{ conversationId: 'c1' }]);
+        expect(socket.emitted).toContainEqual({ event: 'conversation:read', payload: { conversationId: 'c1' } });
+    });
+
+    it('adds new messages and replaces ones it already has', async () => {
+        const { container } = renderPane(socket);
+        await screen.findByText('third');
+
+        act(() => socket.serverEmit('message:new', { message: message('m4', 'fourth') }));
+        expect(bodies(container)).toEqual(['second', 'third', 'fourth']);
+
+        act(() => socket.serverEmit('message:new', { message: { ...message('m4', 'fourth, edited'), isEdited: true } }));
+        expect(bodies(container)).toEqual(['second', 'third', 'fourth, edited']);
+
+        act(() => socket.serverEmit('message:new', { message: { ...message('x1', 'elsewhere'), conversation: 'c2' } }));
+        expect(bodies(container)).toEqual(['second', 'third', 'fourth, edited']);
+    });
+
+    it('loads older messages before the oldest one', async () => {
+        const { container } = renderPane(socket);
+        fireEvent.click(await screen.findByRole('button', { name: 'Load older messages' }));
+
+        await waitFor(() => expect(bodies(container)).toEqual(['first', 'second', 'third']));
+        expect(socket.requestsFor('messages:history')).toEqual([{ conversationId: 'c1', before: 'm2' }]);
+        expect(screen.queryByRole('button', { name: 'Load older messages' })).not.toBeInTheDocument();
+    });
+
+    describe('typing and presence', () => {
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('shows who is typing until they stop', async () => {
+            renderPane(socket);
+            await screen.findByText('third');
+
+            act(() => socket.serverEmit('typing:start', { conversationId: 'c1', userId: 'alice', userName: 'Alice' }));
+            expect(screen.getByText('Alice is typing…')).toBeInTheDocument();
+
+            act(() => socket.serverEmit('typing:stop', { conversationId: 'c1', userId: 'alice' }));
+            expect(screen.queryByText('Alice is typing…')).not.toBeInTheDocument();
+        });
+
+        it('ignores typing elsewhere and forgets typing that never stops', async () => {
+            renderPane(socket);
+            await screen.findByText('third');
+            vi.useFakeTimers();
+
+            act(() => socket.serverEmit('typing:start', { conversationId: 'c2', userId: 'bob', userName: 'Bob' }));
+            expect(screen.queryByText('Bob is typing…')).not.toBeInTheDocument();
+
+            act(() => socket.serverEmit('typing:start', { conversationId: 'c1', userId: 'alice', userName: 'Alice' }));
+            expect(screen.getByText('Alice is typing…')).toBeInTheDocument();
+            act(() => vi.advanceTimersByTime(6000));
+            expect(screen.queryByText('Alice is typing…')).not.toBeInTheDocument();
+        });
+
+        it("stops showing someone as typing once their message arrives", async () => {
+            renderPane(socket);
+            await screen.findByText('third');
+
+            act(() => socket.serverEmit('typing:start', { conversationId: 'c1', userId: 'alice', userName: 'Alice' }));
+            act(() => socket.serverEmit('message:new', { message: message('m4', 'done typing') }));
+            expect(screen.queryByText('Alice is typing…')).not.toBeInTheDocument();
+        });
+
+        it("updates the partner's presence in the header", async () => {
+            const { container } = renderPane(socket);
+            await screen.findByText('third');
+            const dot = container.querySelector('.message-pane-header .presence-dot');
+            expect(dot).toHaveClass('presence-offline');
+
+            act(() => socket.serverEmit('presence:update', { userId: 'alice', status: 'online' }));
+            expect(container.querySelector('.message-pane-header .presence-dot')).toHaveAttribute('title', 'Online');
+        });
+    });
+});
@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSocket } from '../../socket/useSocket.js';
+import { request } from '../../socket/request.js';
+import { formatTime } from './format.js';
+
+// What a notification says happened, e.g. "Ada mentioned you"
+function describe(notification) {
+    const who = notification.actor?.name || notification.actor?.netId || 'Someone';
+    switch (notification.type) {
+        case 'mention':
+            if (notification.mentionKind === 'room') return `${who} mentioned @room`;
+            if (notification.mentionKind === 'here') return `${who} mentioned @here`;
+            return `${who} mentioned you`;
+        case 'reply':
+            return `${who} replied to you`;
+        case 'invite':
+            return `${who} added you to a conversation`;
+        default:
+            return notification.count > 1 ? `${notification.count} messages from ${who}` : `Message from ${who}`;
+    }
+}
+
+// Whether a "notification:read" event covers this notification
+function covers(scope, notification) {
+    if (scope.all) return true;
+    if (scope.notificationIds) return scope.notificationIds.includes(notification.id);
+    if (scope.conversationId) return notification.conversationId === scope.conversationId;
+    if (scope.roomId) return notification.roomId === scope.roomId;
+    return false;
+}
+
+// Unread count in the sidebar header, opening a list of recent
+// notifications and the email digest setting. Picking a notification opens
+// its chat and marks it read.
+export default function NotificationBell() {
+    const { socket, connected } = useSocket();
+    const navigate = useNavigate();
+    const [notifications, setNotifications] = useState([]);
+    const [unread, setUnread] = useState(0);
+    const [open, setOpen] = useState(false);
+    const [digestFrequency, setDigestFrequency] = useState(null);
+
+    useEffect(() => {
+        if (!connected) return undefined;
+
+        let cancelled = false;
+        Promise.all([request(socket, 'notification:list'), request(socket, 'notification:digest')])
+            .then(([list, { digest }]) => {
+                if (cancelled) return;
+                setNotifications(list.notifications);
+                setUnread(list.unread);
+                setDigestFrequency(digest.frequency);
+            })
+            .catch(() => {});
+        return () => {
+            cancelled = true;
+        };
+    }, [socket, connected]);
+
+    useEffect(() => {
+        if (!socket) return undefined;
+
+        // Offline DMs update one notification per conversation in place
+        const onNew = ({ notification, unread: count }) => {
+            setNotifications((current) => [notification, ...current.filter((n) => n.id !== notification.id)]);
+            setUnread(count);
+        };
+        const onRead = ({ unread: count, ...scope }) => {
+            setNotifications((current) => current.map((n) => (covers(scope, n) ? { ...n, read: true } : n)));
+            setUnread(count);
+        };
+        const onDigest = ({ digest }) => setDigestFrequency(digest.frequency);
+
+        socket.on('notification:new', onNew);
+        socket.on('notification:read', onRead);
+        socket.on('notification:digest:updated', onDigest);
+        return () => {
+            socket.off('notification:new', onNew);
+            socket.off('notification:read', onRead);
+            socket.off('notification:digest:updated', onDigest);
+        };
+    }, [socket]);
+
+    const markRead = (payload) => request(socket, 'notification:read', payload).catch(() => {});
+
+    const changeDigest = (frequency) => {
+        request(socket, 'notification:digest:update', { frequency })
+            .then(({ digest }) => setDigestFrequency(digest.frequency))
+            .catch(() => {});
+    };
+
+    const select = (notification) => {
+        setOpen(false);
+        if (!notification.read) markRead({ notificationIds: [notification.id] });
+        if (notification.roomId) navigate(`/chat/rooms/${notification.roomId}`);
+        else if (notification.conversationId) navigate(`/chat/conversations/${notification.conversationId}`);
+    };
+
+    return (
+        <div className="notification-bell">
+            <button className="sidebar-logout" onClick={() => setOpen((value) => !value)} aria-label="Notifications">
+                🔔
+                {unread > 0 && <span className="unread-badge">{unread}</span>}
+            </button>
+            {open && (
+                <div className="notification-panel">
+                    <div className="notification-panel-header">
+                        <span>Notifications</span>
+                        <button onClick={() => markRead({ all: true })} disabled={unread === 0}>Mark all read</button>
+                    </div>
+                    <ul className="notification-list">
+                        {notifications.map((notification) => (
+                            <li key={notification.id}>
+                                <button
+                                    className={notification.read ? 'notification-item' : 'notification-item notification-unread'}
+                                    onClick={() => select(notification)}
+                                >
+                                    <span className="notification-title">{describe(notification)}</span>
+                                    {notification.preview && <span className="notification-preview">{notification.preview}</span>}
+                                    <span className="notification-time">{formatTime(notification.updatedAt)}</span>
+                                </button>
+                            </li>
+                        ))}
+                        {notifications.length === 0 && <li className="sidebar-empty">Nothing yet</li>}
+                    </ul>
+                    {digestFrequency && (
+                        <label className="notification-digest">
+                            Email me what I miss while offline
+                            <select value={digestFrequency} onChange={(e) => changeDigest(e.target.value)}>
+                                <option value="hourly">Hourly</option>
+                                <option value="daily">Daily</option>
+                                <option value="weekly">Weekly</option>
+                                <option value="off">Never</option>
+                            </select>
+                        </label>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,77 @@
+import { useEffect, useState } from 'react';
+import { useSocket } from '../../socket/useSocket.js';
+import { request } from '../../socket/request.js';
+
+const MUTE_OPTIONS = [
+    { label: 'Mute for 1 hour', minutes: 60 },
+    { label: 'Mute for 8 hours', minutes: 8 * 60 },
+    { label: 'Mute for a week', minutes: 7 * 24 * 60 },
+];
+
+// Notification level and mute for the open conversation or room. `field` is
+// the request field naming it (conversationId or roomId).
+export default function NotificationSettings({ field, id }) {
+    const { socket, connected } = useSocket();
+    const [setting, setSetting] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!connected) return undefined;
+
+        let cancelled = false;
+        request(socket, 'notification:settings', { [field]: id })
+            .then((result) => {
+                if (!cancelled) setSetting(result.setting);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [socket, connected, field, id]);
+
+    // Changes made on another device
+    useEffect(() => {
+        if (!socket) return undefined;
+        const onUpdated = ({ setting: updated }) => {
+            if (updated[field] === id) setSetting(updated);
+        };
+        socket.on('notification:settings:updated', onUpdated);
+        return () => socket.off('notification:settings:updated', onUpdated);
+    }, [socket, field, id]);
+
+    const update = async (changes) => {
+        setError('');
+        try {
+            const result = await request(socket, 'notification:settings:update', { [field]: id, ...changes });
+            setSetting(result.setting);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!setting) return null;
+
+    return (
+        <div className="notification-settings" title={error || undefined}>
+            <select value={setting.level} onChange={(e) => update({ level: e.target.value })}>
+                <option value="all">All messages</option>
+                <option value="mentions">Mentions only</option>
+                <option value="none">Nothing</option>
+            </select>
+            {setting.mutedUntil ? (
+                <button onClick={() => update({ muteMinutes: null })}>
+                    Muted until {new Date(setting.mutedUntil).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                </button>
+            ) : (
+                <select value="" onChange={(e) => e.target.value && update({ muteMinutes: Number(e.target.value) })}>
+                    <option value="">Mute…</option>
+                    {MUTE_OPTIONS.map((option) => (
+                        <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                    ))}
+                </select>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,6 @@
+const LABELS = { online: 'Online', away: 'Away', dnd: 'Do not disturb', offline: 'Offline' };
+
+// Coloured dot for a user's presence status
+export default function PresenceDot({ status = 'offline' }) {
+    return <span className={`presence-dot presence-${status}`} title={LABELS[status] || status} />;
+}
@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react';
+import api, { errorMessage } from '../../api/client.js';
+import { useAuth } from '../../auth/useAuth.js';
+
+// The devices the user is signed in on, with sign-out for each one and for
+// all of them at once
+export default function Sessions() {
+    const { clear } = useAuth();
+    const [sessions, setSessions] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        api.get('/sessions')
+            .then(({ data }) => setSessions(data.sessions))
+            .catch((err) => setError(errorMessage(err)));
+    }, []);
+
+    const revoke = async (session) => {
+        setError('');
+        try {
+            await api.delete(`/sessions/${session.id}`);
+            if (session.current) {
+                clear();
+                return;
+            }
+            setSessions((current) => current.filter((s) => s.id !== session.id));
+        } catch (err) {
+            setError(errorMessage(err));
+        }
+    };
+
+    const revokeAll = async () => {
+        setError('');
+        try {
+            await api.delete('/sessions');
+            clear();
+        } catch (err) {
+            setError(errorMessage(err));
+        }
+    };
+
+    return (
+        <div className="message-pane">
+            <div className="message-pane-header">
+                <h2>Signed in devices</h2>
+            </div>
+            {error && <div className="message-pane-error">{error}</div>}
+
+            <ul className="session-list">
+                {sessions?.map((session) => (
+                    <li key={session.id} className="session-item">
+                        <div className="session-info">
+                            <span className="session-agent">{session.userAgent || 'Unknown device'}</span>
+                            <span className="session-meta">
+                                {session.current ? 'This device' : `Last active ${new Date(session.lastUsedAt).toLocaleString()}`}
+                                {session.ip && ` · ${session.ip}`}
+                            </span>
+                        </div>
+                        <button className="session-revoke" onClick={() => revoke(session)}>Sign out</button>
+                    </li>
+                ))}
+            </ul>
+
+            <div className="session-actions">
+                <button className="session-revoke-all" onClick={revokeAll}>Sign out everywhere</button>
+            </div>
+        </div>
+    );
+}
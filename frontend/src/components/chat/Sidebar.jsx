@@ -0,0 +1,192 @@
+import { useEffect, useRef, useState } from 'react';
+import { NavLink, useParams } from 'react-router-dom';
+import { useAuth } from '../../auth/useAuth.js';
+import { useSocket } from '../../socket/useSocket.js';
+import { request } from '../../socket/request.js';
+import NotificationBell from './NotificationBell.jsx';
+import PresenceDot from './PresenceDot.jsx';
+import { conversationName, idOf, messagePreview, otherParticipant } from './format.js';
+
+// Most targets one "sync" request may list
+const SYNC_BATCH = 100;
+
+// Join the channels of every conversation and room, so new messages anywhere
+// reach the sidebar and not just the open chat
+async function subscribe(socket, conversations, rooms) {
+    const since = new Date().toISOString();
+    const targets = [
+        ...conversations.map((c) => ({ conversationId: c._id, since })),
+        ...rooms.map((r) => ({ roomId: r._id, since })),
+    ];
+    for (let i = 0; i < targets.length; i += SYNC_BATCH) {
+        await request(socket, 'sync', { targets: targets.slice(i, i + SYNC_BATCH) });
+    }
+}
+
+// Move the entry with this id to the top (below pinned conversations) after
+// applying `update` to it
+function bump(list, id, update) {
+    const entry = list.find((item) => item._id === id);
+    if (!entry) return list;
+
+    const updated = update(entry);
+    const rest = list.filter((item) => item._id !== id);
+    const at = updated.pinned ? 0 : rest.findIndex((item) => !item.pinned);
+    return at === -1 ? [...rest, updated] : [...rest.slice(0, at), updated, ...rest.slice(at)];
+}
+
+// The user's conversations and rooms, with unread counts, last messages and
+// the presence of direct message partners, kept current from socket events
+export default function Sidebar() {
+    const { socket, connected } = useSocket();
+    const { user, logout } = useAuth();
+    const { conversationId: activeConversationId, roomId: activeRoomId } = useParams();
+    const [conversations, setConversations] = useState([]);
+    const [rooms, setRooms] = useState([]);
+    const [error, setError] = useState('');
+    const [reloads, setReloads] = useState(0);
+
+    // The socket handlers need these without re-subscribing
+    const activeRoom = useRef(activeRoomId);
+    const knownConversations = useRef(new Set());
+    useEffect(() => {
+        activeRoom.current = activeRoomId;
+        knownConversations.current = new Set(conversations.map((c) => c._id));
+    }, [activeRoomId, conversations]);
+
+    // Load both lists on every (re)connect
+    useEffect(() => {
+        if (!connected) return undefined;
+
+        let cancelled = false;
+        Promise.all([request(socket, 'conversation:list'), request(socket, 'room:list')])
+            .then(([conversationList, roomList]) => {
+                if (cancelled) return undefined;
+                setConversations(conversationList.conversations);
+                setRooms(roomList.rooms);
+                setError('');
+                return subscribe(socket, conversationList.conversations, roomList.rooms);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [socket, connected, reloads]);
+
+    useEffect(() => {
+        if (!socket) return undefined;
+        const reload = () => setReloads((n) => n + 1);
+
+        const onMessage = ({ message }) => {
+            if (message.conversation) {
+                setConversations((current) => bump(current, message.conversation, (c) => ({
+                    ...c,
+                    lastMessage: message,
+                    lastMessageAt: message.createdAt,
+                })));
+            } else if (message.room) {
+                const counts = idOf(message.sender) !== user.id && message.room !== activeRoom.current;
+                setRooms((current) => bump(current, message.room, (r) => ({
+                    ...r,
+                    lastActivity: message.createdAt,
+                    unread: (r.unread || 0) + (counts ? 1 : 0),
+                })));
+            }
+        };
+        const onUnread = ({ conversationId, roomId, unread }) => {
+            // Someone started a conversation with us
+            if (conversationId && !knownConversations.current.has(conversationId)) {
+                reload();
+            } else if (conversationId) {
+                setConversations((current) => current.map((c) => (c._id === conversationId ? { ...c, unread } : c)));
+            } else if (roomId) {
+                setRooms((current) => current.map((r) => (r._id === roomId ? { ...r, unread } : r)));
+            }
+        };
+        const onPresence = ({ userId, status }) => {
+            setConversations((current) => current.map((c) => ({
+                ...c,
+                participants: c.participants.map((p) => (idOf(p) === userId ? { ...p, status } : p)),
+            })));
+        };
+        const onConversationRemoved = ({ conversationId }) => {
+            setConversations((current) => current.filter((c) => c._id !== conversationId));
+        };
+        const onRoomRemoved = ({ roomId }) => {
+            setRooms((current) => current.filter((r) => r._id !== roomId));
+        };
+        // Joining a room (here or on another device) or being added to a
+        // conversation changes the lists
+        const onMemberJoined = ({ member }) => {
+            if (idOf(member.user) === user.id) reload();
+        };
+
+        const handlers = {
+            'message:new': onMessage,
+            'unread:update': onUnread,
+            'presence:update': onPresence,
+            'conversation:updated': reload,
+            'conversation:removed': onConversationRemoved,
+            'room:removed': onRoomRemoved,
+            'member:joined': onMemberJoined,
+        };
+        Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler));
+        return () => {
+            Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler));
+        };
+    }, [socket, user.id]);
+
+    return (
+        <aside className="sidebar">
+            <div className="sidebar-header">
+                <span className="sidebar-user">{user.email}</span>
+                <NotificationBell />
+                <NavLink className="sidebar-logout" to="/chat/sessions">Devices</NavLink>
+                <button className="sidebar-logout" onClick={logout}>Sign out</button>
+            </div>
+            {error && <div className="sidebar-error">{error}</div>}
+
+            <h3 className="sidebar-heading">Direct messages</h3>
+            <ul className="sidebar-list">
+                {conversations.map((conversation) => {
+                    const partner = otherParticipant(conversation, user.id);
+                    const unread = conversation._id === activeConversationId ? 0 : conversation.unread;
+                    return (
+                        <li key={conversation._id}>
+                            <NavLink className="sidebar-item" to={`/chat/conversations/${conversation._id}`}>
+                                {partner ? <PresenceDot status={partner.status} /> : <span className="sidebar-group-icon">👥</span>}
+                                <span className="sidebar-item-text">
+                                    <span className="sidebar-item-name">{conversationName(conversation, user.id)}</span>
+                                    <span className="sidebar-item-preview">{messagePreview(conversation.lastMessage)}</span>
+                                </span>
+                                {unread > 0 && <span className="unread-badge">{unread}</span>}
+                            </NavLink>
+                        </li>
+                    );
+                })}
+                {conversations.length === 0 && <li className="sidebar-empty">No conversations yet</li>}
+            </ul>
+
+            <h3 className="sidebar-heading">Rooms</h3>
+            <ul className="sidebar-list">
+                {rooms.map((room) => {
+                    const unread = room._id === activeRoomId ? 0 : room.unread;
+                    return (
+                        <li key={room._id}>
+                            <NavLink className="sidebar-item" to={`/chat/rooms/${room._id}`}>
+                                <span className="sidebar-room-icon">#</span>
+                                <span className="sidebar-item-text">
+                                    <span className="sidebar-item-name">{room.name}</span>
+                                </span>
+                                {unread > 0 && <span className="unread-badge">{unread}</span>}
+                            </NavLink>
+                        </li>
+                    );
+                })}
+                {rooms.length === 0 && <li className="sidebar-empty">No rooms yet</li>}
+            </ul>
+        </aside>
+    );
+}
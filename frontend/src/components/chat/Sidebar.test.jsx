@@ -0,0 +1,93 @@
+import { act, screen, waitFor } from '@testing-library/react';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createMockSocket } from '../../test/mockSocket.js';
+import { ME, renderChat } from '../../test/renderChat.jsx';
+import Sidebar from './Sidebar.jsx';
+
+const alice = { _id: 'alice', name: 'Alice', status: 'offline' };
+const bob = { _id: 'bob', name: 'Bob', status: 'online' };
+
+function conversation(id, partner, fields = {}) {
+    return { _id: id, participants: [{ _id: ME.id, name: 'Me' }, partner], unread: 0, ...fields };
+}
+
+function names(container) {
+    return [...container.querySelectorAll('.sidebar-item-name')].map((el) => el.textContent);
+}
+
+describe('Sidebar', () => {
+    let socket;
+
+    beforeEach(() => {
+        socket = createMockSocket()
+            .respond('conversation:list', () => ({
+                conversations: [
+                    conversation('c-alice', alice, { lastMessage: { content: 'see you' } }),
+                    conversation('c-bob', bob, { unread: 2, lastMessage: { content: 'hey' } }),
+                ],
+            }))
+            .respond('room:list', () => ({ rooms: [{ _id: 'r-cs225', name: 'cs225', unread: 0 }] }))
+            .respond('sync', () => ({ results: [] }))
+            .respond('notification:list', () => ({ notifications: [], unread: 0, hasMore: false }))
+            .respond('notification:digest', () => ({ digest: { frequency: 'daily' } }));
+    });
+
+    it('lists conversations and rooms and subscribes to all of them', async () => {
+        const { container } = renderChat(<Sidebar />, { socket });
+
+        expect(await screen.findByText('Alice')).toBeInTheDocument();
+        expect(names(container)).toEqual(['Alice', 'Bob', 'cs225']);
+        expect(screen.getByText('see you')).toBeInTheDocument();
+        expect(screen.getByText('2')).toHaveClass('unread-badge');
+
+        await waitFor(() => expect(socket.requestsFor('sync')).toHaveLength(1));
+        const targets = socket.requestsFor('sync')[0].targets;
+        expect(targets.map((t) => t.conversationId || t.roomId)).toEqual(['c-alice', 'c-bob', 'r-cs225']);
+    });
+
+    it('moves a conversation to the top when a message arrives', async () => {
+        const { container } = renderChat(<Sidebar />, { socket });
+        await screen.findByText('Alice');
+
+        act(() => socket.serverEmit('message:new', {
+            message: { _id: 'm1', conversation: 'c-bob', sender: 'bob', content: 'new message', createdAt: new Date().toISOString() },
+        }));
+
+        expect(names(container)).toEqual(['Bob', 'Alice', 'cs225']);
+        expect(screen.getByText('new message')).toBeInTheDocument();
+    });
+
+    it('counts unread room messages from others', async () => {
+        renderChat(<Sidebar />, { socket });
+        await screen.findByText('cs225');
+
+        act(() => socket.serverEmit('message:new', {
+            message: { _id: 'm2', room: 'r-cs225', sender: { _id: 'bob' }, content: 'hi all', createdAt: new Date().toISOString() },
+        }));
+
+        const room = screen.getByText('cs225').closest('a');
+        expect(room.querySelector('.unread-badge')).toHaveTextContent('1');
+    });
+
+    it('applies unread and presence updates', async () => {
+        renderChat(<Sidebar />, { socket });
+        const aliceLink = (await screen.findByText('Alice')).closest('a');
+
+        act(() => socket.serverEmit('unread:update', { conversationId: 'c-alice', unread: 5 }));
+        expect(aliceLink.querySelector('.unread-badge')).toHaveTextContent('5');
+
+        expect(aliceLink.querySelector('.presence-dot')).toHaveClass('presence-offline');
+        act(() => socket.serverEmit('presence:update', { userId: 'alice', status: 'away' }));
+        expect(aliceLink.querySelector('.presence-dot')).toHaveClass('presence-away');
+    });
+
+    it('reloads when a conversation it has not seen gets a message', async () => {
+        renderChat(<Sidebar />, { socket });
+        await screen.findByText('Alice');
+        expect(socket.requestsFor('conversation:list')).toHaveLength(1);
+
+        act(() => socket.serverEmit('unread:update', { conversationId: 'c-new', unread: 1 }));
+
+        await waitFor(() => expect(socket.requestsFor('conversation:list')).toHaveLength(2));
+    });
+});
@@ -0,0 +1,16 @@
+// "Alex is typing…" for the people currently typing in the open chat
+export default function TypingIndicator({ names }) {
+    if (names.length === 0) {
+        return <div className="typing-indicator" />;
+    }
+
+    let text;
+    if (names.length === 1) {
+        text = `${names[0]} is typing…`;
+    } else if (names.length === 2) {
+        text = `${names[0]} and ${names[1]} are typing…`;
+    } else {
+        text = 'Several people are typing…';
+    }
+    return <div className="typing-indicator" aria-live="polite">{text}</div>;
+}
@@ -0,0 +1,34 @@
+import { render, screen } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import TypingIndicator from './TypingIndicator.jsx';
+import PresenceDot from './PresenceDot.jsx';
+
+describe('TypingIndicator', () => {
+    it('is empty when nobody is typing', () => {
+        const { container } = render(<TypingIndicator names={[]} />);
+        expect(container.firstChild).toBeEmptyDOMElement();
+    });
+
+    it('names one or two people and summarises more', () => {
+        const { rerender } = render(<TypingIndicator names={['Alice']} />);
+        expect(screen.getByText('Alice is typing…')).toBeInTheDocument();
+
+        rerender(<TypingIndicator names={['Alice', 'Bob']} />);
+        expect(screen.getByText('Alice and Bob are typing…')).toBeInTheDocument();
+
+        rerender(<TypingIndicator names={['Alice', 'Bob', 'Carol']} />);
+        expect(screen.getByText('Several people are typing…')).toBeInTheDocument();
+    });
+});
+
+describe('PresenceDot', () => {
+    it('shows the status, offline by default', () => {
+        const { container, rerender } = render(<PresenceDot />);
+        expect(container.firstChild).toHaveClass('presence-offline');
+        expect(container.firstChild).toHaveAttribute('title', 'Offline');
+
+        rerender(<PresenceDot status="dnd" />);
+        expect(container.firstChild).toHaveClass('presence-dnd');
+        expect(container.firstChild).toHaveAttribute('title', 'Do not disturb');
+    });
+});
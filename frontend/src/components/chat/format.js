@@ -0,0 +1,31 @@
+// Display helpers shared by the chat components
+
+// Someone's id whether the field holds the id or a populated user
+export function idOf(value) {
+    return value?._id ?? value;
+}
+
+// A conversation's title: the group's title, or the other people's names
+export function conversationName(conversation, userId) {
+    if (conversation.title) return conversation.title;
+    const others = (conversation.participants || []).filter((p) => idOf(p) !== userId);
+    return others.map((p) => p.name || p.netId).join(', ') || 'Just you';
+}
+
+// The other participant of a direct conversation
+export function otherParticipant(conversation, userId) {
+    if (conversation.isGroup) return null;
+    return (conversation.participants || []).find((p) => idOf(p) !== userId) || null;
+}
+
+// One line preview of a message for the sidebar
+export function messagePreview(message) {
+    if (!message) return '';
+    if (message.isDeleted) return 'Message deleted';
+    if (message.content) return message.content;
+    return message.attachments?.length ? 'Sent an attachment' : '';
+}
+
+export function formatTime(date) {
+    return new Date(date).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
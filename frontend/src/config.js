@@ -0,0 +1,2 @@
+// Where the backend runs; set VITE_API_URL for anything but local development
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
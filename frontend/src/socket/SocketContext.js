@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// { socket, connected }; see SocketProvider
+export const SocketContext = createContext(null);
@@ -0,0 +1,105 @@
+import { useEffect, useMemo, useState } from 'react';
+import { io } from 'socket.io-client';
+import { API_URL } from '../config.js';
+import { useAuth } from '../auth/useAuth.js';
+import { getAccessToken } from '../auth/token.js';
+import { SocketContext } from './SocketContext.js';
+
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+// Without keyboard or pointer input for this long, heartbeats report idle
+const ACTIVE_WINDOW_MS = 5 * 60 * 1000;
+// Errors the server's auth middleware gives when the access token has
+// expired or its session is gone; a refresh tells which
+const TOKEN_ERRORS = ['No token', 'Invalid token', 'Session expired'];
+
+// Opens one Socket.IO connection for the signed in user and keeps their
+// presence up to date with heartbeats while it is open. Every (re)connect
+// authenticates with the current access token, so refreshing the token
+// doesn't drop the connection.
+export default function SocketProvider({ children }) {
+    const { user, refresh, clear } = useAuth();
+    const userId = user?.id;
+    const [connected, setConnected] = useState(false);
+
+    const socket = useMemo(
+        () => (userId ? io(API_URL, { auth: (cb) => cb({ token: getAccessToken() }), autoConnect: false }) : null),
+        [userId]
+    );
+
+    useEffect(() => {
+        if (!socket) return undefined;
+
+        // Refresh once per failed attempt; if that doesn't help, sign out
+        let refreshed = false;
+        const reconnectWithNewToken = async () => {
+            if (refreshed) {
+                clear();
+                return;
+            }
+            refreshed = true;
+            if (await refresh()) {
+                socket.connect();
+            }
+        };
+
+        const onConnect = () => {
+            refreshed = false;
+            setConnected(true);
+        };
+        const onDisconnect = (reason) => {
+            setConnected(false);
+            // The server disconnects sockets whose session ended
+            if (reason === 'io server disconnect') {
+                reconnectWithNewToken();
+            }
+        };
+        const onConnectError = (err) => {
+            if (TOKEN_ERRORS.includes(err.message)) {
+                reconnectWithNewToken();
+            } else if (err.message === 'User not found') {
+                clear();
+            }
+        };
+        // This device (or every device) was signed out
+        const onRevoked = () => clear();
+
+        socket.on('connect', onConnect);
+        socket.on('disconnect', onDisconnect);
+        socket.on('connect_error', onConnectError);
+        socket.on('session:revoked', onRevoked);
+        socket.connect();
+
+        return () => {
+            socket.disconnect();
+            socket.off('connect', onConnect);
+            socket.off('disconnect', onDisconnect);
+            socket.off('connect_error', onConnectError);
+            socket.off('session:revoked', onRevoked);
+        };
+    }, [socket, refresh, clear]);
+
+    useEffect(() => {
+        if (!socket) return undefined;
+
+        let lastInputAt = Date.now();
+        const onInput = () => {
+            lastInputAt = Date.now();
+        };
+        const events = ['keydown', 'pointerdown', 'focus'];
+        events.forEach((event) => window.addEventListener(event, onInput));
+
+        const timer = setInterval(() => {
+            if (socket.connected) {
+                socket.emit('presence:heartbeat', { active: Date.now() - lastInputAt < ACTIVE_WINDOW_MS });
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+
+        return () => {
+            clearInterval(timer);
+            events.forEach((event) => window.removeEventListener(event, onInput));
+        };
+    }, [socket]);
+
+    const value = useMemo(() => ({ socket, connected: Boolean(socket) && connected }), [socket, connected]);
+    return <SocketContext.Provider value={value}>{children}</SocketContext.Provider>;
+}
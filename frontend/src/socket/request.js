@@ -0,0 +1,14 @@
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Emit an event and wait for the server's callback. Resolves with the
+// response; rejects with the server's error (err.code holds its code, e.g.
+// VALIDATION_ERROR) or when no answer comes in time.
+export async function request(socket, event, payload = {}) {
+    const response = await socket.timeout(REQUEST_TIMEOUT_MS).emitWithAck(event, payload);
+    if (response?.error) {
+        const error = new Error(response.error);
+        error.code = response.code;
+        throw error;
+    }
+    return response;
+}
@@ -0,0 +1,10 @@
+import { useContext } from 'react';
+import { SocketContext } from './SocketContext.js';
+
+export function useSocket() {
+    const value = useContext(SocketContext);
+    if (!value) {
+        throw new Error('useSocket must be used inside <SocketProvider>');
+    }
+    return value;
+}
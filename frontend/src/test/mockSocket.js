@@ -0,0 +1,55 @@
+// A stand-in for a socket.io-client socket. Requests the component sends
+// (socket.timeout(ms).emitWithAck) are answered by handlers set with
+// respond(); plain emits are recorded in `emitted`; serverEmit() delivers an
+// event from the "server" to every listener.
+export function createMockSocket() {
+    const listeners = new Map();
+    const responders = new Map();
+
+    const socket = {
+        emitted: [],
+        requests: [],
+
+        on(event, listener) {
+            if (!listeners.has(event)) listeners.set(event, new Set());
+            listeners.get(event).add(listener);
+            return socket;
+        },
+
+        off(event, listener) {
+            listeners.get(event)?.delete(listener);
+            return socket;
+        },
+
+        emit(event, payload) {
+            socket.emitted.push({ event, payload });
+            return socket;
+        },
+
+        timeout() {
+            return {
+                async emitWithAck(event, payload) {
+                    socket.requests.push({ event, payload });
+                    const responder = responders.get(event);
+                    if (!responder) return { error: `No response for ${event}` };
+                    return responder(payload);
+                },
+            };
+        },
+
+        // Answer requests for `event` with handler(payload)
+        respond(event, handler) {
+            responders.set(event, handler);
+            return socket;
+        },
+
+        serverEmit(event, payload) {
+            listeners.get(event)?.forEach((listener) => listener(payload));
+        },
+
+        requestsFor(event) {
+            return socket.requests.filter((r) => r.event === event).map((r) => r.payload);
+        },
+    };
+    return socket;
+}
@@ -0,0 +1,23 @@
+import { render } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { AuthContext } from '../auth/AuthContext.js';
+import { SocketContext } from '../socket/SocketContext.js';
+
+export const ME = { id: 'me', email: 'me@illinois.edu' };
+
+// Render chat UI at `path` (matched by `route`) with a signed in user and a
+// connected mock socket
+export function renderChat(element, { socket, path = '/chat', route = '/chat', user = ME } = {}) {
+    const auth = { user, token: 'token', restoring: false, logout: () => {}, clear: () => {} };
+    return render(
+        <AuthContext.Provider value={auth}>
+            <SocketContext.Provider value={{ socket, connected: true }}>
+                <MemoryRouter initialEntries={[path]}>
+                    <Routes>
+                        <Route path={route} element={element} />
+                    </Routes>
+                </MemoryRouter>
+            </SocketContext.Provider>
+        </AuthContext.Provider>
+    );
+}